@@ -0,0 +1,36 @@
+// adapters/community-ed.js
+// Community college / adult education schedule tables
+
+const { runExtraction, validateExtractionSpec } = require('../extraction');
+
+// Schedules are plain tables or div-based listings. Columns are found by their
+// header; tables without one are read as course, date, time, location, seats.
+const EXTRACT = {
+  containers: ['tr', '.class-row', '.course-listing'],
+  cells: 'td, .cell, .info',
+  minCells: 3,
+  fields: {
+    title: { column: ['course', 'class', 'title', 0] },
+    date: { column: ['date', 'dates', 1] },
+    time: { column: ['time', 'hours', 2] },
+    location: { column: ['location', 'place', 'room', 3] },
+    // Some schedules add a seats/status column after location
+    availability: { column: ['seats', 'status', 'availability', 'openings', 4] }
+  },
+  // Long schedules are split over numbered pages
+  next: true
+};
+
+module.exports = {
+  type: 'community-ed',
+  defaultUrl: null,
+  defaultProvider: null,
+
+  validateSource(entry, label) {
+    if (entry.extract !== undefined) validateExtractionSpec(entry.extract, label);
+  },
+
+  async scrape(page, source, context = {}) {
+    return runExtraction(page, source, source.extract || EXTRACT, context);
+  }
+};
@@ -0,0 +1,21 @@
+// adapters/generic.js
+// Any schedule page described entirely by the source's "extract" block (see extraction.js)
+
+const { runExtraction, validateExtractionSpec } = require('../extraction');
+
+module.exports = {
+  type: 'generic',
+  defaultUrl: null,
+  defaultProvider: null,
+
+  validateSource(entry, label) {
+    if (entry.extract === undefined) {
+      throw new Error(`Source "${label}" needs an "extract" spec for the generic adapter`);
+    }
+    validateExtractionSpec(entry.extract, label);
+  },
+
+  async scrape(page, source, context = {}) {
+    return runExtraction(page, source, source.extract, context);
+  }
+};
@@ -0,0 +1,374 @@
+// adapters/harley.js
+// Harley-Davidson Riding Academy class finder. The finder is a Salesforce
+// community app that renders nothing useful until its Aura XHR calls return, so
+// rather than reading cards the adapter records those JSON responses while the
+// page loads and reads the class sessions, dealer and price out of them.
+
+const { TIME_ZONE } = require('../date-parser');
+
+// Aura (Lightning) action endpoint: /s/sfsites/aura?r=12&aura.ApexAction.execute=1
+const AURA_URL_PATTERN = /\/sfsites\/aura\b/;
+// How long to wait for the first Aura response after the page has loaded
+const DEFAULT_AURA_TIMEOUT_MS = 15000;
+// Longest start-to-end span filled in day by day; longer ones keep just both ends
+const MAX_CLASS_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Course names for the finder's expLvl codes, for records that carry no name of their own
+const EXPERIENCE_LEVELS = {
+  NRC: 'New Rider Course',
+  SRC: 'Skilled Rider Course'
+};
+
+// The Apex payloads are not documented, so fields are found by name. Keys are
+// compared lowercased without underscores or the __c suffix.
+const KEYS = {
+  title: ['coursename', 'classname', 'coursetitle', 'producttitle', 'title', 'course', 'name'],
+  start: ['startdatetime', 'classstartdatetime', 'sessionstart', 'startdate', 'classstartdate', 'sessiondate', 'start', 'date'],
+  end: ['enddatetime', 'classenddatetime', 'sessionend', 'enddate', 'classenddate', 'end'],
+  dealerId: ['dealernumber', 'dealerid', 'dealercode', 'dealer'],
+  dealerName: ['dealername', 'locationname', 'accountname', 'venue', 'name'],
+  street: ['street', 'billingstreet', 'address', 'addressline1'],
+  city: ['city', 'billingcity'],
+  state: ['state', 'billingstate', 'statecode'],
+  zip: ['postalcode', 'billingpostalcode', 'zip', 'zipcode'],
+  price: ['price', 'classprice', 'cost', 'fee', 'amount'],
+  seats: ['seatsavailable', 'availableseats', 'remainingseats', 'openseats', 'seatsremaining'],
+  waitlist: ['waitlist', 'iswaitlist', 'waitlistonly'],
+  link: ['registrationurl', 'registerurl', 'classurl', 'url', 'link'],
+  id: ['id', 'classid', 'sfid']
+};
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/__c$|__r$/, '').replace(/[^a-z0-9]/g, '');
+}
+
+function fieldsOf(object) {
+  const fields = new Map();
+  for (const [key, value] of Object.entries(object)) {
+    const normalized = normalizeKey(key);
+    if (!fields.has(normalized)) fields.set(normalized, value);
+  }
+  return fields;
+}
+
+function pick(fields, names, accept = value => value !== null && value !== undefined && value !== '') {
+  for (const name of names) {
+    if (fields.has(name) && accept(fields.get(name))) return fields.get(name);
+  }
+  return undefined;
+}
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isScalar = value => isText(value) || typeof value === 'number';
+
+// '2026-11-21', '2026-11-21T15:00:00.000Z' or epoch ms, as a Los Angeles date and time
+function toLocal(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return { date: value, time: null };
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/.test(value)) {
+    // No offset: already wall-clock time at the dealer
+    return { date: value.slice(0, 10), time: value.slice(11, 16) };
+  }
+
+  const instant = typeof value === 'number' ? new Date(value) : new Date(String(value));
+  if (!isDateLike(value) || isNaN(instant)) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function isDateLike(value) {
+  if (typeof value === 'number') return value > 946684800000;
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value);
+}
+
+// Every YYYY-MM-DD date from start to end, both included
+function datesBetween(start, end) {
+  const from = Date.parse(`${start}T00:00:00Z`);
+  const to = Date.parse(`${end}T00:00:00Z`);
+  if (!(to > from) || (to - from) / DAY_MS > MAX_CLASS_DAYS) return [start, end];
+  const dates = [];
+  for (let day = from; day <= to; day += DAY_MS) {
+    dates.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+function to12Hour(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// { date, startTime, endTime } for an object with a start (and maybe end) field
+function sessionOf(fields) {
+  const start = toLocal(pick(fields, KEYS.start, isDateLike));
+  if (!start) return null;
+  const end = toLocal(pick(fields, KEYS.end, isDateLike));
+  return { date: start.date, startTime: start.time, endTime: end && end.date === start.date ? end.time : null, endDate: end?.date || null };
+}
+
+// Child sessions listed under a class: an array, or a Salesforce { records: [...] } relation
+function childSessions(object) {
+  for (const value of Object.values(object)) {
+    const list = Array.isArray(value) ? value : Array.isArray(value?.records) ? value.records : null;
+    if (!list || list.length === 0 || !list.every(item => item && typeof item === 'object')) continue;
+    const sessions = list.map(item => sessionOf(fieldsOf(item)));
+    if (sessions.every(Boolean)) return sessions;
+  }
+  return [];
+}
+
+// Strip Aura's anti-hijacking prefix/wrapper and parse the body
+function parseAuraResponse(text) {
+  const json = text
+    .replace(/^\s*while\s*\(\s*1\s*\)\s*;?/, '')
+    .replace(/^\s*\/\*-secure-/, '')
+    .replace(/\*\/\s*$/, '');
+  return JSON.parse(json);
+}
+
+// Return values of the successful actions in an Aura response. Apex methods
+// often return their data as a JSON string, which is parsed as well.
+function actionValues(payload) {
+  const unwrap = value => {
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try {
+        return unwrap(JSON.parse(value));
+      } catch (error) {
+        return value;
+      }
+    }
+    // ApexAction.execute wraps the method's result as { returnValue, cacheable }
+    if (value && typeof value === 'object' && !Array.isArray(value) && 'returnValue' in value && 'cacheable' in value) {
+      return unwrap(value.returnValue);
+    }
+    return value;
+  };
+
+  return (payload?.actions || [])
+    .filter(action => action.state === 'SUCCESS' && action.returnValue !== undefined && action.returnValue !== null)
+    .map(action => unwrap(action.returnValue));
+}
+
+function walk(value, visit, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 12) return;
+  if (Array.isArray(value)) {
+    value.forEach(item => walk(item, visit, depth + 1));
+    return;
+  }
+  if (visit(value) === false) return;
+  Object.values(value).forEach(item => walk(item, visit, depth + 1));
+}
+
+// Dealer name and address from an object's own fields
+function dealerOf(fields) {
+  const name = pick(fields, KEYS.dealerName, isText);
+  const address = [pick(fields, KEYS.street, isText), pick(fields, KEYS.city, isText),
+    [pick(fields, KEYS.state, isText), pick(fields, KEYS.zip, isScalar)].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return name || address ? { name, address } : null;
+}
+
+function formatPrice(value) {
+  if (value === undefined) return undefined;
+  const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isFinite(amount) ? `$${amount.toFixed(2)}` : undefined;
+}
+
+/**
+ * Class records from the captured Aura payloads. A class is any object with a
+ * course name and either a start date or a list of dated child sessions; its
+ * dealer comes from a nested dealer object, or from a dealer object elsewhere
+ * in the payloads with the same dealer number. `target` is the dealer and
+ * experience level the page was loaded for.
+ */
+function extractClasses(payloads, target = {}) {
+  const values = payloads.flatMap(actionValues);
+
+  // Dealer objects: a dealer number and a name, but no dates of their own
+  const dealers = new Map();
+  for (const value of values) {
+    walk(value, object => {
+      const fields = fieldsOf(object);
+      const dealerId = pick(fields, KEYS.dealerId, isScalar);
+      if (dealerId !== undefined && !sessionOf(fields) && childSessions(object).length === 0) {
+        const dealer = dealerOf(fields);
+        if (dealer?.name) dealers.set(String(dealerId), dealer);
+      }
+    });
+  }
+
+  const classes = [];
+  const seen = new Set();
+  const levelTitle = EXPERIENCE_LEVELS[target.level] || null;
+
+  for (const value of values) {
+    walk(value, object => {
+      const fields = fieldsOf(object);
+      const own = sessionOf(fields);
+      const sessions = own ? [own] : childSessions(object);
+      const title = pick(fields, KEYS.title, isText) || (sessions.length > 0 ? levelTitle : null);
+      if (sessions.length === 0 || !title) return true;
+
+      // Multi-day records carry only a start and end date: list every day between
+      if (sessions.length === 1 && sessions[0].endDate && sessions[0].endDate > sessions[0].date) {
+        for (const date of datesBetween(sessions[0].date, sessions[0].endDate).slice(1)) {
+          sessions.push({ date, startTime: null, endTime: null });
+        }
+      }
+
+      const nested = Object.values(object).find(item => item && typeof item === 'object' && !Array.isArray(item) && dealerOf(fieldsOf(item)));
+      const dealerId = pick(fields, KEYS.dealerId, isScalar);
+      const dealer = (nested && dealerOf(fieldsOf(nested))) || dealers.get(String(dealerId ?? target.dealer)) || null;
+
+      const seats = pick(fields, KEYS.seats, value => typeof value === 'number' || /^\d+$/.test(String(value)));
+      const waitlist = pick(fields, KEYS.waitlist, value => value === true);
+      let availability;
+      if (waitlist) availability = 'Waitlist';
+      else if (seats !== undefined) availability = `${seats} seats left`;
+
+      // A class has one time for all its days, so leave it out when the days differ
+      // (e.g. an evening classroom session before two riding days)
+      const times = new Set(sessions.map(session => session.startTime
+        ? [session.startTime, session.endTime].filter(Boolean).map(to12Hour).join(' - ')
+        : ''));
+      const record = {
+        title,
+        date: [...new Set(sessions.map(session => session.date))].join(', '),
+        time: times.size === 1 ? [...times][0] || undefined : undefined,
+        location: [dealer?.name, dealer?.address].filter(Boolean).join(', ') || undefined,
+        price: formatPrice(pick(fields, KEYS.price, isScalar)),
+        availability,
+        link: pick(fields, KEYS.link, value => isText(value) && /^https?:\/\//.test(value)) || target.url,
+        description: levelTitle || undefined
+      };
+
+      const key = pick(fields, KEYS.id, isText) || `${record.title}|${record.date}|${record.location}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        classes.push(Object.fromEntries(Object.entries(record).filter(([, item]) => item !== undefined)));
+      }
+      // A class's own children are its sessions, not more classes
+      return false;
+    });
+  }
+
+  return classes;
+}
+
+// The dealer and experience level in a finder URL: .../s/?language=en_US#99992&expLvl=NRC
+function parseFinderHash(url) {
+  const hash = url.split('#')[1] || '';
+  const [dealer, ...params] = hash.split('&');
+  const level = new URLSearchParams(params.join('&')).get('expLvl');
+  return { dealer: /^\d+$/.test(dealer) ? dealer : null, level: level || null };
+}
+
+// One finder page per configured dealer and experience level
+function finderTargets(source) {
+  const fromUrl = parseFinderHash(source.url);
+  const dealers = source.dealers || (fromUrl.dealer ? [fromUrl.dealer] : []);
+  const levels = source.experienceLevels || [fromUrl.level || 'NRC'];
+  const base = source.url.split('#')[0];
+
+  return dealers.flatMap(dealer => levels.map(level => ({
+    dealer: String(dealer),
+    level,
+    url: `${base}#${dealer}&expLvl=${level}`
+  })));
+}
+
+// Load a finder page and collect the parsed body of every Aura response it gets
+async function captureAuraResponses(page, url, { auraTimeoutMs = DEFAULT_AURA_TIMEOUT_MS } = {}) {
+  const pending = [];
+  const onResponse = response => {
+    if (!AURA_URL_PATTERN.test(response.url()) || !response.ok()) return;
+    pending.push(response.text().then(parseAuraResponse).catch(() => null));
+  };
+
+  page.on('response', onResponse);
+  try {
+    // Only the hash differs between targets, so start from a blank page to get a full load
+    if (page.url() !== 'about:blank') await page.goto('about:blank');
+    await page.goto(url, { waitUntil: 'networkidle2' });
+
+    if (pending.length === 0) {
+      await page.waitForResponse(response => AURA_URL_PATTERN.test(response.url()), { timeout: auraTimeoutMs })
+        .catch(() => {
+          throw new Error(`No Aura responses from ${url} within ${auraTimeoutMs / 1000}s`);
+        });
+    }
+    // Later actions (dealer details, the class list) follow the first one
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: auraTimeoutMs }).catch(() => {});
+  } finally {
+    page.off('response', onResponse);
+  }
+
+  return (await Promise.all(pending)).filter(Boolean);
+}
+
+module.exports = {
+  type: 'harley',
+  defaultUrl: 'https://riders.harley-davidson.com/s/?language=en_US#99992&expLvl=NRC',
+  defaultProvider: 'Harley Davidson',
+
+  // dealers: dealer numbers; experienceLevels: expLvl codes (NRC, SRC, ...)
+  validateSource(entry, label) {
+    const url = entry.url || this.defaultUrl;
+    if (entry.dealers !== undefined && !(Array.isArray(entry.dealers) && entry.dealers.every(dealer => /^\d+$/.test(String(dealer))))) {
+      throw new Error(`Source "${label}": "dealers" must be a list of dealer numbers`);
+    }
+    if (entry.experienceLevels !== undefined && !(Array.isArray(entry.experienceLevels) && entry.experienceLevels.every(isText))) {
+      throw new Error(`Source "${label}": "experienceLevels" must be a list of expLvl codes such as "NRC"`);
+    }
+    if (!entry.dealers && !parseFinderHash(url).dealer) {
+      throw new Error(`Source "${label}" needs "dealers" or a dealer number in the URL hash (#99992&expLvl=NRC)`);
+    }
+  },
+
+  async scrape(page, source, context = {}) {
+    const classes = [];
+    const seen = new Set();
+    const targets = finderTargets(source);
+    const failures = [];
+
+    for (const target of targets) {
+      // One dealer or level that doesn't answer shouldn't cost the others' classes
+      let payloads;
+      try {
+        payloads = await captureAuraResponses(page, target.url, source);
+      } catch (error) {
+        console.warn(`⚠️  ${source.name}: dealer ${target.dealer} ${target.level} failed: ${error.message}`);
+        failures.push(`dealer ${target.dealer} ${target.level}: ${error.message}`);
+        continue;
+      }
+      const found = extractClasses(payloads, target);
+      console.log(`🏍️  ${source.name}: dealer ${target.dealer} ${target.level}: ${found.length} classes in ${payloads.length} Aura responses`);
+
+      // The same class can come back for several experience levels
+      for (const cls of found) {
+        const key = `${cls.title}|${cls.date}|${cls.location}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        classes.push(cls);
+      }
+    }
+
+    if (failures.length === targets.length && failures.length > 0) {
+      throw new Error(`Every finder page failed (${failures.join('; ')})`);
+    }
+    if (failures.length > 0) {
+      context.recordIncomplete?.(`${failures.length} of ${targets.length} finder pages failed`);
+    }
+
+    return classes.map(cls => ({
+      ...cls,
+      provider: source.provider
+    }));
+  },
+
+  extractClasses,
+  parseAuraResponse,
+  finderTargets
+};
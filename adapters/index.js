@@ -0,0 +1,29 @@
+// adapters/index.js
+// Registry of scraper adapters, keyed by the `adapter` type used in sources.json
+
+const riderite = require('./riderite');
+const msi = require('./msi');
+const harley = require('./harley');
+const communityEd = require('./community-ed');
+const generic = require('./generic');
+
+const adapters = {
+  [riderite.type]: riderite,
+  [msi.type]: msi,
+  [harley.type]: harley,
+  [communityEd.type]: communityEd,
+  [generic.type]: generic
+};
+
+function getAdapter(type) {
+  const adapter = adapters[type];
+  if (!adapter) {
+    throw new Error(`Unknown adapter type "${type}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  adapters,
+  getAdapter
+};
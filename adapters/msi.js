@@ -0,0 +1,40 @@
+// adapters/msi.js
+// MSI registration portals (React app shared by many California schools)
+
+const { runExtraction, validateExtractionSpec } = require('../extraction');
+
+// The portal's class cards; a source's own "extract" block replaces this
+const EXTRACT = {
+  // Wait for React app to load
+  waitFor: '[data-testid="class-listing"], .class-item, .course-item',
+  // Look for various class listing patterns
+  containers: ['.class-item', '.course-item', '[data-testid="class-listing"]', '.schedule-item'],
+  fields: {
+    title: 'h3, h4, .title, .class-title',
+    date: '.date, .schedule-date',
+    location: '.location, .venue',
+    price: '.price, .cost',
+    availability: '.seats, .seats-remaining, .availability, .spots, .status',
+    // Class cards have no links of their own; registration starts from the listing
+    link: { from: 'page' }
+  },
+  // The app renders a first batch of classes; the rest come from a "Load more"
+  // button or infinite scroll, and some portals page with next links instead
+  loadMore: true,
+  scroll: true,
+  next: true
+};
+
+module.exports = {
+  type: 'msi',
+  defaultUrl: null,
+  defaultProvider: null,
+
+  validateSource(entry, label) {
+    if (entry.extract !== undefined) validateExtractionSpec(entry.extract, label);
+  },
+
+  async scrape(page, source, context = {}) {
+    return runExtraction(page, source, source.extract || EXTRACT, context);
+  }
+};
@@ -0,0 +1,330 @@
+// adapters/riderite.js
+// RideRite's WooCommerce shop (shopriderite.net). Every course category is read
+// page by page; the listings only have titles and prices, so each product page
+// is then opened to read its scheduled sessions.
+
+const { mapWithConcurrency } = require('../concurrency');
+const { crawlListing } = require('../pagination');
+const { classifyCourse } = require('../course-classifier');
+
+// Product pages opened at once while deep-crawling
+const DEFAULT_PRODUCT_CONCURRENCY = 3;
+// Product card markup across shop themes; the run report names the ones that matched
+const LISTING_SELECTORS = ['.product', '.woocommerce-loop-product', '.course-item'];
+// Category links in the shop's sidebar widget and menus
+const CATEGORY_LINK_SELECTORS = ['.product-categories a', '.widget_product_categories a', 'a[href*="/product-category/"]'];
+// Categories that sell courses without naming one ("Classes", "Private Lessons");
+// the rest of the shop (gear, gift cards) is left alone
+const COURSE_CATEGORY_PATTERN = /\b(?:courses?|class(?:es)?|lessons?|training)\b/i;
+
+// Variation attributes (attribute_pa_class-date, attribute_session, attribute_day)
+// whose value is the session's date; "class-type" and the like are not
+const DATE_ATTRIBUTE_PATTERN = /date|session|schedule|(?:^|[_-])days?$/i;
+const LOCATION_ATTRIBUTE_PATTERN = /location|venue|site|range|city/i;
+
+// "Location: Costa Mesa Fairgrounds" style lines in the product description
+function readDescriptionField(description, labels) {
+  if (!description) return undefined;
+  const pattern = new RegExp(`^\\s*(?:${labels})\\s*:\\s*(.+)$`, 'im');
+  return description.match(pattern)?.[1]?.trim();
+}
+
+// Drop fields the page didn't have so records only carry what was found
+function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
+
+function formatPrice(price) {
+  return typeof price === 'number' ? `$${price.toFixed(2)}` : price;
+}
+
+function variationAvailability(variation) {
+  if (!variation.inStock) return 'Out of stock';
+  if (variation.maxQty) return `${variation.maxQty} in stock`;
+  return undefined;
+}
+
+// One record per variation (date/location choice) of a variable product,
+// or one record from the description of a simple product
+function buildSessions(listing, details) {
+  const descriptionDate = readDescriptionField(details.description, 'dates?|class dates?|schedule');
+  const descriptionTime = readDescriptionField(details.description, 'times?|hours');
+  const descriptionLocation = readDescriptionField(details.description, 'location|where|venue');
+
+  if (details.variations.length === 0) {
+    if (!descriptionDate) return [];
+    return [compact({
+      title: listing.title,
+      price: details.price || listing.price,
+      link: listing.link,
+      date: descriptionDate,
+      time: descriptionTime,
+      location: descriptionLocation,
+      availability: details.stock || listing.availability
+    })];
+  }
+
+  return details.variations.map(variation => {
+    let date;
+    let location;
+
+    for (const [name, value] of Object.entries(variation.attributes)) {
+      if (!value) continue;
+      const label = details.labels[name]?.[value] || value;
+      if (!date && DATE_ATTRIBUTE_PATTERN.test(name)) date = label;
+      else if (!location && LOCATION_ATTRIBUTE_PATTERN.test(name)) location = label;
+    }
+
+    return compact({
+      title: listing.title,
+      price: formatPrice(variation.price) || details.price || listing.price,
+      link: listing.link,
+      date: date || descriptionDate,
+      time: descriptionTime,
+      location: location || descriptionLocation,
+      availability: variationAvailability(variation)
+    });
+  }).filter(session => session.date);
+}
+
+async function scrapeProductPage(openPage, listing) {
+  const page = await openPage();
+  try {
+    await page.goto(listing.link, {
+      waitUntil: 'networkidle2',
+      timeout: 30000
+    });
+
+    return await page.evaluate(() => {
+      const textOf = element => {
+        if (!element) return undefined;
+        const blocks = element.querySelectorAll('p, li');
+        return blocks.length > 0
+          ? Array.from(blocks).map(block => block.textContent.trim()).join('\n')
+          : element.textContent.trim();
+      };
+
+      // Variable products embed every variation as JSON; WooCommerce writes
+      // "false" instead when there are too many and loads them over AJAX
+      const form = document.querySelector('form.variations_form');
+      let variations = [];
+      try {
+        variations = JSON.parse(form?.getAttribute('data-product_variations') || '[]') || [];
+      } catch (error) {
+        variations = [];
+      }
+
+      const labels = {};
+      document.querySelectorAll('.variations select').forEach(select => {
+        labels[select.name] = {};
+        select.querySelectorAll('option').forEach(option => {
+          if (option.value) labels[select.name][option.value] = option.textContent.trim();
+        });
+      });
+
+      // Without the JSON, fall back to one variation per option of the first select
+      if (variations.length === 0 && form) {
+        const select = form.querySelector('.variations select');
+        if (select) {
+          variations = Object.keys(labels[select.name] || {}).map(value => ({
+            attributes: { [select.name]: value },
+            is_in_stock: true
+          }));
+        }
+      }
+
+      return {
+        variations: variations.map(variation => ({
+          attributes: variation.attributes || {},
+          price: variation.display_price,
+          inStock: variation.is_in_stock !== false,
+          maxQty: variation.max_qty || null
+        })),
+        labels,
+        description: textOf(document.querySelector('.woocommerce-product-details__short-description, #tab-description, .product .summary')),
+        price: document.querySelector('.summary .price')?.textContent?.trim(),
+        stock: document.querySelector('.summary .stock')?.textContent?.trim()
+      };
+    });
+  } finally {
+    await page.close();
+  }
+}
+
+// Listing URL without its page number, query or hash, for comparing categories
+function listingKey(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname.replace(/\/page\/\d+\/?$/, '/').replace(/\/?$/, '/')}`;
+}
+
+// A linked category worth reading: its name or slug is a course or says it sells them
+function isCourseCategory({ href, text }) {
+  const slug = new URL(href).pathname.split('/').filter(Boolean).pop() || '';
+  const name = `${text || ''}\n${slug.replace(/[-_]+/g, ' ')}`;
+  return COURSE_CATEGORY_PATTERN.test(name) || classifyCourse({ title: name }).courseCode !== null;
+}
+
+// Category listing URLs from the source's "categories" (slugs or URLs), or
+// from the course category links on the page that is loaded
+async function categoryUrls(page, source) {
+  if (source.categories) {
+    return source.categories.map(category => (/^https?:\/\//.test(category)
+      ? category
+      : new URL(`/product-category/${category}/`, source.url).href));
+  }
+
+  const links = await page.evaluate(selectors => Array.from(document.querySelectorAll(selectors.join(', ')))
+    .map(link => ({ href: link.href, text: link.textContent.trim() }))
+    .filter(link => link.href), CATEGORY_LINK_SELECTORS);
+  const origin = new URL(source.url).origin;
+  return links
+    .filter(link => new URL(link.href).origin === origin && isCourseCategory(link))
+    .map(link => link.href);
+}
+
+async function readListingPage(page) {
+  return page.evaluate(selectors => {
+    const matched = selectors.filter(candidate => document.querySelector(candidate));
+    const products = matched.length > 0 ? document.querySelectorAll(matched.join(', ')) : [];
+
+    const items = Array.from(products).map(product => {
+      const title = product.querySelector('.woocommerce-loop-product__title, h3, h2, .title')?.textContent?.trim();
+      const price = product.querySelector('.price, .cost')?.textContent?.trim();
+      const link = product.querySelector('a')?.href;
+      // WooCommerce marks sold-out products with an outofstock class and/or a stock badge
+      const stock = product.querySelector('.stock, .out-of-stock, .sold-out, .soldout')?.textContent?.trim();
+      const availability = stock || (product.classList.contains('outofstock') ? 'Out of stock' : undefined);
+
+      if (!title) return null;
+
+      return { title, price, link, availability };
+    }).filter(Boolean);
+
+    return { selector: matched.join(', ') || null, listings: items };
+  }, LISTING_SELECTORS);
+}
+
+/**
+ * Every product listed on the source's category and, unless crawlCategories
+ * is false, on the shop's other course categories. Each category is followed
+ * through its pages and "Load more" button; a product listed in several
+ * categories is kept once. Categories that fail or are cut short by maxPages
+ * are recorded as incomplete.
+ */
+async function readListings(page, source, context) {
+  const listings = [];
+  const seen = new Set();
+  const selectors = new Set();
+  const truncated = [];
+  const failed = [];
+  let pages = 0;
+
+  const crawlCategory = async url => {
+    const result = await crawlListing(page, url, async current => {
+      const { selector, listings: found } = await readListingPage(current);
+      if (selector) selectors.add(selector);
+      return found;
+    }, {
+      maxPages: source.maxPages,
+      itemSelector: LISTING_SELECTORS.join(', '),
+      loadMore: true,
+      gotoOptions: { waitUntil: 'networkidle2', timeout: 30000 },
+      keyOf: listing => listing.link || listing.title
+    });
+    pages += result.pages;
+    if (result.truncated) truncated.push(url);
+
+    for (const listing of result.items) {
+      const key = listing.link || listing.title;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      listings.push(listing);
+    }
+  };
+
+  await crawlCategory(source.url);
+
+  const crawled = new Set([listingKey(source.url)]);
+  if (source.crawlCategories !== false) {
+    for (const url of await categoryUrls(page, source)) {
+      if (crawled.has(listingKey(url))) continue;
+      crawled.add(listingKey(url));
+      try {
+        await crawlCategory(url);
+      } catch (error) {
+        console.error(`❌ ${source.name}: failed to read ${url}:`, error.message);
+        failed.push(url);
+      }
+    }
+  }
+
+  console.log(`🗂️  ${source.name}: ${listings.length} products on ${pages} pages across ${crawled.size} categories`);
+  context.recordSelector?.([...selectors].join(', ') || null);
+  if (truncated.length > 0) {
+    context.recordIncomplete?.(`stopped at maxPages in ${truncated.join(', ')}`);
+  }
+  if (failed.length > 0) {
+    context.recordIncomplete?.(`failed to read ${failed.join(', ')}`);
+  }
+  return listings;
+}
+
+module.exports = {
+  type: 'riderite',
+  defaultUrl: 'https://shopriderite.net/product-category/basic/',
+  defaultProvider: 'RideRite',
+
+  // categories: category slugs or URLs to read instead of the ones linked from the shop
+  validateSource(entry, label) {
+    if (entry.categories !== undefined && !(Array.isArray(entry.categories) && entry.categories.every(category => typeof category === 'string' && category.trim() !== ''))) {
+      throw new Error(`Source "${label}": "categories" must be a list of category slugs or URLs`);
+    }
+    if (entry.maxPages !== undefined && !(Number.isInteger(entry.maxPages) && entry.maxPages > 0)) {
+      throw new Error(`Source "${label}": "maxPages" must be a whole number > 0`);
+    }
+  },
+
+  // context.openPage gives product pages the same timeouts and request blocking
+  // as the listing page; without it they are plain browser pages
+  async scrape(page, source, context = {}) {
+    const openPage = context.openPage || (() => page.browser().newPage());
+
+    const listings = await readListings(page, source, context);
+
+    let classes = listings;
+
+    if (source.crawlProducts !== false) {
+      const concurrency = source.productConcurrency || DEFAULT_PRODUCT_CONCURRENCY;
+      console.log(`🔗 ${source.name}: opening ${listings.length} product pages (${concurrency} at a time)`);
+
+      // A product whose page failed is kept as its bare listing, whose ID matches
+      // none of its stored sessions, so the run can't retire those sessions
+      let failed = 0;
+      const perProduct = await mapWithConcurrency(listings, concurrency, async listing => {
+        if (!listing.link) return [listing];
+        try {
+          const sessions = buildSessions(listing, await scrapeProductPage(openPage, listing));
+          // Keep the listing itself when the product page has no readable dates
+          return sessions.length > 0 ? sessions : [listing];
+        } catch (error) {
+          console.error(`❌ ${source.name}: failed to read ${listing.link}:`, error.message);
+          failed++;
+          return [listing];
+        }
+      });
+
+      classes = perProduct.flat();
+      if (failed > 0) {
+        context.recordIncomplete?.(`${failed} of ${listings.length} product pages failed`);
+      }
+    }
+
+    return classes.map(cls => ({
+      ...cls,
+      provider: source.provider
+    }));
+  },
+
+  buildSessions,
+  isCourseCategory
+};
@@ -0,0 +1,239 @@
+// airtable-client.js
+// Shared Airtable REST client: a request queue capped at 5 requests/second,
+// a per-request timeout, exponential backoff for 5xx and network errors, the
+// 30-second penalty after a 429, and a dead-letter file for records that still
+// fail after every retry.
+
+const fetch = require('node-fetch');
+const fs = require('fs').promises;
+
+const DEFAULTS = {
+  apiUrl: 'https://api.airtable.com/v0',
+  requestsPerSecond: 5,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  // A request that hasn't answered by then fails like a network error
+  timeoutMs: 30000,
+  // Airtable blocks a base for 30 seconds after it returns 429
+  rateLimitDelayMs: 30000,
+  deadLetterPath: 'airtable-dead-letter.json'
+};
+
+// Airtable accepts at most 10 records per create/update/delete request
+const BATCH_SIZE = 10;
+
+class AirtableError extends Error {
+  constructor(status, body) {
+    super(`Airtable request failed: ${status} ${body}`);
+    this.name = 'AirtableError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// A POST that got no answer may still have created its records, so it is only
+// retried when Airtable answered with an error. The next sync finds any records
+// it did create by Class ID instead of creating them twice.
+function isRetryable(error, method) {
+  if (!(error instanceof AirtableError)) return method !== 'POST'; // network errors, resets, timeouts
+  return error.status === 429 || error.status >= 500;
+}
+
+function listQuery({ filterByFormula, view, fields = [], sort = [], pageSize, maxRecords } = {}, offset) {
+  const params = new URLSearchParams();
+  if (filterByFormula) params.set('filterByFormula', filterByFormula);
+  if (view) params.set('view', view);
+  for (const field of fields) params.append('fields[]', field);
+  sort.forEach(({ field, direction = 'asc' }, index) => {
+    params.set(`sort[${index}][field]`, field);
+    params.set(`sort[${index}][direction]`, direction);
+  });
+  if (pageSize) params.set('pageSize', String(pageSize));
+  if (maxRecords) params.set('maxRecords', String(maxRecords));
+  if (offset) params.set('offset', offset);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+class AirtableClient {
+  constructor({ apiKey, baseId, tableId, ...options }) {
+    this.apiKey = apiKey;
+    this.baseId = baseId;
+    this.tableId = tableId;
+    this.options = { ...DEFAULTS, ...options };
+    this.tableUrl = `${this.options.apiUrl}/${baseId}/${encodeURIComponent(tableId)}`;
+
+    this.minIntervalMs = 1000 / this.options.requestsPerSecond;
+    this.nextSlot = 0;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  // Reserve the next request slot; callers queue up behind each other
+  async throttle() {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot);
+    this.nextSlot = start + this.minIntervalMs;
+    if (start > now) {
+      await this.sleep(start - now);
+    }
+  }
+
+  // One HTTP request to the table (query string or record path appended to the
+  // table URL), retried with backoff. Resolves with the parsed JSON body.
+  async request(method, suffix = '', body) {
+    return this.send(method, `${this.tableUrl}${suffix}`, body);
+  }
+
+  // A request to the base's metadata API, e.g. metaRequest('GET', '/tables')
+  async metaRequest(method, suffix = '', body) {
+    return this.send(method, `${this.options.apiUrl}/meta/bases/${this.baseId}${suffix}`, body);
+  }
+
+  async send(method, url, body) {
+    let attempt = 0;
+
+    for (;;) {
+      await this.throttle();
+
+      try {
+        const response = await fetch(url, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          timeout: this.options.timeoutMs
+        });
+
+        if (response.ok) {
+          return await response.json();
+        }
+
+        const error = new AirtableError(response.status, await response.text());
+        if (response.status === 429) {
+          const retryAfter = parseFloat(response.headers.get('retry-after'));
+          error.retryDelayMs = retryAfter > 0 ? retryAfter * 1000 : this.options.rateLimitDelayMs;
+        }
+        throw error;
+      } catch (error) {
+        if (!isRetryable(error, method) || attempt >= this.options.maxRetries) {
+          throw error;
+        }
+
+        const delay = error.retryDelayMs || this.options.baseDelayMs * 2 ** attempt;
+        attempt++;
+
+        if (error.retryDelayMs) {
+          // Hold the whole queue, not just this request, until the penalty is over
+          this.nextSlot = Math.max(this.nextSlot, Date.now() + delay);
+          console.warn(`⏳ Airtable rate limit hit, pausing ${Math.round(delay / 1000)}s (retry ${attempt}/${this.options.maxRetries})`);
+        } else {
+          console.warn(`⏳ Airtable ${method} failed (${error.message}), retrying in ${delay}ms (${attempt}/${this.options.maxRetries})`);
+          await this.sleep(delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Every record in the table, following Airtable's offset pagination. `params`
+   * are Airtable's list parameters: filterByFormula, view, fields (names),
+   * sort ([{ field, direction }]), pageSize and maxRecords.
+   */
+  async listRecords(params = {}) {
+    const records = [];
+    let offset;
+
+    do {
+      const data = await this.request('GET', listQuery(params, offset));
+      records.push(...data.records);
+      offset = data.offset;
+    } while (offset);
+
+    return records;
+  }
+
+  async createRecords(records) {
+    return this.sendBatches('POST', records);
+  }
+
+  async updateRecords(records) {
+    return this.sendBatches('PATCH', records);
+  }
+
+  async deleteRecords(recordIds) {
+    let succeeded = 0;
+    let failed = 0;
+
+    for (let i = 0; i < recordIds.length; i += BATCH_SIZE) {
+      const batch = recordIds.slice(i, i + BATCH_SIZE);
+      const query = batch.map(id => `records[]=${encodeURIComponent(id)}`).join('&');
+      try {
+        await this.request('DELETE', `?${query}`);
+        succeeded += batch.length;
+      } catch (error) {
+        console.error('Airtable DELETE batch error:', error.message);
+        failed += batch.length;
+      }
+    }
+
+    return { succeeded, failed };
+  }
+
+  // Send records in batches of 10; batches that fail every retry go to the dead-letter file
+  async sendBatches(method, records) {
+    let succeeded = 0;
+    let failed = 0;
+
+    for (let i = 0; i < records.length; i += BATCH_SIZE) {
+      const batch = records.slice(i, i + BATCH_SIZE);
+      try {
+        // typecast lets Airtable add select choices it hasn't seen yet
+        await this.request(method, '', { records: batch, typecast: true });
+        succeeded += batch.length;
+      } catch (error) {
+        console.error(`Airtable ${method} batch error:`, error.message);
+        failed += batch.length;
+        await this.deadLetter(method, batch, error);
+      }
+    }
+
+    return { succeeded, failed };
+  }
+
+  async deadLetter(method, records, error) {
+    const filePath = this.options.deadLetterPath;
+    if (!filePath) return;
+
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (readError) {
+      entries = [];
+    }
+
+    const failedAt = new Date().toISOString();
+    entries.push(...records.map(record => ({
+      method,
+      record,
+      status: error.status || null,
+      error: error.message,
+      failedAt
+    })));
+
+    try {
+      await fs.writeFile(filePath, JSON.stringify(entries, null, 2));
+      console.error(`📮 ${records.length} records written to ${filePath}`);
+    } catch (writeError) {
+      console.error(`❌ Could not write dead-letter file ${filePath}:`, writeError.message);
+    }
+  }
+}
+
+module.exports = {
+  AirtableClient,
+  AirtableError,
+  BATCH_SIZE
+};
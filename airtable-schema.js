@@ -0,0 +1,149 @@
+// airtable-schema.js
+// The Airtable table layout in one place: which Airtable field each key of a
+// normalized class is stored in, the field types used to create the table
+// through the metadata API, and the diff between that and an existing table.
+
+const { COURSE_TYPES, STATUSES } = require('./data-quality');
+
+const TABLE_NAME = 'Motorcycle Classes';
+
+const DATE_OPTIONS = { dateFormat: { name: 'iso' } };
+const DATE_TIME_OPTIONS = {
+  dateFormat: { name: 'iso' },
+  timeFormat: { name: '24hour' },
+  timeZone: 'America/Los_Angeles'
+};
+const COORDINATE_OPTIONS = { precision: 6 };
+
+/**
+ * Every key normalizeData (and deduplication, geocoding and change detection)
+ * puts on a class, with its Airtable field. `json` fields hold arrays and are
+ * stored as JSON text. The first field becomes the primary field of a new table.
+ */
+const FIELDS = [
+  { key: 'title', name: 'Title', type: 'singleLineText' },
+  { key: 'id', name: 'Class ID', type: 'singleLineText' },
+  { key: 'provider', name: 'Provider', type: 'singleLineText' },
+  { key: 'date', name: 'Date', type: 'date', options: DATE_OPTIONS },
+  { key: 'endDate', name: 'End Date', type: 'date', options: DATE_OPTIONS },
+  { key: 'time', name: 'Time', type: 'singleLineText' },
+  { key: 'startTime', name: 'Start Time', type: 'singleLineText' },
+  { key: 'endTime', name: 'End Time', type: 'singleLineText' },
+  { key: 'sessions', name: 'Sessions', type: 'multilineText', json: true },
+  { key: 'location', name: 'Location', type: 'singleLineText' },
+  { key: 'address', name: 'Address', type: 'singleLineText' },
+  { key: 'city', name: 'City', type: 'singleLineText' },
+  { key: 'state', name: 'State', type: 'singleLineText' },
+  { key: 'zip', name: 'ZIP', type: 'singleLineText' },
+  { key: 'latitude', name: 'Latitude', type: 'number', options: COORDINATE_OPTIONS },
+  { key: 'longitude', name: 'Longitude', type: 'number', options: COORDINATE_OPTIONS },
+  { key: 'price', name: 'Price', type: 'currency', options: { precision: 2, symbol: '$' } },
+  { key: 'type', name: 'Type', type: 'singleSelect', options: { choices: COURSE_TYPES.map(name => ({ name })) } },
+  { key: 'courseCode', name: 'Course Code', type: 'singleLineText' },
+  { key: 'link', name: 'Link', type: 'url' },
+  { key: 'seatsRemaining', name: 'Seats Remaining', type: 'number', options: { precision: 0 } },
+  { key: 'waitlist', name: 'Waitlist', type: 'checkbox', options: { icon: 'check', color: 'greenBright' } },
+  { key: 'status', name: 'Status', type: 'singleSelect', options: { choices: STATUSES.map(name => ({ name })) } },
+  { key: 'region', name: 'Region', type: 'singleLineText' },
+  { key: 'sources', name: 'Sources', type: 'multilineText', json: true },
+  { key: 'lastUpdated', name: 'Last Updated', type: 'dateTime', options: DATE_TIME_OPTIONS },
+  { key: 'firstSeen', name: 'First Seen', type: 'dateTime', options: DATE_TIME_OPTIONS }
+];
+
+const FIELDS_BY_KEY = new Map(FIELDS.map(field => [field.key, field]));
+const FIELDS_BY_NAME = new Map(FIELDS.map(field => [field.name, field]));
+
+// Airtable field name for a class key; throws for keys the table doesn't have
+function fieldName(key) {
+  const field = FIELDS_BY_KEY.get(key);
+  if (!field) throw new Error(`No Airtable field for "${key}"`);
+  return field.name;
+}
+
+// Keys on the classes that have no Airtable field, in first-seen order
+function unmappedKeys(classes) {
+  const unmapped = new Set();
+  for (const cls of classes) {
+    for (const key of Object.keys(cls)) {
+      if (!FIELDS_BY_KEY.has(key)) unmapped.add(key);
+    }
+  }
+  return [...unmapped];
+}
+
+// A class as Airtable fields. A class that was retired and shows up again is
+// live once more, so a missing status is written as Active.
+function toAirtableFields(cls) {
+  const fields = {};
+  for (const [key, value] of Object.entries({ ...cls, status: cls.status || 'Active' })) {
+    const field = FIELDS_BY_KEY.get(key);
+    if (!field) continue;
+    fields[field.name] = field.json && value !== null && value !== undefined ? JSON.stringify(value) : value;
+  }
+  return fields;
+}
+
+// Back from a table record to the class shape normalizeData produces
+function fromAirtableRecord(record) {
+  const cls = {};
+  for (const [name, value] of Object.entries(record.fields)) {
+    const field = FIELDS_BY_NAME.get(name);
+    if (!field) continue;
+    cls[field.key] = field.json && typeof value === 'string' ? parseJson(value) : value;
+  }
+  cls.status = cls.status || null;
+  return cls;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare a table from the metadata API ({ fields: [{ id, name, type, options }] })
+ * with FIELDS. Returns { missingFields, missingChoices: [{ field, choices }],
+ * typeMismatches: [{ field, expected, actual }] }.
+ */
+function diffSchema(table) {
+  const existing = new Map(table.fields.map(field => [field.name, field]));
+  const diff = { missingFields: [], missingChoices: [], typeMismatches: [] };
+
+  for (const field of FIELDS) {
+    const current = existing.get(field.name);
+    if (!current) {
+      diff.missingFields.push(field);
+      continue;
+    }
+    if (current.type !== field.type) {
+      diff.typeMismatches.push({ field: field.name, expected: field.type, actual: current.type });
+      continue;
+    }
+    if (field.type === 'singleSelect') {
+      const have = new Set((current.options?.choices || []).map(choice => choice.name));
+      const choices = field.options.choices.map(choice => choice.name).filter(name => !have.has(name));
+      if (choices.length > 0) diff.missingChoices.push({ field: field.name, choices });
+    }
+  }
+
+  return diff;
+}
+
+// The metadata API's field definition (no key or json flag)
+function toFieldDefinition({ name, type, options }) {
+  return options ? { name, type, options } : { name, type };
+}
+
+module.exports = {
+  TABLE_NAME,
+  FIELDS,
+  fieldName,
+  unmappedKeys,
+  toAirtableFields,
+  fromAirtableRecord,
+  diffSchema,
+  toFieldDefinition
+};
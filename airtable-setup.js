@@ -1,141 +1,291 @@
 // airtable-setup.js
 // Helper functions for Airtable integration
 
+const { AirtableClient, AirtableError } = require('./airtable-client');
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+const { createGeocoder, distanceMiles } = require('./geocoder');
+const { RETIRED_STATUSES, canRetire } = require('./storage');
+const { priceChanges, averagePrices, sellOutSummary } = require('./history-store');
+const {
+  TABLE_NAME,
+  FIELDS,
+  fieldName,
+  unmappedKeys,
+  toAirtableFields,
+  fromAirtableRecord,
+  diffSchema,
+  toFieldDefinition
+} = require('./airtable-schema');
+
+// How long MotorcycleClassesAPI reuses the classes it read from storage
+const CLASSES_TTL_MS = 60 * 1000;
+
+const CLASS_ID = fieldName('id');
+const LAST_UPDATED = fieldName('lastUpdated');
+
+// {Field Name} reference for a class key in a formula
+function ref(key) {
+  return `{${fieldName(key)}}`;
+}
+
+// Airtable omits empty fields and unchecked checkboxes, so treat
+// null/undefined/''/false/[] as the same value
+function sameFieldValue(a, b) {
+  const empty = v => v === null || v === undefined || v === '' || v === false ||
+    (Array.isArray(v) && v.length === 0);
+  if (empty(a) && empty(b)) return true;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// A string literal for an Airtable formula
+function formulaString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * The storage query (see matchesQuery in storage.js) as a filterByFormula, or
+ * null when it doesn't filter anything. Empty fields are blank rather than
+ * text in formulas, hence the `& ''` before LOWER.
+ */
+function buildFilterFormula({ from, provider, region, search, active } = {}) {
+  const conditions = [];
+
+  if (from) {
+    conditions.push(ref('date'));
+    conditions.push(`NOT(IS_BEFORE(IF(${ref('endDate')}, ${ref('endDate')}, ${ref('date')}), ${formulaString(from)}))`);
+  }
+  if (provider) conditions.push(`${ref('provider')} = ${formulaString(provider)}`);
+  if (region) conditions.push(`${ref('region')} = ${formulaString(region)}`);
+  if (active) {
+    conditions.push(`NOT(OR(${RETIRED_STATUSES.map(status => `${ref('status')} = ${formulaString(status)}`).join(', ')}))`);
+  }
+  if (search) {
+    const term = formulaString(search.toLowerCase());
+    const fields = ['title', 'provider', 'location', 'type'].map(key => `FIND(${term}, LOWER(${ref(key)} & ''))`);
+    conditions.push(`OR(${fields.join(', ')})`);
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : `AND(${conditions.join(', ')})`;
+}
+
 class AirtableManager {
-  constructor(apiKey, baseId, tableId) {
+  // options are passed to AirtableClient (apiUrl, deadLetterPath, retry settings)
+  constructor(apiKey, baseId, tableId, options = {}) {
     this.apiKey = apiKey;
     this.baseId = baseId;
     this.tableId = tableId;
     this.baseUrl = `https://api.airtable.com/v0/${baseId}/${tableId}`;
+    this.client = new AirtableClient({ apiKey, baseId, tableId, ...options });
   }
 
-  // Create table structure (run once)
-  async setupTable() {
-    // Airtable schema for motorcycle classes
-    const tableSchema = {
-      name: "Motorcycle Classes",
-      fields: [
-        { name: "Title", type: "singleLineText" },
-        { name: "Provider", type: "singleLineText" },
-        { name: "Date", type: "date" },
-        { name: "Time", type: "singleLineText" },
-        { name: "Location", type: "singleLineText" },
-        { name: "Price", type: "currency", options: { precision: 2 } },
-        { name: "Type", type: "singleSelect", options: {
-          choices: [
-            { name: "Basic Rider Course" },
-            { name: "Intermediate Course" },
-            { name: "Advanced Course" },
-            { name: "Refresher Course" },
-            { name: "Motorcycle Safety Course" }
-          ]
-        }},
-        { name: "Link", type: "url" },
-        { name: "Region", type: "singleLineText" },
-        { name: "Last Updated", type: "dateTime" },
-        { name: "Status", type: "singleSelect", options: {
-          choices: [
-            { name: "Active" },
-            { name: "Full" },
-            { name: "Cancelled" },
-            { name: "Past" }
-          ]
-        }}
-      ]
-    };
+  // The table as the metadata API describes it, or null when the base has no such table
+  async describeTable() {
+    const { tables } = await this.client.metaRequest('GET', '/tables');
+    return tables.find(table => table.id === this.tableId || table.name === this.tableId) || null;
+  }
 
-    console.log("Manual setup required:");
-    console.log("1. Go to https://airtable.com/create/base");
-    console.log("2. Create a new base called 'Motorcycle Classes'");
-    console.log("3. Add the fields shown in the schema above");
-    console.log("4. Get your API key from https://airtable.com/account");
-    console.log("5. Get your base ID from the API documentation");
+  /**
+   * Create the table, or bring an existing one up to the schema in
+   * airtable-schema.js by adding the fields it lacks. Select choices can't be
+   * added through the metadata API, so missing ones are reported and Airtable
+   * adds them the first time a sync writes them (writes use typecast).
+   * Fields of the wrong type are reported, never changed. With check: true
+   * nothing is written. Resolves to { created, missingTable, addedFields,
+   * missingChoices, typeMismatches }.
+   */
+  async setupTable({ check = false } = {}) {
+    const table = await this.describeTable();
+
+    if (!table) {
+      const name = this.tableId.startsWith('tbl') ? TABLE_NAME : this.tableId;
+      if (check) {
+        return { created: false, missingTable: true, addedFields: [], missingChoices: [], typeMismatches: [] };
+      }
+      await this.client.metaRequest('POST', '/tables', { name, fields: FIELDS.map(toFieldDefinition) });
+      console.log(`🆕 Created Airtable table "${name}" with ${FIELDS.length} fields`);
+      return { created: true, missingTable: false, addedFields: FIELDS.map(field => field.name), missingChoices: [], typeMismatches: [] };
+    }
+
+    const diff = diffSchema(table);
+    const addedFields = [];
+    for (const field of diff.missingFields) {
+      if (!check) {
+        await this.client.metaRequest('POST', `/tables/${table.id}/fields`, toFieldDefinition(field));
+        console.log(`➕ Added field "${field.name}" (${field.type})`);
+      }
+      addedFields.push(field.name);
+    }
+    for (const { field, choices } of diff.missingChoices) {
+      console.log(`ℹ️  "${field}" is missing choices ${choices.join(', ')}; they are added on first use`);
+    }
+    for (const { field, expected, actual } of diff.typeMismatches) {
+      console.warn(`⚠️  "${field}" is a ${actual} field, expected ${expected}; change it in Airtable`);
+    }
+
+    return { created: false, missingTable: false, addedFields, missingChoices: diff.missingChoices, typeMismatches: diff.typeMismatches };
   }
 
-  async getAllClasses() {
+  /**
+   * Check before a sync that every key on the classes has an Airtable field and
+   * that the table has every field of the schema. Throws naming what's missing. A token
+   * without schema.bases:read can't see the schema; that only logs a warning.
+   */
+  async verifySchema(classes) {
+    const unmapped = unmappedKeys(classes);
+    if (unmapped.length > 0) {
+      throw new Error(`No Airtable field for class keys: ${unmapped.join(', ')} (add them to airtable-schema.js)`);
+    }
+
+    let table;
     try {
-      const response = await fetch(`${this.baseUrl}?sort[0][field]=Date&sort[0][direction]=asc`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      table = await this.describeTable();
+    } catch (error) {
+      if (error instanceof AirtableError && [401, 403, 404].includes(error.status)) {
+        console.warn(`⚠️  Could not read the Airtable schema (${error.status}); skipping the field check`);
+        return;
       }
-      
-      const data = await response.json();
-      return data.records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      throw error;
+    }
+    if (!table) throw new Error(`Airtable table "${this.tableId}" does not exist; run \`node cli.js setup-airtable\``);
+
+    const { missingFields, typeMismatches } = diffSchema(table);
+    const problems = [
+      ...missingFields.map(field => `missing "${field.name}"`),
+      ...typeMismatches.map(({ field, expected, actual }) => `"${field}" is ${actual}, expected ${expected}`)
+    ];
+    if (problems.length > 0) {
+      throw new Error(`Airtable table does not match the schema: ${problems.join('; ')}. Run \`node cli.js setup-airtable\``);
+    }
+  }
+
+  /**
+   * Classes from the table, across every page. options are Airtable's list
+   * parameters (filterByFormula, view, fields, sort, maxRecords). Logs and
+   * returns [] when the table can't be read; listClasses throws instead.
+   */
+  async getAllClasses(options = {}) {
+    try {
+      return (await this.client.listRecords(options)).map(fromAirtableRecord);
     } catch (error) {
-      console.error('Error fetching classes:', error);
+      console.error('Error fetching classes:', error.message);
       return [];
     }
   }
 
   async addClasses(classes) {
-    // Clear existing records first (optional)
-    await this.clearOldRecords();
+    // Upsert by class ID instead of wiping the table and re-adding everything
+    return this.syncClasses(classes);
+  }
 
-    // Add new records in batches
-    const batches = this.createBatches(classes, 10);
-    
-    for (const batch of batches) {
-      try {
-        const response = await fetch(this.baseUrl, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            records: batch.map(cls => ({ fields: cls }))
-          })
-        });
-
-        if (!response.ok) {
-          const error = await response.text();
-          console.error('Airtable batch error:', error);
-        } else {
-          console.log(`Successfully added batch of ${batch.length} classes`);
-        }
-      } catch (error) {
-        console.error('Error adding batch:', error);
+  // Sync scraped classes into the table, keyed on the `id` from generateId.
+  // New classes are created, changed ones patched, and classes that vanished
+  // from the scrape are marked Past/Cancelled instead of being deleted, as far
+  // as `scope` allows (see canRetire in storage.js).
+  async syncClasses(classes, today = formatDate(todayInLosAngeles()), scope = {}) {
+    const stats = { created: 0, updated: 0, unchanged: 0, retired: 0, failed: 0 };
+    const existing = await this.listRecords();
+
+    const recordsByClassId = new Map();
+    for (const record of existing) {
+      const classId = record.fields[CLASS_ID];
+      if (classId && !recordsByClassId.has(classId)) {
+        recordsByClassId.set(classId, record);
+      }
+    }
+
+    const toCreate = [];
+    const toUpdate = [];
+    const toRetire = [];
+    const seen = new Set();
+    const retirable = canRetire(scope);
+
+    for (const fields of classes.map(toAirtableFields)) {
+      const classId = fields[CLASS_ID];
+      if (!classId || seen.has(classId)) continue;
+      seen.add(classId);
+
+      const record = recordsByClassId.get(classId);
+      if (!record) {
+        toCreate.push({ fields });
+        continue;
       }
 
-      // Rate limiting - Airtable allows 5 requests per second
-      await new Promise(resolve => setTimeout(resolve, 250));
+      const changes = this.diffFields(record.fields, fields);
+      if (changes) {
+        toUpdate.push({ id: record.id, fields: changes });
+      } else {
+        stats.unchanged++;
+      }
+    }
+
+    for (const [classId, record] of recordsByClassId) {
+      if (seen.has(classId)) continue;
+      const stored = fromAirtableRecord(record);
+      const { status: current, date } = stored;
+      if (RETIRED_STATUSES.includes(current) || !retirable(stored)) continue;
+
+      const status = date && date < today ? 'Past' : 'Cancelled';
+      toRetire.push({ id: record.id, fields: { [fieldName('status')]: status } });
+    }
+
+    console.log(`🔄 Airtable sync: ${toCreate.length} new, ${toUpdate.length} changed, ${toRetire.length} to retire`);
+
+    const created = await this.client.createRecords(toCreate);
+    const updated = await this.client.updateRecords(toUpdate);
+    const retired = await this.client.updateRecords(toRetire);
+
+    stats.created = created.succeeded;
+    stats.updated = updated.succeeded;
+    stats.retired = retired.succeeded;
+    stats.failed = created.failed + updated.failed + retired.failed;
+
+    console.log(`✅ Airtable sync complete: ${stats.created} created, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.retired} retired`);
+    return stats;
+  }
+
+  // Returns only the fields that differ from the existing record, or null.
+  // Last Updated changes on every run, so it is only sent along with real changes.
+  diffFields(existingFields, fields) {
+    const changes = {};
+    for (const [name, value] of Object.entries(fields)) {
+      if (name === LAST_UPDATED) continue;
+      if (!sameFieldValue(existingFields[name], value)) {
+        changes[name] = value;
+      }
     }
+
+    if (Object.keys(changes).length === 0) return null;
+    if (fields[LAST_UPDATED]) changes[LAST_UPDATED] = fields[LAST_UPDATED];
+    return changes;
+  }
+
+  // Every raw record in the table, across all pages. Unlike getAllClasses this
+  // throws, so a failed read never looks like an empty table.
+  async listRecords(options = {}) {
+    return this.client.listRecords(options);
+  }
+
+  // The storage interface (see storage.js), with the query run by Airtable
+  async listClasses(query = {}) {
+    const filterByFormula = buildFilterFormula(query);
+    const records = await this.client.listRecords(filterByFormula ? { filterByFormula } : {});
+    return records.map(fromAirtableRecord);
+  }
+
+  // The table only holds the current values
+  async getHistory() {
+    return null;
   }
 
   async clearOldRecords() {
     try {
-      const existing = await this.getAllClasses();
-      const recordIds = existing.map(record => record.id);
-      
-      // Delete in batches of 10
-      const batches = this.createBatches(recordIds, 10);
-      
-      for (const batch of batches) {
-        const response = await fetch(`${this.baseUrl}`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            records: batch
-          })
-        });
-
-        if (response.ok) {
-          console.log(`Deleted batch of ${batch.length} old records`);
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 250));
-      }
+      const existing = await this.listRecords();
+      const { succeeded } = await this.client.deleteRecords(existing.map(record => record.id));
+      console.log(`Deleted ${succeeded} old records`);
     } catch (error) {
       console.error('Error clearing old records:', error);
     }
@@ -157,40 +307,106 @@ class AirtableManager {
 
 // Example usage for frontend integration
 class MotorcycleClassesAPI {
-  constructor(airtableManager) {
-    this.airtable = airtableManager;
+  // `storage` is any backend from storage.js (FileStorage, or an AirtableManager).
+  // options.geocoder resolves ZIP codes (and classes stored without coordinates),
+  // defaulting to the offline ZIP table with an in-memory cache; options.ttlMs is
+  // how long one read of the classes is reused; options.history is the
+  // HistoryStore the trend queries read (they return null without one)
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.history = options.history || null;
+    this.geocoder = options.geocoder || createGeocoder({ cachePath: null });
+    this.ttlMs = options.ttlMs ?? CLASSES_TTL_MS;
+    this.now = options.now || null;
+    this.cache = new Map();
+  }
+
+  // Stored classes matching a storage query (see storage.js), each distinct
+  // query read at most once per ttlMs. The backend does the filtering.
+  async loadClasses(query = {}) {
+    const key = JSON.stringify(query);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= this.ttlMs) return cached.classes;
+
+    const classes = await this.storage.listClasses(query);
+    this.cache.set(key, { fetchedAt: Date.now(), classes });
+    return classes;
   }
 
   async getUpcomingClasses(limit = 50) {
-    const classes = await this.airtable.getAllClasses();
-    const today = new Date();
-    
-    return classes
-      .filter(cls => new Date(cls.Date) >= today)
-      .sort((a, b) => new Date(a.Date) - new Date(b.Date))
+    const today = formatDate(todayInLosAngeles(this.now || new Date()));
+    const classes = await this.loadClasses({ from: today, active: true });
+
+    return [...classes]
+      .sort((a, b) => a.date.localeCompare(b.date))
       .slice(0, limit);
   }
 
   async getClassesByProvider(provider) {
-    const classes = await this.airtable.getAllClasses();
-    return classes.filter(cls => cls.Provider === provider);
+    return this.loadClasses({ provider });
   }
 
   async getClassesByRegion(region = 'Southern California') {
-    const classes = await this.airtable.getAllClasses();
-    return classes.filter(cls => cls.Region === region);
+    return this.loadClasses({ region });
+  }
+
+  // Upcoming active classes within radiusMiles of a ZIP code, nearest first,
+  // each with distanceMiles
+  async getClassesNear(zip, radiusMiles = 25) {
+    if (!/^\d{5}$/.test(String(zip))) {
+      throw new Error(`Expected a 5-digit ZIP code, got "${zip}"`);
+    }
+    const origin = await this.geocoder.geocode(String(zip));
+    if (!origin) {
+      throw new Error(`Unknown ZIP code ${zip}`);
+    }
+
+    const today = formatDate(todayInLosAngeles(this.now || new Date()));
+    const classes = await this.loadClasses({ from: today, active: true });
+    const nearby = [];
+
+    for (const cls of classes) {
+      const point = typeof cls.latitude === 'number' && typeof cls.longitude === 'number'
+        ? cls
+        : await this.geocoder.geocode(cls.location);
+      if (!point) continue;
+
+      const distance = distanceMiles(origin, point);
+      if (distance <= radiusMiles) {
+        nearby.push({ ...cls, distanceMiles: Math.round(distance * 10) / 10 });
+      }
+    }
+
+    return nearby.sort((a, b) => a.distanceMiles - b.distanceMiles || String(a.date).localeCompare(String(b.date)));
   }
 
   async searchClasses(query) {
-    const classes = await this.airtable.getAllClasses();
-    const searchTerm = query.toLowerCase();
-    
-    return classes.filter(cls => 
-      cls.Title?.toLowerCase().includes(searchTerm) ||
-      cls.Provider?.toLowerCase().includes(searchTerm) ||
-      cls.Location?.toLowerCase().includes(searchTerm) ||
-      cls.Type?.toLowerCase().includes(searchTerm)
-    );
+    return this.loadClasses({ search: query });
+  }
+
+  // Price and status changes for one class, or null when the storage keeps no history
+  async getClassHistory(id) {
+    return this.storage.getHistory ? this.storage.getHistory(id) : null;
+  }
+
+  // [{ observedAt, price }] for each run where the class's price changed
+  async getPriceHistory(id) {
+    if (!this.history) return null;
+    return priceChanges(await this.history.getObservations(id));
+  }
+
+  // Average price per provider and course type by 'day', 'week' or 'month',
+  // optionally narrowed to { provider, type, from, to } (see history-store.js)
+  async getAveragePrices({ interval = 'month', ...query } = {}) {
+    if (!this.history) return null;
+    return averagePrices(await this.history.listObservations(query), { interval });
+  }
+
+  // How soon classes sell out after being listed, and how long before the
+  // class date, per provider and course type
+  async getSellOutTimes(query = {}) {
+    if (!this.history) return null;
+    return sellOutSummary(await this.history.listObservations(query));
   }
 
   // Generate JSON feed for your website
@@ -203,14 +419,14 @@ class MotorcycleClassesAPI {
       lastUpdated: new Date().toISOString(),
       classes: classes.map(cls => ({
         id: cls.id,
-        title: cls.Title,
-        provider: cls.Provider,
-        date: cls.Date,
-        time: cls.Time,
-        location: cls.Location,
-        price: cls.Price,
-        type: cls.Type,
-        registrationLink: cls.Link
+        title: cls.title,
+        provider: cls.provider,
+        date: cls.date,
+        time: cls.time,
+        location: cls.location,
+        price: cls.price,
+        type: cls.type,
+        registrationLink: cls.link
       }))
     };
   }
@@ -218,7 +434,8 @@ class MotorcycleClassesAPI {
 
 // Frontend integration example (for your low-code tool)
 const frontendIntegration = {
-  // Webhook endpoint for real-time updates
+  // Webhook endpoint for real-time updates, for mounting in an Express-style app.
+  // `node cli.js serve` already serves this feed at /api/motorcycle-classes.
   webhook: async (req, res) => {
     const airtable = new AirtableManager(
       process.env.AIRTABLE_API_KEY,
@@ -264,6 +481,8 @@ const frontendIntegration = {
 
 module.exports = {
   AirtableManager,
+  buildFilterFormula,
+  fromAirtableRecord,
   MotorcycleClassesAPI,
   frontendIntegration
 };
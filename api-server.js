@@ -0,0 +1,335 @@
+// api-server.js
+// Small HTTP API over the scraped classes, read from the latest JSON snapshot,
+// the local store or Airtable:
+//   GET /classes            filters: provider, type, from, to, maxPrice, near (+ radius)
+//   GET /classes/:id
+//   GET /providers
+//   GET /health
+//   GET /api/motorcycle-classes   feed used by the embeddable widget (see /widget)
+//   GET /classes.ics, /classes.atom, /classes.rss   calendar and new-class feeds,
+//                                   taking the same filters as /classes
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const { findLatestSnapshot, loadSnapshot } = require('./change-detector');
+const { frontendIntegration } = require('./airtable-setup');
+const { createGeocoder, distanceMiles } = require('./geocoder');
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+const { toICalendar, toAtomFeed, toRssFeed, selectNewClasses } = require('./feed-export');
+const { RETIRED_STATUSES } = require('./storage');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_RADIUS_MILES = 25;
+// Browsers and CDNs may reuse a response this long before revalidating with the ETag
+const CACHE_MAX_AGE_SECONDS = 300;
+// How long the Airtable store reuses the table before reading it again
+const AIRTABLE_TTL_MS = 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Newest motorcycle-classes-YYYY-MM-DD.json in a directory, reloaded when it changes
+class SnapshotStore {
+  constructor({ dir = '.' } = {}) {
+    this.dir = dir;
+    this.name = 'snapshot';
+    this.cached = null;
+  }
+
+  async load() {
+    const file = await findLatestSnapshot(this.dir);
+    if (!file) throw new Error(`No motorcycle-classes-*.json snapshot in ${this.dir}`);
+
+    const { mtimeMs } = await fs.stat(file);
+    if (!this.cached || this.cached.file !== file || this.cached.mtimeMs !== mtimeMs) {
+      this.cached = { file, mtimeMs, classes: await loadSnapshot(file), loadedAt: new Date(mtimeMs).toISOString() };
+    }
+    return { classes: this.cached.classes, source: file, loadedAt: this.cached.loadedAt };
+  }
+}
+
+// Reads any storage backend (see storage.js) at most once per ttlMs
+class StorageStore {
+  constructor(storage, { name = storage.name || 'storage', ttlMs = AIRTABLE_TTL_MS } = {}) {
+    this.storage = storage;
+    this.ttlMs = ttlMs;
+    this.name = name;
+    this.cached = null;
+  }
+
+  async load() {
+    if (!this.cached || Date.now() - this.cached.fetchedAt > this.ttlMs) {
+      const classes = await this.storage.listClasses();
+      const fetchedAt = Date.now();
+      this.cached = { fetchedAt, classes, loadedAt: new Date(fetchedAt).toISOString() };
+    }
+    return { classes: this.cached.classes, source: this.storage.path || this.name, loadedAt: this.cached.loadedAt };
+  }
+}
+
+// Reads the table through AirtableManager
+class AirtableStore extends StorageStore {
+  constructor(airtableManager, { ttlMs = AIRTABLE_TTL_MS } = {}) {
+    super(airtableManager, { name: 'airtable', ttlMs });
+  }
+}
+
+// A path segment with its %-escapes decoded; a malformed escape is the client's mistake
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) throw new HttpError(400, `Malformed path segment ${segment}`);
+    throw error;
+  }
+}
+
+function parseDateParam(query, name) {
+  const value = query.get(name);
+  if (value === null) return null;
+  if (!DATE_PATTERN.test(value)) throw new HttpError(400, `${name} must be a YYYY-MM-DD date`);
+  return value;
+}
+
+function parseNumberParam(query, name) {
+  const value = query.get(name);
+  if (value === null) return null;
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * Apply /classes query parameters. provider and type match case-insensitively
+ * (type accepts the Airtable type or a courseCode such as BRC); from defaults to
+ * today so finished classes drop out; near is a ZIP code searched within radius
+ * miles, which also sorts the results by distance. Past and Cancelled classes,
+ * which the stores keep once they stop being listed, are always left out.
+ */
+async function filterClasses(classes, query, { geocoder, today }) {
+  const provider = query.get('provider')?.toLowerCase();
+  const type = query.get('type')?.toLowerCase();
+  const from = parseDateParam(query, 'from') || today;
+  const to = parseDateParam(query, 'to');
+  const maxPrice = parseNumberParam(query, 'maxPrice');
+  const near = query.get('near');
+  const radius = parseNumberParam(query, 'radius') ?? DEFAULT_RADIUS_MILES;
+
+  let results = classes.filter(cls =>
+    !RETIRED_STATUSES.includes(cls.status) &&
+    (!provider || cls.provider?.toLowerCase() === provider) &&
+    (!type || cls.type?.toLowerCase() === type || cls.courseCode?.toLowerCase() === type) &&
+    cls.date && (cls.endDate || cls.date) >= from &&
+    (!to || cls.date <= to) &&
+    (maxPrice === null || (typeof cls.price === 'number' && cls.price <= maxPrice))
+  );
+
+  if (near !== null) {
+    if (!/^\d{5}$/.test(near)) throw new HttpError(400, 'near must be a 5-digit ZIP code');
+    const origin = await geocoder.geocode(near);
+    if (!origin) throw new HttpError(400, `Unknown ZIP code ${near}`);
+
+    results = results
+      .filter(cls => typeof cls.latitude === 'number' && typeof cls.longitude === 'number')
+      .map(cls => ({ ...cls, distanceMiles: Math.round(distanceMiles(origin, cls) * 10) / 10 }))
+      .filter(cls => cls.distanceMiles <= radius)
+      .sort((a, b) => a.distanceMiles - b.distanceMiles || a.date.localeCompare(b.date));
+  } else {
+    results.sort((a, b) => a.date.localeCompare(b.date) || String(a.startTime).localeCompare(String(b.startTime)));
+  }
+
+  return results;
+}
+
+// Class count and next date per provider, leaving out Past and Cancelled
+// classes like the listings do
+function summarizeProviders(classes, today) {
+  const providers = new Map();
+  for (const cls of classes) {
+    if (!cls.provider || RETIRED_STATUSES.includes(cls.status)) continue;
+    const entry = providers.get(cls.provider) || { name: cls.provider, classes: 0, nextDate: null };
+    entry.classes++;
+    if (cls.date && cls.date >= today && (!entry.nextDate || cls.date < entry.nextDate)) {
+      entry.nextDate = cls.date;
+    }
+    providers.set(cls.provider, entry);
+  }
+  return [...providers.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The shape MotorcycleClassesAPI#generateJSONFeed documents for the widget
+function toFeed(classes, loadedAt) {
+  return {
+    title: 'Southern California Motorcycle Classes',
+    description: 'Comprehensive schedule of motorcycle safety courses',
+    lastUpdated: loadedAt,
+    classes: classes.map(cls => ({
+      id: cls.id,
+      title: cls.title,
+      provider: cls.provider,
+      date: cls.date,
+      time: cls.time,
+      location: cls.location,
+      price: cls.price,
+      type: cls.type,
+      registrationLink: cls.link
+    }))
+  };
+}
+
+const WIDGET_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Motorcycle Classes</title>
+</head>
+<body>
+${frontendIntegration.embeddableWidget}
+</body>
+</html>
+`;
+
+// Sends the body with a content-hash ETag, answering 304 when the client already has it
+function send(req, res, status, body, { contentType = 'application/json; charset=utf-8', cache = true } = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+  const headers = {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*'
+  };
+
+  if (cache && status === 200) {
+    const etag = `"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+    headers.ETag = etag;
+    headers['Cache-Control'] = `public, max-age=${CACHE_MAX_AGE_SECONDS}`;
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).some(tag => tag.replace(/^W\//, '') === etag || tag === '*')) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  } else {
+    headers['Cache-Control'] = 'no-store';
+  }
+
+  headers['Content-Length'] = Buffer.byteLength(payload);
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+/**
+ * Build (but don't start) the server. `store` is a SnapshotStore or AirtableStore;
+ * `now` fixes the clock that decides which classes are upcoming.
+ */
+function createApiServer({ store, geocoder = createGeocoder({ cachePath: null }), now = null } = {}) {
+  const clock = () => now || new Date();
+  const today = () => formatDate(todayInLosAngeles(clock()));
+
+  // Rendered with the data's load time rather than the clock, so ETags hold between runs
+  const feedOf = async (query, render) => {
+    const { classes, loadedAt } = await store.load();
+    const results = await filterClasses(classes, query, { geocoder, today: today() });
+    return render(results, new Date(loadedAt));
+  };
+
+  const routes = [
+    ['/health', async () => {
+      const { classes, source, loadedAt } = await store.load();
+      return { status: 'ok', store: store.name, source, classes: classes.length, lastUpdated: loadedAt };
+    }],
+    ['/classes', async query => {
+      const { classes } = await store.load();
+      const results = await filterClasses(classes, query, { geocoder, today: today() });
+      return { count: results.length, classes: results };
+    }],
+    [/^\/classes\/([^/]+)$/, async (query, [, id]) => {
+      const { classes } = await store.load();
+      const wanted = decodeSegment(id);
+      const cls = classes.find(candidate => candidate.id === wanted);
+      if (!cls) throw new HttpError(404, `No class with id ${wanted}`);
+      return cls;
+    }],
+    ['/providers', async () => {
+      const { classes } = await store.load();
+      return { providers: summarizeProviders(classes, today()) };
+    }],
+    ['/api/motorcycle-classes', async () => {
+      const { classes, loadedAt } = await store.load();
+      return toFeed(await filterClasses(classes, new URLSearchParams(), { geocoder, today: today() }), loadedAt);
+    }],
+    ['/classes.ics', query => feedOf(query, (results, stamp) => toICalendar(results, { now: stamp })),
+      'text/calendar; charset=utf-8'],
+    ['/classes.atom', query => feedOf(query, (results, stamp) =>
+      toAtomFeed(selectNewClasses(results, { now: clock(), today: today() }), { id: query.toString() || 'all', now: stamp })
+    ), 'application/atom+xml; charset=utf-8'],
+    ['/classes.rss', query => feedOf(query, (results, stamp) =>
+      toRssFeed(selectNewClasses(results, { now: clock(), today: today() }), { now: stamp })
+    ), 'application/rss+xml; charset=utf-8']
+  ];
+
+  return http.createServer(async (req, res) => {
+    let url = null;
+    let pathname = null;
+
+    try {
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        throw new HttpError(400, 'Malformed request URL');
+      }
+      pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+          'Access-Control-Allow-Headers': 'If-None-Match'
+        });
+        res.end();
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `${req.method} is not supported`);
+      }
+
+      if (pathname === '/widget') {
+        send(req, res, 200, WIDGET_PAGE, { contentType: 'text/html; charset=utf-8' });
+        return;
+      }
+
+      for (const [pattern, handler, contentType] of routes) {
+        const match = typeof pattern === 'string' ? (pattern === pathname && [pathname]) : pathname.match(pattern);
+        if (match) {
+          send(req, res, 200, await handler(url.searchParams, match), contentType ? { contentType } : undefined);
+          return;
+        }
+      }
+
+      throw new HttpError(404, `No route for ${pathname}`);
+    } catch (error) {
+      const status = error.status || (pathname === '/health' ? 503 : 500);
+      if (status >= 500) console.error(`❌ ${req.method} ${req.url} failed:`, error.message);
+      const body = pathname === '/health' ? { status: 'error', error: error.message } : { error: error.message };
+      send(req, res, status, body, { cache: false });
+    }
+  });
+}
+
+module.exports = {
+  createApiServer,
+  filterClasses,
+  SnapshotStore,
+  StorageStore,
+  AirtableStore,
+  DEFAULT_PORT
+};
@@ -0,0 +1,50 @@
+// availability.js
+// Turns the stock/seat text adapters scrape ("Out of stock", "Seats remaining: 4",
+// "Full - Join Waitlist") into seat counts and the Airtable Status choices
+
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+
+const SOLD_OUT_PATTERN = /sold\s*out|out\s*of\s*stock|\bfull\b|no\s+(?:seats|spots|spaces)|unavailable|closed/i;
+const WAITLIST_PATTERN = /wait\s*-?\s*list/i;
+const CANCELLED_PATTERN = /cancel+ed/i;
+
+const SEAT_COUNT_PATTERNS = [
+  // "4 seats left", "3 in stock", "2 spots remaining", "8 open"
+  /(\d+)\s*(?:seats?|spots?|spaces?|openings?)?\s*(?:left|remaining|available|open|in\s*stock)/i,
+  // "Seats remaining: 4", "Spots available 2", "Openings: 1"
+  /(?:seats?|spots?|spaces?|openings?)\s*(?:left|remaining|available|open)?\s*:?\s*(\d+)/i
+];
+
+// Seats left, 0 when sold out, or null when the text doesn't say
+function parseSeats(text) {
+  if (!text) return null;
+
+  for (const pattern of SEAT_COUNT_PATTERNS) {
+    const match = String(text).match(pattern);
+    if (match) return parseInt(match[1], 10);
+  }
+
+  return SOLD_OUT_PATTERN.test(text) ? 0 : null;
+}
+
+function isWaitlist(text) {
+  return Boolean(text) && WAITLIST_PATTERN.test(text);
+}
+
+/**
+ * Status choice for a class: Past once its last session is behind us (Los Angeles
+ * calendar), Cancelled/Full from the availability text or seat count, else Active.
+ */
+function deriveStatus({ availability, seatsRemaining, endDate }, today = formatDate(todayInLosAngeles())) {
+  if (endDate && endDate < today) return 'Past';
+  if (availability && CANCELLED_PATTERN.test(availability)) return 'Cancelled';
+  if (seatsRemaining === 0 || isWaitlist(availability)) return 'Full';
+  if (availability && SOLD_OUT_PATTERN.test(availability) && seatsRemaining === null) return 'Full';
+  return 'Active';
+}
+
+module.exports = {
+  parseSeats,
+  isWaitlist,
+  deriveStatus
+};
@@ -0,0 +1,154 @@
+// change-detector.js
+// Compares today's normalized classes with the previous snapshot
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { normalizeText } = require('./deduplicator');
+
+const SNAPSHOT_PATTERN = /^motorcycle-classes-(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Newest motorcycle-classes-YYYY-MM-DD.json in a directory, optionally before a given date
+async function findLatestSnapshot(dir = '.', beforeDate = null) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    return null;
+  }
+
+  const snapshots = files
+    .map(file => ({ file, match: file.match(SNAPSHOT_PATTERN) }))
+    .filter(({ match }) => match && (!beforeDate || match[1] < beforeDate))
+    .sort((a, b) => b.match[1].localeCompare(a.match[1]));
+
+  return snapshots.length > 0 ? path.join(dir, snapshots[0].file) : null;
+}
+
+async function loadSnapshot(filePath) {
+  if (!filePath) return [];
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  return Array.isArray(data) ? data : data.classes || [];
+}
+
+// What stays the same when a provider moves a class to another date
+function rescheduleKey(cls) {
+  return [cls.provider, cls.courseCode || cls.title, cls.location].map(normalizeText).join('|');
+}
+
+// Class IDs hash the start date, so a rescheduled class shows up as removed
+// and added. Where a provider, course and location lost exactly one class and
+// gained exactly one, that pair is one class on a new date instead.
+function matchReschedules(changes) {
+  const group = list => list.reduce((groups, cls) => {
+    const key = rescheduleKey(cls);
+    groups.set(key, [...(groups.get(key) || []), cls]);
+    return groups;
+  }, new Map());
+  const addedByKey = group(changes.added);
+
+  for (const [key, removed] of group(changes.removed)) {
+    const added = addedByKey.get(key) || [];
+    if (removed.length !== 1 || added.length !== 1) continue;
+    const [before] = removed;
+    const [after] = added;
+    changes.removed.splice(changes.removed.indexOf(before), 1);
+    changes.added.splice(changes.added.indexOf(after), 1);
+    changes.dateChanged.push({ before, after });
+  }
+}
+
+/**
+ * Classify what changed between two runs, keyed on class ID:
+ * { added, removed, priceChanged, dateChanged, nowFull }
+ * priceChanged/dateChanged/nowFull entries are { before, after } pairs; a
+ * class moved to another date is matched up by matchReschedules.
+ * With `providers`, only those providers' classes can count as removed; the
+ * others' sources didn't finish, so a missing class may just have gone unread.
+ */
+function diffClasses(previous, current, { providers = null } = {}) {
+  const complete = providers ? new Set(providers) : null;
+  const previousById = new Map(previous.map(cls => [cls.id, cls]));
+  const currentById = new Map(current.map(cls => [cls.id, cls]));
+
+  const changes = {
+    added: [],
+    removed: [],
+    priceChanged: [],
+    dateChanged: [],
+    nowFull: []
+  };
+
+  for (const [id, after] of currentById) {
+    const before = previousById.get(id);
+    if (!before) {
+      changes.added.push(after);
+      continue;
+    }
+
+    if ((before.price ?? null) !== (after.price ?? null)) {
+      changes.priceChanged.push({ before, after });
+    }
+    if ((before.date ?? null) !== (after.date ?? null) || (before.endDate ?? null) !== (after.endDate ?? null)) {
+      changes.dateChanged.push({ before, after });
+    }
+    if (after.status === 'Full' && before.status !== 'Full') {
+      changes.nowFull.push({ before, after });
+    }
+  }
+
+  for (const [id, before] of previousById) {
+    if (!currentById.has(id) && (!complete || complete.has(before.provider))) {
+      changes.removed.push(before);
+    }
+  }
+
+  matchReschedules(changes);
+  return changes;
+}
+
+function countChanges(changes) {
+  return Object.values(changes).reduce((total, list) => total + list.length, 0);
+}
+
+function describeClass(cls) {
+  const parts = [cls.title, cls.provider];
+  if (cls.date) parts.push(cls.date);
+  if (cls.location) parts.push(cls.location);
+  return parts.join(' · ');
+}
+
+function formatPrice(price) {
+  return price === null || price === undefined ? 'no price' : `$${price}`;
+}
+
+// Plain-text digest shared by every notifier
+function formatDigest(changes) {
+  const sections = [];
+
+  const section = (heading, list, describe) => {
+    if (list.length === 0) return;
+    sections.push([`${heading} (${list.length})`, ...list.map(item => `  - ${describe(item)}`)].join('\n'));
+  };
+
+  section('New classes', changes.added, cls => `${describeClass(cls)} (${formatPrice(cls.price)})${cls.link ? ` ${cls.link}` : ''}`);
+  section('Price changes', changes.priceChanged, ({ before, after }) => `${describeClass(after)}: ${formatPrice(before.price)} → ${formatPrice(after.price)}`);
+  section('Date changes', changes.dateChanged, ({ before, after }) => `${after.title} · ${after.provider}: ${before.date || 'no date'} → ${after.date || 'no date'}`);
+  section('Now full', changes.nowFull, ({ after }) => describeClass(after));
+  section('No longer listed', changes.removed, describeClass);
+
+  const total = countChanges(changes);
+  return {
+    subject: `Motorcycle classes: ${total} change${total === 1 ? '' : 's'} since last run`,
+    text: sections.join('\n\n'),
+    changes
+  };
+}
+
+module.exports = {
+  findLatestSnapshot,
+  loadSnapshot,
+  diffClasses,
+  countChanges,
+  formatDigest
+};
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line entry point for running individual pipeline stages:
+//   scrape, sync-airtable, setup-airtable, diff, list-sources, source-health, validate-config, serve
+
+const { parseArgs } = require('util');
+const fs = require('fs').promises;
+
+const MotorcycleClassScraper = require('./scraper');
+const { AirtableManager } = require('./airtable-setup');
+const { loadSources, getEnabledSources, DEFAULT_CONFIG_PATH } = require('./source-registry');
+const { loadSnapshot, diffClasses, countChanges, formatDigest } = require('./change-detector');
+const { createApiServer, SnapshotStore, StorageStore, AirtableStore, DEFAULT_PORT } = require('./api-server');
+const { FileStorage } = require('./storage');
+const { loadRunHistory, DEFAULT_RUN_HISTORY_PATH } = require('./run-report');
+
+// 2 lets the workflow tell "some sources or records failed" apart from a dead run
+const EXIT = {
+  OK: 0,
+  FAILURE: 1,
+  PARTIAL: 2,
+  USAGE: 64
+};
+
+class UsageError extends Error {}
+
+const HEALTH_MARKERS = { ok: '✅', new: '🆕', suspect: '⚠️ ', failing: '❌' };
+
+// AIRTABLE_API_URL points the client at another API host, such as a proxy
+function airtableFromEnv() {
+  const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE_ID, AIRTABLE_API_URL } = process.env;
+  if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE_ID) {
+    throw new Error('AIRTABLE_API_KEY, AIRTABLE_BASE_ID and AIRTABLE_TABLE_ID must be set');
+  }
+  return new AirtableManager(AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE_ID, AIRTABLE_API_URL ? { apiUrl: AIRTABLE_API_URL } : {});
+}
+
+// --source matches a source's name or its adapter type; explicitly named sources
+// run even when disabled in the config
+function selectSources(sources, names) {
+  if (!names || names.length === 0) return getEnabledSources(sources);
+
+  return names.flatMap(name => {
+    const wanted = name.toLowerCase();
+    const matches = sources.filter(source =>
+      source.name.toLowerCase() === wanted || source.adapter === wanted
+    );
+    if (matches.length === 0) {
+      throw new UsageError(`No source named "${name}" (see list-sources)`);
+    }
+    return matches;
+  });
+}
+
+function syncExitCode(stats) {
+  if (!stats || stats.failed === 0) return EXIT.OK;
+  return stats.created + stats.updated + stats.retired > 0 ? EXIT.PARTIAL : EXIT.FAILURE;
+}
+
+const commands = {
+  scrape: {
+    usage: 'scrape [--source <name>]... [--config <file>] [--output <file>] [--report <file>] [--dry-run]',
+    description: 'Scrape sources, then detect changes and save to Airtable/JSON (unless --dry-run; --source implies it)',
+    options: {
+      source: { type: 'string', multiple: true },
+      config: { type: 'string' },
+      output: { type: 'string' },
+      report: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    async run(values) {
+      const sources = selectSources(loadSources(values.config), values.source);
+      // Saving a subset of the sources would make every other provider's
+      // classes look cancelled, and all of them new again on the next full run
+      const dryRun = values['dry-run'] || Boolean(values.source);
+      const scraper = new MotorcycleClassScraper({ sourcesPath: values.config });
+
+      const classes = await scraper.scrapeAll(sources);
+      console.log(`📈 Final result: ${classes.length} classes processed`);
+
+      if (values.output) {
+        await fs.writeFile(values.output, JSON.stringify(classes, null, 2));
+        console.log(`💾 Wrote ${classes.length} classes to ${values.output}`);
+      }
+      if (values.report) {
+        await fs.writeFile(values.report, JSON.stringify(scraper.runReport, null, 2));
+        console.log(`💾 Wrote run report to ${values.report}`);
+      }
+
+      let stats = null;
+      if (dryRun) {
+        console.log(`🧪 Dry run${values['dry-run'] ? '' : ' (--source)'}: skipping change detection, Airtable, local store, snapshot, class history and run history`);
+      } else if (classes.length > 0) {
+        await scraper.detectChanges(classes);
+        await scraper.saveToStore(classes);
+        await scraper.saveToHistory(classes);
+
+        console.log('💾 Attempting to save to Airtable...');
+        stats = await scraper.saveToAirtable(classes);
+        console.log('✅ Save completed');
+      } else {
+        console.log('⚠️  No classes found - saving empty result for debugging');
+        await scraper.saveToJSON([]);
+      }
+      if (!dryRun) await scraper.recordRun();
+
+      if (sources.length > 0 && scraper.sourceErrors.length === sources.length) {
+        console.error('❌ Every source failed');
+        return EXIT.FAILURE;
+      }
+      if (scraper.sourceErrors.length > 0 || scraper.syncError || scraper.storeError) {
+        console.error(`⚠️  Partial failure: ${scraper.sourceErrors.length} source(s) failed${scraper.syncError ? `, Airtable: ${scraper.syncError}` : ''}${scraper.storeError ? `, local store: ${scraper.storeError}` : ''}`);
+        return EXIT.PARTIAL;
+      }
+      return syncExitCode(stats);
+    }
+  },
+
+  'sync-airtable': {
+    usage: 'sync-airtable --from <file.json> [--retire]',
+    description: 'Upsert classes from a saved JSON file into Airtable (--retire also retires the file\'s providers\' missing classes)',
+    options: {
+      from: { type: 'string' },
+      retire: { type: 'boolean', default: false }
+    },
+    async run(values) {
+      if (!values.from) throw new UsageError('--from <file.json> is required');
+
+      const classes = await loadSnapshot(values.from);
+      console.log(`📂 Loaded ${classes.length} classes from ${values.from}`);
+
+      // A file doesn't say which sources finished or what was quarantined, so
+      // nothing is retired unless asked, and then only for providers it has
+      const providers = values.retire ? [...new Set(classes.map(cls => cls.provider).filter(Boolean))] : [];
+      const stats = await airtableFromEnv().syncClasses(classes, undefined, { providers });
+      return syncExitCode(stats);
+    }
+  },
+
+  'setup-airtable': {
+    usage: 'setup-airtable [--check]',
+    description: 'Create the Airtable table or add the fields it is missing (--check only reports)',
+    options: {
+      check: { type: 'boolean', default: false }
+    },
+    async run(values) {
+      const result = await airtableFromEnv().setupTable({ check: values.check });
+
+      if (result.missingTable) console.log('❌ The table does not exist');
+      if (result.addedFields.length > 0) {
+        console.log(`${values.check ? '❌ Missing' : '✅ Added'} fields: ${result.addedFields.join(', ')}`);
+      }
+      for (const { field, choices } of result.missingChoices) {
+        console.log(`ℹ️  ${field} lacks choices: ${choices.join(', ')}`);
+      }
+      for (const { field, expected, actual } of result.typeMismatches) {
+        console.log(`❌ ${field} is ${actual}, expected ${expected}`);
+      }
+
+      const outdated = result.missingTable || (values.check && result.addedFields.length > 0);
+      if (outdated || result.typeMismatches.length > 0) return EXIT.FAILURE;
+      console.log('✅ Airtable schema is up to date');
+      return EXIT.OK;
+    }
+  },
+
+  diff: {
+    usage: 'diff <old.json> <new.json> [--json]',
+    description: 'Show what changed between two saved snapshots',
+    options: {
+      json: { type: 'boolean', default: false }
+    },
+    async run(values, positionals) {
+      if (positionals.length !== 2) throw new UsageError('diff needs exactly two files');
+
+      const [previous, current] = await Promise.all(positionals.map(file => loadSnapshot(file)));
+      const changes = diffClasses(previous, current);
+
+      if (values.json) {
+        console.log(JSON.stringify(changes, null, 2));
+      } else if (countChanges(changes) === 0) {
+        console.log('No changes');
+      } else {
+        const digest = formatDigest(changes);
+        console.log(digest.subject);
+        console.log('');
+        console.log(digest.text);
+      }
+      return EXIT.OK;
+    }
+  },
+
+  'list-sources': {
+    usage: 'list-sources [--config <file>]',
+    description: 'List configured sources and whether they are enabled',
+    options: {
+      config: { type: 'string' }
+    },
+    async run(values) {
+      for (const source of loadSources(values.config)) {
+        const marker = source.enabled ? '✅' : '⏸️ ';
+        console.log(`${marker} ${source.name} [${source.adapter}] ${source.region} — ${source.url}`);
+      }
+      return EXIT.OK;
+    }
+  },
+
+  'source-health': {
+    usage: 'source-health [--history <run-history.json>] [--runs <n>]',
+    description: 'Show each source\'s health and class counts from the run history',
+    options: {
+      history: { type: 'string' },
+      runs: { type: 'string', default: '7' }
+    },
+    async run(values) {
+      const runs = Number(values.runs);
+      if (!Number.isInteger(runs) || runs < 1) throw new UsageError(`--runs must be a positive number, got "${values.runs}"`);
+
+      const history = await loadRunHistory(values.history || process.env.RUN_HISTORY_PATH || DEFAULT_RUN_HISTORY_PATH);
+      if (history.length === 0) {
+        console.log('ℹ️  No runs recorded yet');
+        return EXIT.OK;
+      }
+
+      const latest = history[history.length - 1];
+      const recent = history.slice(-runs);
+      console.log(`🩺 Last run ${latest.startedAt} (${recent.length} run${recent.length === 1 ? '' : 's'} shown, oldest first)`);
+      for (const entry of latest.sources) {
+        const counts = recent.map(run => {
+          const other = run.sources.find(candidate => candidate.source === entry.source);
+          if (!other) return '·';
+          return other.status === 'failed' || other.status === 'timeout' ? '✗' : String(other.classes);
+        });
+        const baseline = entry.baseline === null || entry.baseline === undefined ? '' : `, usually ${entry.baseline}`;
+        const failures = entry.consecutiveFailures > 0 ? `, ${entry.consecutiveFailures} bad run(s) in a row` : '';
+        console.log(`${HEALTH_MARKERS[entry.health] || '❔'} ${entry.source} [${entry.health || 'unknown'}${baseline}${failures}]: ${counts.join(' ')}`);
+      }
+      return latest.warnings.length > 0 ? EXIT.PARTIAL : EXIT.OK;
+    }
+  },
+
+  serve: {
+    usage: 'serve [--port <n>] [--dir <snapshot dir>] [--db <classes-db.json>] [--airtable]',
+    description: 'Serve /classes, /providers, /health and the widget feed over HTTP',
+    options: {
+      port: { type: 'string' },
+      dir: { type: 'string', default: '.' },
+      db: { type: 'string' },
+      airtable: { type: 'boolean', default: false }
+    },
+    async run(values) {
+      const port = parseInt(values.port || process.env.PORT || DEFAULT_PORT, 10);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port must be a port number, got "${values.port}"`);
+      }
+
+      if (values.airtable && values.db) throw new UsageError('--db and --airtable are alternatives');
+      let store = new SnapshotStore({ dir: values.dir });
+      if (values.airtable) store = new AirtableStore(airtableFromEnv());
+      // The file is only re-read when it changes, so no TTL is needed
+      if (values.db) store = new StorageStore(new FileStorage({ path: values.db }), { ttlMs: 0 });
+      const server = createApiServer({ store });
+
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+      });
+      console.log(`🌐 Serving classes from ${values.airtable ? 'Airtable' : values.db || values.dir} on http://localhost:${server.address().port}`);
+
+      // Runs until interrupted
+      await new Promise(resolve => {
+        const stop = () => server.close(resolve);
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+      });
+      return EXIT.OK;
+    }
+  },
+
+  'validate-config': {
+    usage: 'validate-config [--config <file>]',
+    description: 'Check that the sources config loads and every entry is usable',
+    options: {
+      config: { type: 'string' }
+    },
+    async run(values) {
+      const configPath = values.config || process.env.SOURCES_CONFIG || DEFAULT_CONFIG_PATH;
+      try {
+        const sources = loadSources(configPath);
+        console.log(`✅ ${configPath}: ${sources.length} sources (${getEnabledSources(sources).length} enabled)`);
+        return EXIT.OK;
+      } catch (error) {
+        console.error(`❌ ${configPath}: ${error.message}`);
+        return EXIT.FAILURE;
+      }
+    }
+  }
+};
+
+function printHelp(log = console.log) {
+  log('Usage: node cli.js <command> [options]');
+  log('');
+  for (const command of Object.values(commands)) {
+    log(`  ${command.usage}`);
+    log(`      ${command.description}`);
+  }
+  log('');
+  log(`Exit codes: ${EXIT.OK} ok, ${EXIT.FAILURE} failed, ${EXIT.PARTIAL} partial failure, ${EXIT.USAGE} bad usage`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...args] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printHelp();
+    return name ? EXIT.OK : EXIT.USAGE;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command "${name}"`);
+    printHelp(console.error);
+    return EXIT.USAGE;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({ args, options: command.options, allowPositionals: true });
+    return await command.run(values, positionals);
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+        error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+      console.error(`${error.message}\nUsage: node cli.js ${command.usage}`);
+      return EXIT.USAGE;
+    }
+    console.error(`💥 ${name} failed:`, error.message);
+    return EXIT.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  EXIT
+};
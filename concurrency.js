@@ -0,0 +1,47 @@
+// concurrency.js
+// Small helpers for running async work with a bounded number of tasks in flight
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls running at once.
+// Results keep the order of `items`.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, () => worker());
+  await Promise.all(workers);
+  return results;
+}
+
+class DeadlineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeadlineError';
+  }
+}
+
+// Settles like `promise`, or rejects with a DeadlineError after `ms`. The work
+// itself keeps going; callers stop it (e.g. by closing its page) on timeout.
+async function withDeadline(promise, ms, message = `Timed out after ${ms}ms`) {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new DeadlineError(message)), ms);
+  });
+  try {
+    return await Promise.race([promise, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  mapWithConcurrency,
+  withDeadline,
+  DeadlineError
+};
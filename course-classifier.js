@@ -0,0 +1,125 @@
+// course-classifier.js
+// Maps provider course titles ("Basic RiderCourse (BRC) – Costa Mesa", "BRC2",
+// "Skilled Rider Course") onto a canonical course taxonomy and the Airtable
+// Type choices in data-quality.js
+
+// Checked in order, so more specific courses come before the ones whose
+// patterns they would also match (BRC2 and 3-Wheel before BRC)
+const COURSES = [
+  {
+    code: 'BRC3W',
+    name: '3-Wheel Basic RiderCourse',
+    type: 'Basic Rider Course',
+    patterns: [/\b3\s*-?\s*wheel/i, /three\s*-?\s*wheel/i, /\b3wbrc\b/i, /\btrike\b/i]
+  },
+  {
+    code: 'BRC2',
+    name: 'Basic RiderCourse 2',
+    type: 'Intermediate Course',
+    patterns: [/\bbrc\s*-?\s*(?:2|ii)\b/i, /basic\s*rider\s*course\s*(?:2|ii)\b/i, /intermediate/i]
+  },
+  {
+    code: 'RRBRC',
+    name: 'Returning Rider Basic RiderCourse',
+    type: 'Refresher Course',
+    patterns: [/returning\s*rider/i, /\brrbrc\b/i, /refresher/i]
+  },
+  {
+    code: 'SKILLED',
+    name: 'Skilled Rider Course',
+    type: 'Advanced Course',
+    patterns: [/skilled\s*rider/i]
+  },
+  {
+    code: 'SKILLS_PRACTICE',
+    name: 'Skills Practice',
+    type: 'Refresher Course',
+    patterns: [/skills?\s*practice/i, /practice\s*session/i, /\brsp\b/i]
+  },
+  {
+    code: 'ARC',
+    name: 'Advanced RiderCourse',
+    type: 'Advanced Course',
+    patterns: [/\barc\b/i, /advanced/i, /\bsport\s*bike\b/i]
+  },
+  {
+    code: 'NRC',
+    name: 'New Rider Course',
+    type: 'Basic Rider Course',
+    patterns: [/new\s*rider/i, /\bnrc\b/i]
+  },
+  {
+    code: 'BRC',
+    name: 'Basic RiderCourse',
+    type: 'Basic Rider Course',
+    patterns: [/\bbrc\b/i, /basic\s*rider\s*course/i, /\bbasic\b/i, /beginner/i]
+  }
+];
+
+// Airtable Type for anything that doesn't match a known course
+const GENERIC_TYPE = 'Motorcycle Safety Course';
+
+function getCourse(code) {
+  return COURSES.find(course => course.code === code) || null;
+}
+
+// `match` is a case-insensitive substring, or a regular expression written as "/.../flags"
+function toPattern(match) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(match);
+  if (regex) return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+  return new RegExp(match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+/**
+ * Check a source's `courseOverrides` config ([{ match, course }]) and compile the
+ * patterns. Throws on entries that can't be used so a bad config fails at load time.
+ */
+function compileOverrides(overrides = [], label = 'source') {
+  if (!Array.isArray(overrides)) {
+    throw new Error(`Source "${label}": "courseOverrides" must be an array`);
+  }
+
+  return overrides.map((override, index) => {
+    if (!override || typeof override.match !== 'string' || !override.match) {
+      throw new Error(`Source "${label}": courseOverrides[${index}] needs a "match" string`);
+    }
+    if (!getCourse(override.course)) {
+      throw new Error(`Source "${label}": courseOverrides[${index}] has unknown course "${override.course}" (expected one of ${COURSES.map(course => course.code).join(', ')})`);
+    }
+    return { pattern: toPattern(override.match), course: override.course };
+  });
+}
+
+// The course one piece of text names: an override's, else the first built-in match
+function matchCourse(text, overrides) {
+  const override = overrides.find(({ pattern }) => pattern.test(text));
+  if (override) return getCourse(override.course);
+  return COURSES.find(candidate => candidate.patterns.some(pattern => pattern.test(text))) || null;
+}
+
+/**
+ * Canonical course for a scraped class, from its title (and any type hint the
+ * adapter set), or from its description when the title names no course; a
+ * description often mentions other courses ("take the Advanced RiderCourse
+ * next"). Overrides from compileOverrides win over the built-in patterns.
+ * Returns { courseCode, type } where type is one of the Airtable Type choices;
+ * courseCode is null when nothing matched.
+ */
+function classifyCourse(cls, overrides = []) {
+  const title = [cls.title, cls.type].filter(Boolean).join('\n');
+  const course = (title && matchCourse(title, overrides)) ||
+    (cls.description && matchCourse(cls.description, overrides)) ||
+    null;
+
+  return course
+    ? { courseCode: course.code, type: course.type }
+    : { courseCode: null, type: GENERIC_TYPE };
+}
+
+module.exports = {
+  COURSES,
+  GENERIC_TYPE,
+  getCourse,
+  compileOverrides,
+  classifyCourse
+};
@@ -0,0 +1,197 @@
+// data-quality.js
+// Schema for normalized class records, per-record validation, and the
+// per-source quality report (field fill rates, rejection counts) saved each run
+
+// Choices of the Airtable "Type" single-select
+const COURSE_TYPES = [
+  'Basic Rider Course',
+  'Intermediate Course',
+  'Advanced Course',
+  'Refresher Course',
+  'Motorcycle Safety Course'
+];
+
+// Choices of the Airtable "Status" single-select
+const STATUSES = ['Active', 'Full', 'Cancelled', 'Past'];
+
+// Anything outside this range is almost certainly a mis-parsed price
+const PRICE_RANGE = { min: 0, max: 2000 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// Rules per field. `error` problems quarantine the record; `warning` problems
+// are only counted in the report.
+const SCHEMA = {
+  id: { required: true },
+  title: { required: true, maxLength: 200 },
+  provider: { required: true },
+  date: { required: true, pattern: DATE_PATTERN },
+  endDate: { pattern: DATE_PATTERN, notPast: true },
+  startTime: { pattern: TIME_PATTERN },
+  endTime: { pattern: TIME_PATTERN },
+  location: { required: true },
+  price: { type: 'number', min: PRICE_RANGE.min, max: PRICE_RANGE.max },
+  type: { required: true, oneOf: COURSE_TYPES },
+  // Unclassified titles still get the generic type, but are worth a look
+  courseCode: { required: true, severity: 'warning' },
+  link: { url: true },
+  seatsRemaining: { type: 'number', min: 0 },
+  status: { oneOf: STATUSES },
+  region: { required: true },
+  // Filled in by geocoding; missing coordinates only keep a class out of distance search
+  city: {},
+  zip: { pattern: /^\d{5}$/ },
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 }
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems with one field's value, as { rule, message } pairs
+function checkField(value, rule, today) {
+  if (isEmpty(value)) {
+    return rule.required ? [{ rule: 'required', message: 'is missing' }] : [];
+  }
+
+  const problems = [];
+  if (rule.type && typeof value !== rule.type) {
+    problems.push({ rule: 'type', message: `should be a ${rule.type}` });
+  }
+  if (rule.maxLength && String(value).length > rule.maxLength) {
+    problems.push({ rule: 'maxLength', message: `is longer than ${rule.maxLength} characters` });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    problems.push({ rule: 'pattern', message: `"${value}" is not in the expected format` });
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    problems.push({ rule: 'range', message: `${value} is below ${rule.min}` });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    problems.push({ rule: 'range', message: `${value} is above ${rule.max}` });
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    problems.push({ rule: 'oneOf', message: `"${value}" is not one of ${rule.oneOf.join(', ')}` });
+  }
+  if (rule.url && !isHttpUrl(value)) {
+    problems.push({ rule: 'url', message: `"${value}" is not an http(s) URL` });
+  }
+  if (rule.notPast && today && value < today) {
+    problems.push({ rule: 'notPast', message: `${value} is in the past` });
+  }
+  return problems;
+}
+
+/**
+ * Validate one normalized class against SCHEMA. `today` (YYYY-MM-DD, Los Angeles)
+ * enables the check that the class hasn't already ended.
+ * Returns { valid, errors, warnings } where each problem is { field, rule, message }.
+ */
+function validateClass(cls, { today } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [field, rule] of Object.entries(SCHEMA)) {
+    for (const problem of checkField(cls[field], rule, today)) {
+      const entry = { field, ...problem, message: `${field} ${problem.message}` };
+      (rule.severity === 'warning' ? warnings : errors).push(entry);
+    }
+  }
+
+  // Classes without an end date are checked on their start date instead
+  if (isEmpty(cls.endDate) && DATE_PATTERN.test(cls.date || '') && today && cls.date < today) {
+    errors.push({ field: 'date', rule: 'notPast', message: `date ${cls.date} is in the past` });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Split classes into those that pass validation and quarantined ones, which keep
+ * the record alongside the reasons it was rejected.
+ */
+function validateClasses(classes, options = {}) {
+  const valid = [];
+  const quarantined = [];
+  const results = [];
+
+  for (const cls of classes) {
+    const result = validateClass(cls, options);
+    results.push(result);
+    if (result.valid) {
+      valid.push(cls);
+    } else {
+      quarantined.push({ record: cls, reasons: result.errors.map(error => error.message) });
+    }
+  }
+
+  return { valid, quarantined, results };
+}
+
+function countBy(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+// Field fill rates and rejection/warning counts per provider
+function buildQualityReport(classes, results, generatedAt = new Date().toISOString()) {
+  const sources = {};
+
+  classes.forEach((cls, index) => {
+    const name = cls.provider || '(no provider)';
+    const source = sources[name] || (sources[name] = {
+      total: 0,
+      valid: 0,
+      quarantined: 0,
+      rejections: {},
+      warnings: {},
+      filled: Object.fromEntries(Object.keys(SCHEMA).map(field => [field, 0]))
+    });
+    const result = results[index];
+
+    source.total++;
+    if (result.valid) source.valid++;
+    else source.quarantined++;
+
+    for (const error of result.errors) countBy(source.rejections, `${error.field}.${error.rule}`);
+    for (const warning of result.warnings) countBy(source.warnings, `${warning.field}.${warning.rule}`);
+    for (const field of Object.keys(SCHEMA)) {
+      if (!isEmpty(cls[field])) source.filled[field]++;
+    }
+  });
+
+  for (const source of Object.values(sources)) {
+    source.fillRates = Object.fromEntries(Object.entries(source.filled).map(([field, count]) =>
+      [field, Math.round((count / source.total) * 100) / 100]
+    ));
+    delete source.filled;
+  }
+
+  const summed = key => Object.values(sources).reduce((sum, source) => sum + source[key], 0);
+  return {
+    generatedAt,
+    totals: { total: summed('total'), valid: summed('valid'), quarantined: summed('quarantined') },
+    sources
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  COURSE_TYPES,
+  STATUSES,
+  PRICE_RANGE,
+  validateClass,
+  validateClasses,
+  buildQualityReport
+};
@@ -0,0 +1,316 @@
+// date-parser.js
+// Parses the free-text dates and times providers use for class schedules
+// ("Sat, Nov 2 – Sun, Nov 3", "11/2-11/3/2026", "7:00am - 3:30pm") into
+// calendar dates and times in America/Los_Angeles.
+
+const TIME_ZONE = 'America/Los_Angeles';
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Longest span a dash range is expanded into one session per day
+const MAX_RANGE_DAYS = 7;
+
+// Dates without a year that are this far behind today belong to next year
+const PAST_YEAR_ROLLOVER_DAYS = 90;
+
+const WEEKDAY_PATTERN = /\b(?:mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|sday|urday)?\b\.?,?/g;
+const MERIDIEM = '(a\\.?m\\.?|p\\.?m\\.?)';
+const CLOCK = `(?<![\\d/])(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}?`;
+const TIME_RANGE_PATTERN = new RegExp(`${CLOCK}\\s*(?:-|to)\\s*${CLOCK}`, 'g');
+const SINGLE_TIME_PATTERN = new RegExp(`(?<![\\d/])(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}|(?<![\\d/])(\\d{1,2}):(\\d{2})`);
+
+const MONTH_NAMES = 'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec';
+const DATE_TOKEN_PATTERN = new RegExp([
+  // 2026-11-02
+  '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+  // 11/02/2026, 11/2/26, 11/2
+  '(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{2,4}))?',
+  // Nov 2, 2026 / November 2nd
+  `\\b(${MONTH_NAMES})[a-z]*\\.?\\s*(\\d{1,2})(?!\\d)(?:\\s*,?\\s*(\\d{4}))?`,
+  // 2 Nov 2026, but not the "12" of "Room 12 Nov 7", where a day follows the month
+  `\\b(\\d{1,2})\\s+(${MONTH_NAMES})[a-z]*\\.?(?:\\s*,?\\s*(\\d{4}))?(?!\\s*\\d)`,
+  // bare day continuing a month from earlier in the string ("Nov 2-3", "Nov 2 & 9");
+  // only kept after one of DAY_LIST_SEPARATOR
+  '(?<![\\d/:])\\b(\\d{1,2})\\b(?![/:\\d])(?:\\s*,?\\s*(\\d{4}))?'
+].join('|'), 'g');
+// What may stand between a date and a bare day continuing it, so "Nov 7 for 3 weeks"
+// is one date
+const DAY_LIST_SEPARATOR = /^\s*(?:-|&|,|and)\s*$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function toDayNumber({ year, month, day }) {
+  return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * 86400000);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// Today's calendar date in Los Angeles, regardless of the machine's time zone
+function todayInLosAngeles(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(now);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+// UTC offset ("-08:00" / "-07:00") in effect in Los Angeles at a local wall time
+function losAngelesOffset(date, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(date.year, date.month - 1, date.day, hours, minutes);
+
+  const offsetAt = instant => {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, timeZoneName: 'longOffset' })
+      .formatToParts(new Date(instant))
+      .find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    return match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) : 0;
+  };
+
+  // Guess with the offset at the wall-clock instant, then correct once for DST edges
+  const offset = offsetAt(wallClock - offsetAt(wallClock) * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+function toHour(hours, meridiem) {
+  if (!meridiem) return hours;
+  const pm = meridiem.startsWith('p');
+  if (hours === 12) return pm ? 12 : 0;
+  return pm ? hours + 12 : hours;
+}
+
+function formatTime(hours, minutes) {
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+// Pulls "7:00 AM - 3:30 PM" / "7am" / "15:30" out of text; returns times and the text without them
+function extractTimes(text) {
+  // "2-3" in "Nov 2-3" is a date range, not a time range: require a colon or am/pm
+  const range = [...text.matchAll(TIME_RANGE_PATTERN)]
+    .find(match => match[2] || match[3] || match[5] || match[6]);
+
+  if (range) {
+    const startHour = parseInt(range[1], 10);
+    const endHour = parseInt(range[4], 10);
+    const endMeridiem = range[6] && range[6].replace(/\./g, '');
+    let startMeridiem = range[3] && range[3].replace(/\./g, '');
+
+    const end = toHour(endHour, endMeridiem);
+    if (!startMeridiem && endMeridiem) {
+      // "7:00 - 3:30pm" is a morning start; "1 - 4pm" shares the afternoon
+      startMeridiem = toHour(startHour, endMeridiem) > end ? 'am' : endMeridiem;
+    }
+
+    return {
+      startTime: formatTime(toHour(startHour, startMeridiem), parseInt(range[2] || '0', 10)),
+      endTime: formatTime(end, parseInt(range[5] || '0', 10)),
+      rest: text.slice(0, range.index) + ' ' + text.slice(range.index + range[0].length)
+    };
+  }
+
+  const single = text.match(SINGLE_TIME_PATTERN);
+  if (single) {
+    const startTime = single[3]
+      ? formatTime(toHour(parseInt(single[1], 10), single[3].replace(/\./g, '')), parseInt(single[2] || '0', 10))
+      : formatTime(parseInt(single[4], 10), parseInt(single[5], 10));
+
+    return {
+      startTime,
+      endTime: null,
+      rest: text.slice(0, single.index) + ' ' + text.slice(single.index + single[0].length)
+    };
+  }
+
+  return { startTime: null, endTime: null, rest: text };
+}
+
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‒-―−]/g, '-')
+    .replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/g, '$1')
+    .replace(/\bthrough\b|\bthru\b|\buntil\b/g, '-')
+    .replace(/\bnoon\b/g, '12pm')
+    .replace(/\s+/g, ' ');
+}
+
+function toYear(value) {
+  if (!value) return null;
+  const year = parseInt(value, 10);
+  return value.length === 2 ? 2000 + year : year;
+}
+
+// Finds every date-like token in order; day-only tokens borrow the month before them
+function extractDateTokens(text) {
+  const tokens = [];
+  let lastMonth = null;
+  let lastEnd = 0;
+  let match;
+
+  DATE_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = DATE_TOKEN_PATTERN.exec(text)) !== null) {
+    let token = null;
+
+    if (match[1]) {
+      token = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+    } else if (match[4]) {
+      token = { year: toYear(match[6]), month: parseInt(match[4], 10), day: parseInt(match[5], 10) };
+    } else if (match[7]) {
+      token = { year: toYear(match[9]), month: MONTHS[match[7].slice(0, 3)], day: parseInt(match[8], 10) };
+    } else if (match[10]) {
+      token = { year: toYear(match[12]), month: MONTHS[match[11].slice(0, 3)], day: parseInt(match[10], 10) };
+    } else if (match[13] && lastMonth && DAY_LIST_SEPARATOR.test(text.slice(lastEnd, match.index))) {
+      token = { year: toYear(match[14]), month: lastMonth, day: parseInt(match[13], 10) };
+    }
+
+    if (!token || token.month < 1 || token.month > 12) continue;
+    if (token.year && (token.year < 2000 || token.year > 2100)) continue;
+    if (token.day < 1 || token.day > 31) continue;
+
+    token.start = match.index;
+    token.end = match.index + match[0].length;
+    lastMonth = token.month;
+    lastEnd = token.end;
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+// Year-less dates take the year of a later date in the same string ("11/2-11/3/2026"),
+// otherwise the next occurrence relative to today
+function assignYears(tokens, today) {
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    if (tokens[i].year) continue;
+    const later = tokens.slice(i + 1).find(token => token.year);
+    if (later) {
+      tokens[i].year = later.month < tokens[i].month ? later.year - 1 : later.year;
+    }
+  }
+
+  const todayNumber = toDayNumber(today);
+  let previous = null;
+  for (const token of tokens) {
+    if (!token.year) {
+      token.year = previous ? previous.year : today.year;
+      if (!previous && todayNumber - toDayNumber(token) > PAST_YEAR_ROLLOVER_DAYS) {
+        token.year++;
+      }
+      // "Dec 30 - Jan 2" crosses into the next year
+      if (previous && toDayNumber(token) < toDayNumber(previous)) {
+        token.year++;
+      }
+    }
+    previous = token;
+  }
+
+  return tokens.filter(token => token.day <= daysInMonth(token.year, token.month));
+}
+
+// Turns date tokens into session dates, expanding short dash ranges day by day
+function buildSessionDates(tokens, text) {
+  const dates = [];
+
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    const between = previous ? text.slice(previous.end, token.start) : '';
+
+    if (previous && /^\s*-\s*$/.test(between)) {
+      const from = toDayNumber(previous);
+      const to = toDayNumber(token);
+      if (to > from && to - from <= MAX_RANGE_DAYS) {
+        for (let day = from + 1; day < to; day++) {
+          dates.push(fromDayNumber(day));
+        }
+      }
+    }
+
+    dates.push({ year: token.year, month: token.month, day: token.day });
+  });
+
+  const unique = new Map(dates.map(date => [formatDate(date), date]));
+  return [...unique.values()].sort((a, b) => toDayNumber(a) - toDayNumber(b));
+}
+
+function withZone(date, time) {
+  return time ? `${formatDate(date)}T${time}:00${losAngelesOffset(date, time)}` : null;
+}
+
+/**
+ * Parse a provider's date text (and optional separate time text) into a schedule.
+ * Returns null when no date can be found.
+ *
+ * {
+ *   startDate: '2026-11-02', endDate: '2026-11-03',
+ *   startTime: '07:00', endTime: '15:30',
+ *   start: '2026-11-02T07:00:00-08:00', end: '2026-11-03T15:30:00-08:00',
+ *   sessions: [{ date, startTime, endTime, start, end }, ...],
+ *   timeZone: 'America/Los_Angeles'
+ * }
+ */
+function parseSchedule(dateStr, timeStr, options = {}) {
+  if (!dateStr) return null;
+
+  const today = options.today || todayInLosAngeles(options.now);
+  const text = normalizeText(dateStr).replace(WEEKDAY_PATTERN, ' ');
+
+  // Times can come in their own column or be embedded in the date text
+  const embedded = extractTimes(text);
+  const separate = timeStr ? extractTimes(normalizeText(timeStr)) : { startTime: null, endTime: null };
+  const startTime = separate.startTime || embedded.startTime;
+  const endTime = separate.startTime ? separate.endTime : embedded.endTime;
+
+  const tokens = assignYears(extractDateTokens(embedded.rest), today);
+  if (tokens.length === 0) return null;
+
+  const dates = buildSessionDates(tokens, embedded.rest);
+  const sessions = dates.map(date => ({
+    date: formatDate(date),
+    startTime,
+    endTime,
+    start: withZone(date, startTime),
+    end: withZone(date, endTime)
+  }));
+
+  const first = sessions[0];
+  const last = sessions[sessions.length - 1];
+
+  return {
+    startDate: first.date,
+    endDate: last.date,
+    startTime,
+    endTime,
+    start: first.start,
+    end: last.end,
+    sessions,
+    timeZone: TIME_ZONE
+  };
+}
+
+module.exports = {
+  parseSchedule,
+  todayInLosAngeles,
+  formatDate,
+  TIME_ZONE
+};
@@ -0,0 +1,141 @@
+// deduplicator.js
+// Finds the same class listed more than once (a school's own site and an MSI
+// portal, or a listing page and its detail page) and merges the copies into one
+// record that remembers every source it came from
+
+const crypto = require('crypto');
+
+// Words that say nothing about which venue a location is
+const LOCATION_STOPWORDS = new Set([
+  'the', 'and', 'at', 'of', 'ca', 'california', 'usa', 'parking', 'lot', 'st', 'street',
+  'dr', 'drive', 'ave', 'avenue', 'blvd', 'rd', 'road', 'suite', 'ste'
+]);
+
+// Share of the shorter location's words the other one must also contain
+const LOCATION_MATCH_THRESHOLD = 0.75;
+const TITLE_MATCH_THRESHOLD = 0.75;
+
+// Lowercase words with punctuation removed ("Costa Mesa, CA" → costa mesa ca)
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokens(text, stopwords = null) {
+  return new Set(normalizeText(text).split(' ').filter(word => word && !(stopwords && stopwords.has(word))));
+}
+
+// Overlap coefficient: shared words over the size of the smaller set
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Stable class ID: a SHA-256 of the normalized provider, title, start date and
+ * location, so IDs no longer collide for classes that share a long prefix.
+ */
+function hashClassId({ provider, title, date, location }) {
+  const key = [provider, title, date, location].map(normalizeText).join('|');
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function sameCourse(a, b) {
+  if (a.courseCode && b.courseCode) return a.courseCode === b.courseCode;
+  // Unclassified titles have to look alike instead
+  return a.type === b.type && similarity(tokens(a.title), tokens(b.title)) >= TITLE_MATCH_THRESHOLD;
+}
+
+function sameLocation(a, b) {
+  if (!a.location || !b.location) return false;
+  return similarity(tokens(a.location, LOCATION_STOPWORDS), tokens(b.location, LOCATION_STOPWORDS)) >= LOCATION_MATCH_THRESHOLD;
+}
+
+function sameStartTime(a, b) {
+  return !a.startTime || !b.startTime || a.startTime === b.startTime;
+}
+
+function isDuplicate(a, b) {
+  return a.date === b.date && sameStartTime(a, b) && sameCourse(a, b) && sameLocation(a, b);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function sourceOf(cls) {
+  return cls.sources || [{ id: cls.id, provider: cls.provider, link: cls.link || null }];
+}
+
+// The first record wins field by field; later copies only fill in what it lacks
+function mergeRecords(primary, duplicate) {
+  const merged = { ...primary };
+  for (const [field, value] of Object.entries(duplicate)) {
+    if (isEmpty(merged[field]) && !isEmpty(value)) merged[field] = value;
+  }
+
+  if (duplicate.lastUpdated && (!merged.lastUpdated || duplicate.lastUpdated > merged.lastUpdated)) {
+    merged.lastUpdated = duplicate.lastUpdated;
+  }
+
+  const seen = new Set();
+  merged.sources = [...sourceOf(primary), ...sourceOf(duplicate)].filter(source => {
+    const key = `${source.provider}|${source.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return merged;
+}
+
+/**
+ * Merge duplicate classes. Records are compared within the same start date, so
+ * order matters only for which copy's fields win (the earlier one, i.e. the
+ * source listed first in the config). Every returned record has `sources`:
+ * [{ id, provider, link }] for each listing it was built from.
+ * Returns { classes, merged } where merged counts records folded into another.
+ */
+function deduplicateClasses(classes) {
+  const result = [];
+  const byDate = new Map();
+  let merged = 0;
+
+  for (const cls of classes) {
+    // Nothing to match undated records on; validation rejects them anyway
+    if (!cls.date) {
+      result.push({ ...cls, sources: sourceOf(cls) });
+      continue;
+    }
+
+    const sameDay = byDate.get(cls.date) || [];
+    const index = sameDay.find(candidate => isDuplicate(result[candidate], cls));
+
+    if (index === undefined) {
+      sameDay.push(result.length);
+      byDate.set(cls.date, sameDay);
+      result.push({ ...cls, sources: sourceOf(cls) });
+    } else {
+      result[index] = mergeRecords(result[index], cls);
+      merged++;
+    }
+  }
+
+  return { classes: result, merged };
+}
+
+module.exports = {
+  hashClassId,
+  normalizeText,
+  isDuplicate,
+  mergeRecords,
+  deduplicateClasses
+};
@@ -0,0 +1,208 @@
+// diagnostics.js
+// Evidence for fixing a broken adapter without reproducing the run: while a
+// source is scraped its page's console messages and network traffic are
+// recorded, and when the source errors or finds nothing the scraper saves a
+// full-page screenshot, the rendered HTML, the console log and the network log
+// (as HAR) to diagnostics/<run>/<source>/.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { slugify } = require('./feed-export');
+const { version } = require('./package.json');
+
+const DEFAULT_DIAGNOSTICS_DIR = 'diagnostics';
+// Run folders kept on disk; the workflow uploads them with each run's artifact
+const DEFAULT_KEEP_RUNS = 10;
+
+function headerList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Start recording a page's console messages, uncaught errors and requests.
+ * Returns { consoleMessages, requests, detach() }; call detach() before the
+ * page goes back to the pool so the next source starts with a clean log.
+ */
+function recordPage(page) {
+  const consoleMessages = [];
+  const requests = [];
+  const byRequest = new Map();
+
+  const listeners = {
+    console: message => {
+      consoleMessages.push({ time: new Date().toISOString(), type: message.type(), text: message.text() });
+    },
+    pageerror: error => {
+      consoleMessages.push({ time: new Date().toISOString(), type: 'pageerror', text: error.message });
+    },
+    request: request => {
+      const entry = {
+        startedAt: new Date(),
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        requestHeaders: request.headers(),
+        status: null,
+        statusText: '',
+        responseHeaders: {},
+        durationMs: null,
+        error: null
+      };
+      byRequest.set(request, entry);
+      requests.push(entry);
+    },
+    response: response => {
+      const entry = byRequest.get(response.request());
+      if (!entry) return;
+      entry.status = response.status();
+      entry.statusText = response.statusText();
+      entry.responseHeaders = response.headers();
+      entry.durationMs = Date.now() - entry.startedAt;
+    },
+    requestfailed: request => {
+      const entry = byRequest.get(request);
+      if (!entry) return;
+      // Blocked images and trackers show up here as net::ERR_BLOCKED_BY_CLIENT
+      entry.error = request.failure()?.errorText || 'failed';
+      entry.durationMs = Date.now() - entry.startedAt;
+    }
+  };
+
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+
+  return {
+    consoleMessages,
+    requests,
+    detach() {
+      for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+    }
+  };
+}
+
+// The recorded requests as a HAR 1.2 log (headers and timings, no bodies)
+function toHar(requests) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'motorcycle-class-scraper', version },
+      pages: [],
+      entries: requests.map(entry => ({
+        startedDateTime: entry.startedAt.toISOString(),
+        time: entry.durationMs ?? -1,
+        request: {
+          method: entry.method,
+          url: entry.url,
+          httpVersion: 'HTTP/1.1',
+          headers: headerList(entry.requestHeaders),
+          queryString: queryString(entry.url),
+          cookies: [],
+          headersSize: -1,
+          bodySize: -1
+        },
+        response: {
+          status: entry.status ?? 0,
+          statusText: entry.error || entry.statusText,
+          httpVersion: 'HTTP/1.1',
+          headers: headerList(entry.responseHeaders),
+          cookies: [],
+          content: { size: -1, mimeType: entry.responseHeaders['content-type'] || '' },
+          redirectURL: entry.responseHeaders.location || '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: entry.durationMs ?? -1, receive: 0 },
+        _resourceType: entry.resourceType,
+        ...(entry.error ? { _error: entry.error } : {})
+      }))
+    }
+  };
+}
+
+function formatConsoleLog(messages) {
+  return messages.map(message => `${message.time} [${message.type}] ${message.text}`).join('\n') + (messages.length > 0 ? '\n' : '');
+}
+
+// Folder name for a run, sortable and safe on every filesystem
+function runFolderName(startedAt) {
+  return startedAt.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Write what is known about a failed or empty source to `dir`: info.json
+ * (source, reason, error, page URL), screenshot.png, page.html, console.log and
+ * network.har. Every file is attempted on its own; a page that has already
+ * crashed still leaves the logs behind. Resolves to the files written.
+ */
+async function saveDiagnostics(dir, { page, recorder, source, reason, error = null }) {
+  await fs.mkdir(dir, { recursive: true });
+  const written = [];
+  const attempt = async (file, produce) => {
+    try {
+      const content = await produce();
+      if (content !== undefined) await fs.writeFile(path.join(dir, file), content);
+      written.push(file);
+    } catch (failure) {
+      console.warn(`⚠️  Could not save ${file} for ${source.name}:`, failure.message);
+    }
+  };
+
+  const pageOpen = page && !page.isClosed();
+  await attempt('info.json', () => JSON.stringify({
+    source: source.name,
+    adapter: source.adapter,
+    url: source.url,
+    pageUrl: pageOpen ? page.url() : null,
+    reason,
+    error,
+    savedAt: new Date().toISOString()
+  }, null, 2));
+  if (pageOpen) {
+    await attempt('screenshot.png', () => page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true }).then(() => undefined));
+    await attempt('page.html', () => page.content());
+  }
+  if (recorder) {
+    await attempt('console.log', () => formatConsoleLog(recorder.consoleMessages));
+    await attempt('network.har', () => JSON.stringify(toHar(recorder.requests), null, 2));
+  }
+
+  return written;
+}
+
+// Remove all but the newest `keep` run folders
+async function pruneDiagnostics(root, keep = DEFAULT_KEEP_RUNS) {
+  let folders;
+  try {
+    folders = (await fs.readdir(root, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const stale = folders.sort().slice(0, Math.max(0, folders.length - keep));
+  await Promise.all(stale.map(folder => fs.rm(path.join(root, folder), { recursive: true, force: true })));
+  return stale;
+}
+
+// diagnostics/<run>/<source>
+function diagnosticsPath(root, startedAt, source) {
+  return path.join(root, runFolderName(startedAt), slugify(source.name) || 'source');
+}
+
+module.exports = {
+  recordPage,
+  toHar,
+  saveDiagnostics,
+  pruneDiagnostics,
+  diagnosticsPath,
+  DEFAULT_DIAGNOSTICS_DIR
+};
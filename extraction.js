@@ -0,0 +1,252 @@
+// extraction.js
+// Declarative extraction specs: which elements on a page are classes, where
+// each field lives inside them and how to reach the rest of the listing. The msi,
+// community-ed and generic adapters all run their specs through this engine,
+// so a new school's schedule page only needs an "extract" block in sources.json.
+
+const { crawlListing } = require('./pagination');
+
+const DEFAULT_WAIT_TIMEOUT_MS = 10000;
+
+const SPEC_OPTIONS = ['containers', 'fields', 'required', 'cells', 'headers', 'minCells', 'waitFor', 'waitTimeoutMs', 'next', 'maxPages', 'loadMore', 'scroll'];
+const FIELD_OPTIONS = ['selector', 'column', 'attribute', 'pattern', 'replace', 'from'];
+
+/**
+ * Runs inside the page (it is serialized by page.evaluate, so it may only use
+ * its argument and browser globals). Tries the spec's container selectors in
+ * order and reads fields from the first one that yields records. Resolves to
+ * { selector, records }.
+ */
+function extractFromDocument(spec) {
+  const toList = value => (Array.isArray(value) ? value : [value]);
+  const required = spec.required || ['title'];
+  const headerCache = new Map();
+
+  // Header row for a container: the spec's header cells, or its table's <thead>
+  // row (or first all-<th> row). Null for headerless tables and div listings.
+  function headerRow(container) {
+    if (spec.headers) {
+      const cells = Array.from(document.querySelectorAll(spec.headers));
+      return cells.length > 0 ? { element: cells[0].parentElement, cells } : null;
+    }
+    const table = container.closest('table');
+    if (!table) return null;
+    if (!headerCache.has(table)) {
+      const row = table.querySelector('thead tr') ||
+        Array.from(table.querySelectorAll('tr')).find(tr => tr.querySelector('th') && !tr.querySelector('td'));
+      headerCache.set(table, row ? { element: row, cells: Array.from(row.querySelectorAll('th, td')) } : null);
+    }
+    return headerCache.get(table);
+  }
+
+  // Header names match exactly first, then as part of a longer header ("Start Date");
+  // numeric positions are only used when there is no header row
+  function columnIndex(column, header) {
+    const candidates = toList(column);
+    if (header) {
+      const names = header.cells.map(cell => cell.textContent.trim().toLowerCase());
+      const wanted = candidates.filter(candidate => typeof candidate === 'string').map(name => name.toLowerCase());
+      for (const match of [(name, want) => name === want, (name, want) => name.includes(want)]) {
+        for (const want of wanted) {
+          const index = names.findIndex(name => match(name, want));
+          if (index >= 0) return index;
+        }
+      }
+      return -1;
+    }
+    const position = candidates.find(candidate => typeof candidate === 'number');
+    return position === undefined ? -1 : position;
+  }
+
+  function readField(container, cells, header, field) {
+    const rule = typeof field === 'string' ? { selector: field } : field;
+    let value;
+
+    if (rule.from === 'page') {
+      value = window.location.href;
+    } else {
+      let element = container;
+      if (rule.column !== undefined) {
+        const index = columnIndex(rule.column, header);
+        element = index >= 0 ? cells[index] : null;
+      }
+      if (element && rule.selector) element = element.querySelector(rule.selector);
+      if (!element) return undefined;
+
+      value = rule.attribute ? element.getAttribute(rule.attribute) : element.textContent;
+      if (value === null) return undefined;
+      if (rule.attribute === 'href' || rule.attribute === 'src') {
+        try {
+          value = new URL(value, document.baseURI).href;
+        } catch (error) {
+          // Leave unparseable links as written
+        }
+      }
+    }
+
+    value = value.trim();
+    if (rule.pattern) {
+      const match = value.match(new RegExp(rule.pattern, 'i'));
+      value = match ? (match[1] ?? match[0]) : '';
+    }
+    if (rule.replace) value = value.replace(new RegExp(rule.replace[0], 'gi'), rule.replace[1] ?? '');
+    value = value.trim();
+    return value || undefined;
+  }
+
+  let selector = null;
+  let records = [];
+  for (const candidate of toList(spec.containers)) {
+    records = Array.from(document.querySelectorAll(candidate)).map(container => {
+      const header = headerRow(container);
+      if (header && container.contains(header.element)) return null;
+
+      const cells = Array.from(container.querySelectorAll(spec.cells || 'td, th'));
+      if (spec.minCells && cells.length < spec.minCells) return null;
+
+      const record = {};
+      for (const [name, field] of Object.entries(spec.fields)) {
+        const value = readField(container, cells, header, field);
+        if (value !== undefined) record[name] = value;
+      }
+      return required.every(name => record[name]) ? record : null;
+    }).filter(Boolean);
+
+    if (records.length > 0) {
+      selector = candidate;
+      break;
+    }
+  }
+
+  return { selector, records };
+}
+
+function isSelectorList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.length > 0 && list.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+function checkPattern(pattern, label, name, option) {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Source "${label}": extract field "${name}" has an invalid ${option} (${error.message})`);
+  }
+}
+
+function validateField(field, name, label) {
+  if (typeof field === 'string') {
+    if (field.trim() === '') throw new Error(`Source "${label}": extract field "${name}" has an empty selector`);
+    return;
+  }
+  if (!field || typeof field !== 'object' || Array.isArray(field)) {
+    throw new Error(`Source "${label}": extract field "${name}" must be a selector or an object`);
+  }
+
+  const unknown = Object.keys(field).filter(key => !FIELD_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Source "${label}": extract field "${name}" has unknown option "${unknown[0]}" (expected ${FIELD_OPTIONS.join(', ')})`);
+  }
+  if (field.from !== undefined && field.from !== 'page') {
+    throw new Error(`Source "${label}": extract field "${name}" has an invalid "from" (only "page" is supported)`);
+  }
+  if (field.column !== undefined) {
+    const columns = Array.isArray(field.column) ? field.column : [field.column];
+    const valid = columns.length > 0 && columns.every(column =>
+      (typeof column === 'string' && column.trim() !== '') || (Number.isInteger(column) && column >= 0));
+    if (!valid) throw new Error(`Source "${label}": extract field "${name}" needs header names or column positions in "column"`);
+  }
+  if (field.from === undefined && field.column === undefined && !isSelectorList(field.selector)) {
+    throw new Error(`Source "${label}": extract field "${name}" needs a "selector", "column" or "from"`);
+  }
+  if (field.pattern !== undefined) checkPattern(field.pattern, label, name, 'pattern');
+  if (field.replace !== undefined) {
+    if (!Array.isArray(field.replace) || field.replace.length < 1 || field.replace.length > 2 || !field.replace.every(part => typeof part === 'string')) {
+      throw new Error(`Source "${label}": extract field "${name}" needs "replace" as [pattern, replacement]`);
+    }
+    checkPattern(field.replace[0], label, name, 'replace pattern');
+  }
+}
+
+// Check a spec when the config loads rather than on the first page it runs against
+function validateExtractionSpec(spec, label) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Source "${label}": "extract" must be an object`);
+  }
+
+  const unknown = Object.keys(spec).filter(key => !SPEC_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Source "${label}": "extract" has unknown option "${unknown[0]}" (expected ${SPEC_OPTIONS.join(', ')})`);
+  }
+  if (!isSelectorList(spec.containers)) {
+    throw new Error(`Source "${label}": "extract.containers" must be a selector or a list of selectors`);
+  }
+  if (!spec.fields || typeof spec.fields !== 'object' || Array.isArray(spec.fields) || Object.keys(spec.fields).length === 0) {
+    throw new Error(`Source "${label}": "extract.fields" must map field names to selectors`);
+  }
+  for (const [name, field] of Object.entries(spec.fields)) validateField(field, name, label);
+
+  const required = spec.required || ['title'];
+  if (!Array.isArray(required) || required.some(name => !(name in spec.fields))) {
+    throw new Error(`Source "${label}": "extract.required" must list fields defined in "extract.fields"`);
+  }
+  for (const option of ['cells', 'headers', 'waitFor']) {
+    if (spec[option] !== undefined && !(typeof spec[option] === 'string' && spec[option].trim() !== '')) {
+      throw new Error(`Source "${label}": "extract.${option}" must be a selector`);
+    }
+  }
+  // true picks the usual markup: rel=next and /page/N/ links, "Load more" buttons
+  for (const option of ['next', 'loadMore']) {
+    if (spec[option] !== undefined && spec[option] !== true && spec[option] !== false && !(typeof spec[option] === 'string' && spec[option].trim() !== '')) {
+      throw new Error(`Source "${label}": "extract.${option}" must be a selector or true`);
+    }
+  }
+  if (spec.scroll !== undefined && typeof spec.scroll !== 'boolean') {
+    throw new Error(`Source "${label}": "extract.scroll" must be true or false`);
+  }
+  for (const option of ['minCells', 'waitTimeoutMs', 'maxPages']) {
+    if (spec[option] !== undefined && !(Number.isInteger(spec[option]) && spec[option] > 0)) {
+      throw new Error(`Source "${label}": "extract.${option}" must be a whole number > 0`);
+    }
+  }
+}
+
+/**
+ * Load the source's page, run `spec` against it and every page after it (see
+ * crawlListing), and record the container selector that matched, and whether
+ * maxPages cut the listing short. Rows that show up on more than one page are
+ * kept once. Resolves to the records with the source's provider.
+ */
+async function runExtraction(page, source, spec, context = {}) {
+  let selector = null;
+  const { items, pages, truncated } = await crawlListing(page, source.url, async current => {
+    const result = await current.evaluate(extractFromDocument, spec);
+    selector = selector || result.selector;
+    return result.records;
+  }, {
+    next: spec.next || false,
+    maxPages: spec.maxPages,
+    waitFor: spec.waitFor,
+    waitTimeoutMs: spec.waitFor ? spec.waitTimeoutMs || DEFAULT_WAIT_TIMEOUT_MS : undefined,
+    itemSelector: [].concat(spec.containers).join(', '),
+    loadMore: spec.loadMore || null,
+    scroll: spec.scroll || false
+  });
+
+  if (pages > 1) {
+    console.log(`📄 ${source.name}: ${items.length} rows across ${pages} pages`);
+  }
+  context.recordSelector?.(selector);
+  if (truncated) context.recordIncomplete?.(`stopped after ${pages} listing pages (maxPages)`);
+
+  return items.map(record => ({
+    ...record,
+    provider: source.provider
+  }));
+}
+
+module.exports = {
+  runExtraction,
+  validateExtractionSpec,
+  extractFromDocument
+};
@@ -0,0 +1,326 @@
+// feed-export.js
+// Calendar and feed exports of the scraped classes: iCalendar (.ics) with one
+// VEVENT per session for calendar subscriptions, and Atom / RSS 2.0 feeds of
+// newly listed classes for feed readers and the newsletter tool. writeFeeds
+// renders each format for all classes, per provider and per course type.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const PRODUCT_ID = '-//motorcycle-class-scraper//Motorcycle Classes//EN';
+const UID_DOMAIN = 'motorcycle-class-scraper';
+const FEED_TITLE = 'Southern California Motorcycle Classes';
+// RSS channels must link somewhere; by default the widget page `cli.js serve` hosts
+const SITE_URL = process.env.FEED_SITE_URL || 'http://localhost:3000/widget';
+// A class counts as newly listed for this long after the run that first saw it
+const NEW_CLASS_WINDOW_DAYS = 14;
+const MAX_FEED_ENTRIES = 100;
+// RFC 5545 content lines are folded at 75 octets
+const ICS_LINE_OCTETS = 75;
+
+// Pacific time rules, so clients without a tz database still place events right
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Split a content line into 75-octet pieces without breaking a UTF-8 character
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = pieces.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+// 2026-11-07 → 20261107, with 07:30 → 20261107T073000
+function icsDate(date, time = null) {
+  const day = date.replace(/-/g, '');
+  return time ? `${day}T${time.replace(':', '')}00` : day;
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function formatPrice(price) {
+  return typeof price === 'number' ? `$${price}` : 'Price not listed';
+}
+
+function describeClass(cls) {
+  const lines = [
+    `Provider: ${cls.provider}`,
+    `Price: ${formatPrice(cls.price)}`
+  ];
+  if (cls.type) lines.push(`Course: ${cls.type}`);
+  if (cls.status && cls.status !== 'Active') lines.push(`Status: ${cls.status}`);
+  if (typeof cls.seatsRemaining === 'number') lines.push(`Seats remaining: ${cls.seatsRemaining}`);
+  if (cls.link) lines.push(`Register: ${cls.link}`);
+  return lines.join('\n');
+}
+
+// Each meeting of a class; classes without parsed sessions become one all-day span
+function sessionsOf(cls) {
+  if (cls.sessions && cls.sessions.length > 0) return cls.sessions;
+  if (!cls.date) return [];
+  return [{ date: cls.date, endDate: cls.endDate || cls.date, startTime: null, endTime: null }];
+}
+
+function buildEvent(cls, session, index, count, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${cls.id}-${icsDate(session.date)}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (session.startTime) {
+    lines.push(`DTSTART;TZID=${TIME_ZONE}:${icsDate(session.date, session.startTime)}`);
+    if (session.endTime) lines.push(`DTEND;TZID=${TIME_ZONE}:${icsDate(session.date, session.endTime)}`);
+  } else {
+    // All-day events end on the day after their last day
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(session.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${icsDate(nextDay(session.endDate || session.date))}`);
+  }
+
+  const summary = count > 1 ? `${cls.title} (day ${index + 1} of ${count})` : cls.title;
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (cls.location) lines.push(`LOCATION:${escapeText(cls.location)}`);
+  lines.push(`DESCRIPTION:${escapeText(describeClass(cls))}`);
+  if (cls.link) lines.push(`URL:${cls.link}`);
+  if (typeof cls.latitude === 'number' && typeof cls.longitude === 'number') {
+    lines.push(`GEO:${cls.latitude};${cls.longitude}`);
+  }
+  if (cls.type) lines.push(`CATEGORIES:${escapeText(cls.type)}`);
+  lines.push(`STATUS:${cls.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * iCalendar text for the classes, one VEVENT per session. Timed sessions are
+ * in Pacific time; classes without times become all-day events. UIDs are the
+ * class ID plus the session date, so calendar apps update events in place.
+ */
+function toICalendar(classes, { name = FEED_TITLE, now = new Date() } = {}) {
+  const stamp = icsTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...VTIMEZONE
+  ];
+
+  for (const cls of classes) {
+    const sessions = sessionsOf(cls);
+    sessions.forEach((session, index) => {
+      lines.push(...buildEvent(cls, session, index, sessions.length, stamp));
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Classes first seen within the last NEW_CLASS_WINDOW_DAYS (by `firstSeen`,
+ * which detectChanges stamps), newest first. Classes that have already
+ * started are left out.
+ */
+function selectNewClasses(classes, { now = new Date(), today = formatDate(todayInLosAngeles(now)) } = {}) {
+  const since = new Date(now.getTime() - NEW_CLASS_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return classes
+    .filter(cls => cls.firstSeen && cls.firstSeen >= since && cls.date && cls.date >= today)
+    .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen) || a.date.localeCompare(b.date))
+    .slice(0, MAX_FEED_ENTRIES);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function entryTitle(cls) {
+  return cls.date ? `${cls.title} · ${cls.date}` : cls.title;
+}
+
+function entrySummary(cls) {
+  return [cls.provider, cls.date, cls.location, formatPrice(cls.price)].filter(Boolean).join(' · ');
+}
+
+/**
+ * Atom feed of the given classes (normally selectNewClasses' output). Entry IDs
+ * are URNs of the class ID; published/updated is when the class was first seen.
+ */
+function toAtomFeed(classes, { title = FEED_TITLE, id = 'all', now = new Date() } = {}) {
+  const updated = classes.reduce((latest, cls) => (cls.firstSeen > latest ? cls.firstSeen : latest), '') || now.toISOString();
+  const entries = classes.map(cls => {
+    const seen = cls.firstSeen || updated;
+    return [
+      '  <entry>',
+      `    <id>urn:${UID_DOMAIN}:class:${escapeXml(cls.id)}</id>`,
+      `    <title>${escapeXml(entryTitle(cls))}</title>`,
+      cls.link ? `    <link rel="alternate" href="${escapeXml(cls.link)}"/>` : null,
+      `    <published>${seen}</published>`,
+      `    <updated>${seen}</updated>`,
+      `    <author><name>${escapeXml(cls.provider || 'Unknown provider')}</name></author>`,
+      cls.type ? `    <category term="${escapeXml(cls.type)}"/>` : null,
+      `    <summary>${escapeXml(entrySummary(cls))}</summary>`,
+      `    <content type="text">${escapeXml(describeClass(cls))}</content>`,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:${UID_DOMAIN}:feed:${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <generator>${UID_DOMAIN}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * RSS 2.0 version of the same feed, for tools that don't read Atom. `link` is
+ * the channel's home page, which RSS requires (FEED_SITE_URL by default).
+ */
+function toRssFeed(classes, { title = FEED_TITLE, link = SITE_URL, now = new Date() } = {}) {
+  const items = classes.map(cls => [
+    '    <item>',
+    `      <title>${escapeXml(entryTitle(cls))}</title>`,
+    cls.link ? `      <link>${escapeXml(cls.link)}</link>` : null,
+    `      <guid isPermaLink="false">urn:${UID_DOMAIN}:class:${escapeXml(cls.id)}</guid>`,
+    cls.firstSeen ? `      <pubDate>${new Date(cls.firstSeen).toUTCString()}</pubDate>` : null,
+    cls.type ? `      <category>${escapeXml(cls.type)}</category>` : null,
+    `      <description>${escapeXml(entrySummary(cls))}</description>`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(`Newly listed classes: ${title}`)}</description>`,
+    `    <lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// [{ path, title, classes }] for everything, each provider and each course type
+function groupFeeds(classes) {
+  const groups = [{ path: 'all', title: FEED_TITLE, classes }];
+  const add = (folder, key) => {
+    const byValue = new Map();
+    for (const cls of classes) {
+      if (!cls[key]) continue;
+      if (!byValue.has(cls[key])) byValue.set(cls[key], []);
+      byValue.get(cls[key]).push(cls);
+    }
+    for (const [value, members] of [...byValue].sort(([a], [b]) => a.localeCompare(b))) {
+      groups.push({ path: `${folder}/${slugify(value)}`, title: `${value} – ${FEED_TITLE}`, classes: members });
+    }
+  };
+  add('provider', 'provider');
+  add('type', 'type');
+  return groups;
+}
+
+/**
+ * Write <name>.ics, <name>.atom and <name>.rss under `dir` for all classes
+ * (feeds/all.*), each provider (feeds/provider/<slug>.*) and each course type
+ * (feeds/type/<slug>.*). The calendars hold every upcoming class; the feeds
+ * only the newly listed ones. Returns the paths written.
+ */
+async function writeFeeds(classes, { dir = 'feeds', now = new Date(), today = formatDate(todayInLosAngeles(now)) } = {}) {
+  const upcoming = classes
+    .filter(cls => cls.date && (cls.endDate || cls.date) >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const written = [];
+
+  for (const group of groupFeeds(upcoming)) {
+    const base = path.join(dir, group.path);
+    const fresh = selectNewClasses(group.classes, { now, today });
+    const id = group.path.replace(/\//g, ':');
+
+    await fs.mkdir(path.dirname(base), { recursive: true });
+    await fs.writeFile(`${base}.ics`, toICalendar(group.classes, { name: group.title, now }));
+    await fs.writeFile(`${base}.atom`, toAtomFeed(fresh, { title: group.title, id, now }));
+    await fs.writeFile(`${base}.rss`, toRssFeed(fresh, { title: group.title, now }));
+    written.push(`${base}.ics`, `${base}.atom`, `${base}.rss`);
+  }
+
+  return written;
+}
+
+module.exports = {
+  toICalendar,
+  toAtomFeed,
+  toRssFeed,
+  selectNewClasses,
+  writeFeeds,
+  slugify
+};
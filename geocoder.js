@@ -0,0 +1,228 @@
+// geocoder.js
+// Splits free-text class locations into address/city/state/ZIP and resolves
+// them to coordinates. The default geocoder is offline: a ZIP-centroid table
+// (data/zip-centroids.csv), falling back to city and 3-digit ZIP centroids.
+// Any object with `async geocode(text)` can be swapped in, and results are
+// cached in a JSON file so a remote geocoder is only asked once per location.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TABLE_PATH = path.join(__dirname, 'data', 'zip-centroids.csv');
+const DEFAULT_CACHE_PATH = 'geocode-cache.json';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// "…, Costa Mesa, CA 92626" / "Santa Ana, CA" / "92626"
+const STATE_ZIP_PATTERN = /,?\s*\b([A-Z]{2})\s+(\d{5})(?:-\d{4})?\s*$/;
+const TRAILING_ZIP_PATTERN = /(?:^|[\s,])(\d{5})(?:-\d{4})?\s*$/;
+const CITY_STATE_PATTERN = /(?:^|,)\s*([^,]+?),\s*([A-Z]{2})\s*$/;
+
+/**
+ * Split a location into { address, city, state, zip }. `knownCities` (lowercase
+ * name → display name) lets a bare "Riverside City College Lot D" yield a city.
+ * Fields that can't be found are null.
+ */
+function parseLocation(text, knownCities = new Map()) {
+  const place = { address: null, city: null, state: null, zip: null };
+  if (!text) return place;
+
+  let rest = String(text).replace(/\s+/g, ' ').trim();
+
+  const stateZip = rest.match(STATE_ZIP_PATTERN);
+  if (stateZip) {
+    place.state = stateZip[1];
+    place.zip = stateZip[2];
+    rest = rest.slice(0, stateZip.index).trim();
+  } else {
+    const zip = rest.match(TRAILING_ZIP_PATTERN);
+    if (zip) {
+      place.zip = zip[1];
+      rest = rest.slice(0, zip.index).trim();
+    }
+  }
+
+  if (place.state) {
+    // What's left ends with the city: "88 Fair Dr, Costa Mesa"
+    const lastComma = rest.lastIndexOf(',');
+    place.city = (lastComma === -1 ? rest : rest.slice(lastComma + 1)).trim() || null;
+    rest = lastComma === -1 ? '' : rest.slice(0, lastComma).trim();
+  } else {
+    const cityState = rest.match(CITY_STATE_PATTERN);
+    if (cityState) {
+      place.city = cityState[1].trim();
+      place.state = cityState[2];
+      rest = rest.slice(0, cityState.index).trim();
+    } else {
+      place.city = findKnownCity(rest, knownCities);
+    }
+  }
+
+  place.address = rest.replace(/,$/, '').trim() || null;
+  return place;
+}
+
+// Longest known city name in the text; "Orange County" is not the city of Orange
+function findKnownCity(text, knownCities) {
+  const lower = text.toLowerCase();
+  let best = null;
+
+  for (const [name, display] of knownCities) {
+    const pattern = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b(?!\\s+county)`);
+    if (pattern.test(lower) && (!best || name.length > best.name.length)) {
+      best = { name, display };
+    }
+  }
+
+  return best ? best.display : null;
+}
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceMiles(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+function average(points) {
+  const mean = key => Math.round((points.reduce((sum, point) => sum + point[key], 0) / points.length) * 1e4) / 1e4;
+  return { latitude: mean('latitude'), longitude: mean('longitude') };
+}
+
+class ZipCentroidGeocoder {
+  constructor({ tablePath = DEFAULT_TABLE_PATH } = {}) {
+    this.tablePath = tablePath;
+    this.table = null;
+  }
+
+  // zip → entry, plus city and 3-digit-prefix centroids averaged from the ZIPs
+  async load() {
+    if (this.table) return this.table;
+
+    const lines = (await fs.readFile(this.tablePath, 'utf8')).trim().split(/\r?\n/);
+    const header = lines.shift().split(',');
+    const zips = new Map();
+    const cityPoints = new Map();
+    const prefixPoints = new Map();
+
+    for (const line of lines) {
+      const row = Object.fromEntries(line.split(',').map((value, index) => [header[index], value.trim()]));
+      const entry = {
+        zip: row.zip,
+        city: row.city,
+        state: row.state,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude)
+      };
+      zips.set(entry.zip, entry);
+
+      const cityKey = entry.city.toLowerCase();
+      if (!cityPoints.has(cityKey)) cityPoints.set(cityKey, []);
+      cityPoints.get(cityKey).push(entry);
+
+      const prefix = entry.zip.slice(0, 3);
+      if (!prefixPoints.has(prefix)) prefixPoints.set(prefix, []);
+      prefixPoints.get(prefix).push(entry);
+    }
+
+    const cities = new Map([...cityPoints].map(([key, entries]) =>
+      [key, { city: entries[0].city, state: entries[0].state, ...average(entries) }]
+    ));
+    const prefixes = new Map([...prefixPoints].map(([prefix, entries]) => [prefix, average(entries)]));
+
+    this.table = { zips, cities, prefixes, cityNames: new Map([...cities].map(([key, city]) => [key, city.city])) };
+    return this.table;
+  }
+
+  async parse(text) {
+    const { cityNames } = await this.load();
+    return parseLocation(text, cityNames);
+  }
+
+  /**
+   * { latitude, longitude, zip, city, state, precision } for a location, where
+   * precision is 'zip', 'city' or 'zip3'; null when nothing in it is known.
+   */
+  async geocode(text) {
+    const { zips, cities, prefixes } = await this.load();
+    const place = await this.parse(text);
+
+    if (place.zip && zips.has(place.zip)) {
+      const entry = zips.get(place.zip);
+      return { latitude: entry.latitude, longitude: entry.longitude, zip: entry.zip, city: place.city || entry.city, state: entry.state, precision: 'zip' };
+    }
+
+    const city = place.city && cities.get(place.city.toLowerCase());
+    if (city) {
+      return { latitude: city.latitude, longitude: city.longitude, zip: place.zip, city: city.city, state: city.state, precision: 'city' };
+    }
+
+    const prefix = place.zip && prefixes.get(place.zip.slice(0, 3));
+    if (prefix) {
+      return { latitude: prefix.latitude, longitude: prefix.longitude, zip: place.zip, city: place.city, state: place.state, precision: 'zip3' };
+    }
+
+    return null;
+  }
+}
+
+// Wraps any geocoder with a JSON file cache keyed on the normalized location text
+class CachedGeocoder {
+  constructor(geocoder, { cachePath = DEFAULT_CACHE_PATH } = {}) {
+    this.geocoder = geocoder;
+    this.cachePath = cachePath;
+    this.cache = null;
+    this.dirty = false;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+    try {
+      this.cache = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+    } catch (error) {
+      this.cache = {};
+    }
+    return this.cache;
+  }
+
+  async geocode(text) {
+    const key = String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!key) return null;
+
+    const cache = await this.loadCache();
+    if (Object.prototype.hasOwnProperty.call(cache, key)) return cache[key];
+
+    // Misses are cached too, so unknown locations aren't looked up every run
+    const result = await this.geocoder.geocode(text);
+    cache[key] = result;
+    this.dirty = true;
+    return result;
+  }
+
+  async parse(text) {
+    return this.geocoder.parse ? this.geocoder.parse(text) : parseLocation(text);
+  }
+
+  async save() {
+    if (!this.dirty || !this.cachePath) return;
+    await fs.writeFile(this.cachePath, JSON.stringify(this.cache, null, 2));
+    this.dirty = false;
+  }
+}
+
+// Offline ZIP-centroid geocoder (or the one passed in) behind the file cache
+function createGeocoder({ geocoder, tablePath, cachePath } = {}) {
+  return new CachedGeocoder(geocoder || new ZipCentroidGeocoder({ tablePath }), { cachePath });
+}
+
+module.exports = {
+  parseLocation,
+  distanceMiles,
+  ZipCentroidGeocoder,
+  CachedGeocoder,
+  createGeocoder,
+  DEFAULT_TABLE_PATH
+};
@@ -0,0 +1,289 @@
+// history-store.js
+// Append-only time series of every class's price, status and seats: each run
+// adds one JSON line per class to class-history.jsonl, keyed by class id.
+// Unlike the change tables in classes-db.json nothing here is rewritten or
+// pruned, so the trend queries below (and in MotorcycleClassesAPI) can look
+// back over any span the file covers.
+
+const fs = require('fs').promises;
+
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+
+const DEFAULT_HISTORY_PATH = 'class-history.jsonl';
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isSoldOut(observation) {
+  return observation.status === 'Full' || observation.seatsRemaining === 0;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Los Angeles calendar date of an ISO timestamp
+function localDate(timestamp) {
+  return formatDate(todayInLosAngeles(new Date(timestamp)));
+}
+
+// The day, Monday-starting week or month an observation falls in
+function periodOf(timestamp, interval) {
+  const date = localDate(timestamp);
+  if (interval === 'month') return date.slice(0, 7);
+  if (interval === 'week') {
+    const [year, month, day] = date.split('-').map(Number);
+    const utc = new Date(Date.UTC(year, month - 1, day));
+    utc.setUTCDate(day - ((utc.getUTCDay() + 6) % 7));
+    return utc.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+function daysBetween(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / DAY_MS;
+}
+
+// Provider, then course type
+function compareGroups(a, b) {
+  return String(a.provider).localeCompare(String(b.provider)) || String(a.type).localeCompare(String(b.type));
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Narrow observations to { provider, type, from, to }: provider matches
+ * exactly, type matches the course type or its code (BRC), and from/to are
+ * YYYY-MM-DD dates the observation was made on or between.
+ */
+function filterObservations(observations, { provider, type, from, to } = {}) {
+  const wanted = type?.toLowerCase();
+  return observations.filter(observation => {
+    if (provider && observation.provider !== provider) return false;
+    if (wanted && observation.type?.toLowerCase() !== wanted && observation.courseCode?.toLowerCase() !== wanted) return false;
+    if (from || to) {
+      const date = localDate(observation.observedAt);
+      if ((from && date < from) || (to && date > to)) return false;
+    }
+    return true;
+  });
+}
+
+// One class's observations reduced to the runs where its price changed
+function priceChanges(observations) {
+  const points = [];
+  for (const observation of observations) {
+    const price = observation.price ?? null;
+    if (points.length > 0 && points[points.length - 1].price === price) continue;
+    points.push({ observedAt: observation.observedAt, price });
+  }
+  return points;
+}
+
+/**
+ * Average price per provider and course type for each day, week or month.
+ * A class seen several times in one period counts once, at its last price
+ * there; classes without a price are left out.
+ * Returns [{ period, provider, type, averagePrice, minPrice, maxPrice, classes }].
+ */
+function averagePrices(observations, { interval = 'month' } = {}) {
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(`Unknown interval "${interval}" (expected one of: ${INTERVALS.join(', ')})`);
+  }
+
+  // Observations are in run order, so later ones overwrite earlier ones
+  const latest = new Map();
+  for (const observation of observations) {
+    if (typeof observation.price !== 'number') continue;
+    const period = periodOf(observation.observedAt, interval);
+    latest.set(JSON.stringify([period, observation.classId]), { period, observation });
+  }
+
+  const groups = groupBy([...latest.values()], ({ period, observation }) =>
+    JSON.stringify([period, observation.provider ?? null, observation.type ?? null]));
+  return [...groups.entries()]
+    .map(([key, entries]) => {
+      const [period, provider, type] = JSON.parse(key);
+      const prices = entries.map(({ observation }) => observation.price);
+      return {
+        period,
+        provider,
+        type,
+        averagePrice: roundTo(prices.reduce((sum, price) => sum + price, 0) / prices.length, 2),
+        minPrice: Math.min(...prices),
+        maxPrice: Math.max(...prices),
+        classes: prices.length
+      };
+    })
+    .sort((a, b) => a.period.localeCompare(b.period) || compareGroups(a, b));
+}
+
+/**
+ * When each class was first listed and first seen Full (or with no seats
+ * left): { classId, provider, type, date, listedAt, listedFull, soldOutAt,
+ * daysToSellOut, daysBeforeClass }. soldOutAt is null for classes that still
+ * had seats at their last sighting.
+ */
+function sellOutTimes(observations) {
+  return [...groupBy(observations, observation => observation.classId).values()].map(seen => {
+    const first = seen[0];
+    const soldOut = seen.find(isSoldOut) || null;
+    return {
+      classId: first.classId,
+      provider: first.provider,
+      type: first.type,
+      date: first.date,
+      listedAt: first.observedAt,
+      listedFull: isSoldOut(first),
+      soldOutAt: soldOut ? soldOut.observedAt : null,
+      daysToSellOut: soldOut ? roundTo(daysBetween(first.observedAt, soldOut.observedAt), 1) : null,
+      daysBeforeClass: soldOut && first.date ? Math.round(daysBetween(localDate(soldOut.observedAt), first.date)) : null
+    };
+  });
+}
+
+/**
+ * How fast classes sell out, per provider and course type: how many classes
+ * were listed with seats, how many of those sold out, and the median days from
+ * listing to selling out and from selling out to the class. Classes that were
+ * already full when first seen sold out at an unknown time and only count
+ * towards listedFull.
+ */
+function sellOutSummary(observations) {
+  const groups = groupBy(sellOutTimes(observations), cls => JSON.stringify([cls.provider ?? null, cls.type ?? null]));
+  return [...groups.entries()]
+    .map(([key, classes]) => {
+      const [provider, type] = JSON.parse(key);
+      const listedOpen = classes.filter(cls => !cls.listedFull);
+      const soldOut = listedOpen.filter(cls => cls.soldOutAt);
+      return {
+        provider,
+        type,
+        classes: listedOpen.length,
+        soldOut: soldOut.length,
+        listedFull: classes.length - listedOpen.length,
+        medianDaysToSellOut: median(soldOut.map(cls => cls.daysToSellOut)),
+        medianDaysBeforeClass: median(soldOut.filter(cls => cls.daysBeforeClass !== null).map(cls => cls.daysBeforeClass))
+      };
+    })
+    .sort(compareGroups);
+}
+
+// True for a missing or empty file too
+async function endsWithNewline(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return true;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+class HistoryStore {
+  constructor({ path = process.env.CLASS_HISTORY_PATH || DEFAULT_HISTORY_PATH } = {}) {
+    this.path = path;
+    this.cached = null;
+  }
+
+  /**
+   * Append one observation per class (the first of any repeated id). Lines are
+   * only ever added, so a crash mid-write costs at most the line being written.
+   * Resolves to the number of observations written.
+   */
+  async append(classes, observedAt = new Date()) {
+    const timestamp = observedAt.toISOString();
+    const seen = new Set();
+    const lines = [];
+
+    for (const cls of classes) {
+      if (!cls.id || seen.has(cls.id)) continue;
+      seen.add(cls.id);
+      lines.push(JSON.stringify({
+        classId: cls.id,
+        observedAt: timestamp,
+        provider: cls.provider,
+        type: cls.type,
+        courseCode: cls.courseCode || null,
+        date: cls.date || null,
+        price: cls.price ?? null,
+        status: cls.status || 'Active',
+        seatsRemaining: cls.seatsRemaining ?? null,
+        waitlist: cls.waitlist === true
+      }));
+    }
+
+    if (lines.length > 0) {
+      // Start on a fresh line after one a crash cut short
+      const prefix = (await endsWithNewline(this.path)) ? '' : '\n';
+      await fs.appendFile(this.path, prefix + lines.join('\n') + '\n');
+    }
+    return lines.length;
+  }
+
+  // Every observation in the order it was made; reread only when the file changes
+  async load() {
+    let stat = null;
+    try {
+      stat = await fs.stat(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+
+    if (!this.cached || this.cached.mtimeMs !== stat.mtimeMs || this.cached.size !== stat.size) {
+      const observations = [];
+      for (const line of (await fs.readFile(this.path, 'utf8')).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          observations.push(JSON.parse(line));
+        } catch (error) {
+          // A line cut short by a crash; the rest of the file is still good
+        }
+      }
+      this.cached = { mtimeMs: stat.mtimeMs, size: stat.size, observations };
+    }
+    return this.cached.observations;
+  }
+
+  async listObservations(query = {}) {
+    return filterObservations(await this.load(), query);
+  }
+
+  async getObservations(classId) {
+    return (await this.load()).filter(observation => observation.classId === classId);
+  }
+}
+
+module.exports = {
+  HistoryStore,
+  filterObservations,
+  priceChanges,
+  averagePrices,
+  sellOutTimes,
+  sellOutSummary,
+  DEFAULT_HISTORY_PATH
+};
@@ -0,0 +1,128 @@
+// notifiers.js
+// Delivers the change digest from change-detector.js to webhooks, Slack and email
+
+const fetch = require('node-fetch');
+
+async function postJSON(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${await response.text()}`);
+  }
+}
+
+// Generic webhook: receives the full digest, including the changed records
+// (and the flagged sources, for a source health alert)
+class WebhookNotifier {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(digest) {
+    await postJSON(this.url, {
+      subject: digest.subject,
+      text: digest.text,
+      counts: Object.fromEntries(Object.entries(digest.changes).map(([kind, list]) => [kind, list.length])),
+      changes: digest.changes,
+      ...(digest.health ? { health: digest.health } : {})
+    });
+  }
+}
+
+// Slack-compatible incoming webhook (also accepted by Mattermost, Discord's /slack endpoint, etc.)
+class SlackNotifier {
+  constructor(url) {
+    this.name = 'slack';
+    this.url = url;
+  }
+
+  async send(digest) {
+    await postJSON(this.url, {
+      text: `*${digest.subject}*\n${digest.text}`
+    });
+  }
+}
+
+class EmailNotifier {
+  constructor({ host, port = 587, secure = false, user, pass, from, to }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.transportOptions = {
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    };
+  }
+
+  async send(digest) {
+    const nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport(this.transportOptions);
+    try {
+      await transport.sendMail({
+        from: this.from,
+        to: this.to,
+        subject: digest.subject,
+        text: digest.text
+      });
+    } finally {
+      transport.close();
+    }
+  }
+}
+
+// Builds whichever notifiers have their settings present in the environment
+function createNotifiersFromEnv(env = process.env) {
+  const notifiers = [];
+
+  if (env.NOTIFY_WEBHOOK_URL) {
+    notifiers.push(new WebhookNotifier(env.NOTIFY_WEBHOOK_URL));
+  }
+
+  if (env.SLACK_WEBHOOK_URL) {
+    notifiers.push(new SlackNotifier(env.SLACK_WEBHOOK_URL));
+  }
+
+  if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) {
+    notifiers.push(new EmailNotifier({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER,
+      to: env.NOTIFY_EMAIL_TO
+    }));
+  }
+
+  return notifiers;
+}
+
+// Send to every notifier; one failing channel doesn't stop the others
+async function sendDigest(digest, notifiers) {
+  const results = await Promise.allSettled(notifiers.map(notifier => notifier.send(digest)));
+
+  return results.map((result, i) => {
+    const name = notifiers[i].name;
+    if (result.status === 'fulfilled') {
+      console.log(`📣 Sent change digest via ${name}`);
+      return { name, ok: true };
+    }
+    console.error(`❌ ${name} notification failed:`, result.reason.message);
+    return { name, ok: false, error: result.reason.message };
+  });
+}
+
+module.exports = {
+  WebhookNotifier,
+  SlackNotifier,
+  EmailNotifier,
+  createNotifiersFromEnv,
+  sendDigest
+};
@@ -0,0 +1,142 @@
+// page-pool.js
+// A fixed number of browser pages shared by the sources of one run. Pages are
+// reused between sources, get default timeouts so a stuck adapter call fails
+// instead of hanging, and skip images, fonts, media and analytics requests.
+
+const DEFAULT_POOL_SIZE = 3;
+const DEFAULT_NAVIGATION_TIMEOUT_MS = 30000;
+
+const BLOCKED_RESOURCE_TYPES = new Set(['image', 'font', 'media']);
+
+// Trackers and ad networks the class pages load; none of them affect the listings
+const BLOCKED_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'doubleclick.net',
+  'connect.facebook.net',
+  'analytics.tiktok.com',
+  'bat.bing.com',
+  'hotjar.com',
+  'clarity.ms',
+  'segment.io',
+  'cdn.segment.com',
+  'newrelic.com',
+  'nr-data.net'
+];
+
+// True for requests a scrape never needs
+function shouldBlockRequest(resourceType, url) {
+  if (BLOCKED_RESOURCE_TYPES.has(resourceType)) return true;
+
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch (error) {
+    return false;
+  }
+  return BLOCKED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Apply the default timeouts and, optionally, request blocking to a new page
+async function preparePage(page, { navigationTimeoutMs = DEFAULT_NAVIGATION_TIMEOUT_MS, blockResources = true } = {}) {
+  page.setDefaultNavigationTimeout(navigationTimeoutMs);
+  page.setDefaultTimeout(navigationTimeoutMs);
+
+  if (blockResources) {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      // Another handler may already have answered this request
+      if (request.isInterceptResolutionHandled?.()) return;
+      if (shouldBlockRequest(request.resourceType(), request.url())) {
+        request.abort('blockedbyclient').catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+  }
+  return page;
+}
+
+async function closeQuietly(page) {
+  try {
+    if (!page.isClosed()) await page.close();
+  } catch (error) {
+    // Already gone with its target; nothing left to clean up
+  }
+}
+
+class PagePool {
+  constructor(browser, { size = DEFAULT_POOL_SIZE, navigationTimeoutMs = DEFAULT_NAVIGATION_TIMEOUT_MS, blockResources = true } = {}) {
+    this.browser = browser;
+    this.size = Math.max(1, size);
+    this.pageOptions = { navigationTimeoutMs, blockResources };
+    // Pages handed out, idle pages ready for reuse, and callers waiting for a slot
+    this.active = 0;
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  // A prepared page outside the pool's limit, for adapters that open extra pages
+  async newPage() {
+    return preparePage(await this.browser.newPage(), this.pageOptions);
+  }
+
+  // Waits while all `size` pages are in use
+  async acquire() {
+    if (this.active < this.size) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      const page = this.idle.pop();
+      return page && !page.isClosed() ? page : await this.newPage();
+    } catch (error) {
+      this.freeSlot();
+      throw error;
+    }
+  }
+
+  // Return a page. Pass discard for a page left mid-navigation by a timeout,
+  // so the next source gets a fresh one.
+  async release(page, { discard = false } = {}) {
+    try {
+      if (discard || page.isClosed()) {
+        await closeQuietly(page);
+      } else {
+        try {
+          await page.goto('about:blank');
+          this.idle.push(page);
+        } catch (error) {
+          await closeQuietly(page);
+        }
+      }
+    } finally {
+      this.freeSlot();
+    }
+  }
+
+  freeSlot() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  async close() {
+    const pages = this.idle.splice(0);
+    await Promise.all(pages.map(closeQuietly));
+  }
+}
+
+module.exports = {
+  PagePool,
+  preparePage,
+  shouldBlockRequest,
+  closeQuietly,
+  BLOCKED_HOSTS,
+  DEFAULT_POOL_SIZE,
+  DEFAULT_NAVIGATION_TIMEOUT_MS
+};
@@ -0,0 +1,158 @@
+// pagination.js
+// Reading a listing past its first screenful: "next" links (rel=next,
+// WooCommerce's /page/N/ links), "Load more" buttons and infinite scroll.
+// Used by the extraction engine and the RideRite adapter.
+
+// Listing pages followed before giving up, whatever the site's links say
+const DEFAULT_MAX_PAGES = 10;
+// "Load more" clicks or scrolls on one page
+const DEFAULT_MAX_ROUNDS = 20;
+// How long a click or scroll gets to add items before the listing counts as complete
+const SETTLE_TIMEOUT_MS = 3000;
+
+// Tried in order when a listing doesn't name its own next link
+const NEXT_LINK_SELECTORS = [
+  'link[rel="next"]',
+  'a[rel="next"]',
+  'a.next.page-numbers',
+  '.pagination a.next',
+  '.pager a.next'
+];
+
+// In-page: the absolute URL of the next page, or null. Without a configured
+// selector, falls back to a /page/N+1/ link under the current listing's path.
+function findNextLink(selectors, followPagePaths) {
+  const usable = href => href && !href.startsWith('#') && !href.startsWith('javascript:');
+  for (const selector of selectors) {
+    const href = document.querySelector(selector)?.getAttribute('href');
+    if (usable(href)) return new URL(href, document.baseURI).href;
+  }
+  if (!followPagePaths) return null;
+
+  const pagePath = /\/page\/(\d+)\/?$/;
+  const listingPath = location.pathname.replace(pagePath, '/');
+  const current = Number(location.pathname.match(pagePath)?.[1] || 1);
+  const link = Array.from(document.querySelectorAll('a[href]')).find(anchor => {
+    const url = new URL(anchor.href, document.baseURI);
+    const match = url.pathname.match(pagePath);
+    return match && Number(match[1]) === current + 1 && url.pathname.replace(pagePath, '/') === listingPath;
+  });
+  return link ? link.href : null;
+}
+
+// In-page: how many listing items have rendered so far
+function countItems(itemSelector) {
+  return document.querySelectorAll(itemSelector).length;
+}
+
+// In-page: click a visible "Load more" button, or scroll to the bottom when
+// there is more page below. Returns what it did, or null when there was nothing to do.
+function advanceListing(loadMore, scroll) {
+  if (loadMore) {
+    const candidates = loadMore === true
+      ? Array.from(document.querySelectorAll('button, a, [role="button"]')).filter(element => /^\s*(load|show|view|see) more\b/i.test(element.textContent))
+      : Array.from(document.querySelectorAll(loadMore));
+    const button = candidates.find(element => !element.disabled && element.getClientRects().length > 0);
+    if (button) {
+      button.click();
+      return 'click';
+    }
+  }
+  if (scroll) {
+    const bottom = (document.scrollingElement || document.documentElement).scrollHeight;
+    if (window.scrollY + window.innerHeight < bottom - 1) {
+      window.scrollTo(0, bottom);
+      return 'scroll';
+    }
+  }
+  return null;
+}
+
+/**
+ * Click "Load more" (`loadMore`: a selector, or true for buttons labelled
+ * Load/Show/View/See more) and/or scroll to the bottom until `itemSelector`
+ * stops matching more elements. Resolves to the number of clicks and scrolls.
+ */
+async function expandListing(page, { itemSelector, loadMore = null, scroll = false, maxRounds = DEFAULT_MAX_ROUNDS }) {
+  if (!loadMore && !scroll) return 0;
+
+  let count = await page.evaluate(countItems, itemSelector);
+  let rounds = 0;
+  while (rounds < maxRounds) {
+    const action = await page.evaluate(advanceListing, loadMore, scroll);
+    if (!action) break;
+    rounds++;
+
+    const grew = await page.waitForFunction(
+      (selector, before) => document.querySelectorAll(selector).length > before,
+      { timeout: SETTLE_TIMEOUT_MS },
+      itemSelector,
+      count
+    ).then(() => true, () => false);
+    if (!grew) break;
+    count = await page.evaluate(countItems, itemSelector);
+  }
+  return rounds;
+}
+
+/**
+ * Read every page of a listing starting at `url`. Each page is loaded,
+ * expanded (see expandListing) and read with `readPage(page)`, which resolves
+ * to that page's items; then its next link is followed (`next`: a selector, or
+ * true for rel=next and /page/N/ links). Items are deduplicated by `keyOf`.
+ * Stops after `maxPages`, at a page already read, or at a page with nothing new,
+ * which is what some shops serve for any page number past the last.
+ * Resolves to { items, pages, truncated }; truncated is true when `maxPages`
+ * stopped the crawl with a next page still to read.
+ */
+async function crawlListing(page, url, readPage, options = {}) {
+  const {
+    next = true,
+    maxPages = DEFAULT_MAX_PAGES,
+    keyOf = item => JSON.stringify(item),
+    waitFor = null,
+    waitTimeoutMs,
+    gotoOptions = { waitUntil: 'networkidle2' }
+  } = options;
+  const nextSelectors = typeof next === 'string' ? [next] : NEXT_LINK_SELECTORS;
+
+  const items = [];
+  const seen = new Set();
+  const visited = new Set();
+  let target = url;
+
+  while (target && !visited.has(target) && visited.size < maxPages) {
+    visited.add(target);
+    await page.goto(target, gotoOptions);
+    // Apps that render after load (MSI's React portal) name an element to wait for
+    if (waitFor) await page.waitForSelector(waitFor, waitTimeoutMs ? { timeout: waitTimeoutMs } : {});
+    if (options.itemSelector) await expandListing(page, options);
+
+    let added = 0;
+    for (const item of await readPage(page)) {
+      const key = keyOf(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      items.push(item);
+      added++;
+    }
+
+    if (!next || added === 0) break;
+    target = await page.evaluate(findNextLink, nextSelectors, next === true);
+  }
+
+  const truncated = Boolean(target) && !visited.has(target);
+  if (truncated) {
+    console.warn(`⚠️  ${url}: stopped after ${maxPages} pages, ${target} and any after it were not read`);
+  }
+
+  return { items, pages: visited.size, truncated };
+}
+
+module.exports = {
+  crawlListing,
+  expandListing,
+  findNextLink,
+  DEFAULT_MAX_PAGES,
+  NEXT_LINK_SELECTORS
+};
@@ -0,0 +1,134 @@
+// run-report.js
+// Structured report of one scrape run, kept in a history file so each source's
+// class count can be compared with its recent runs. A source whose count falls
+// sharply (or to nothing) is flagged as probably broken rather than passing
+// as "no classes".
+
+const fs = require('fs').promises;
+
+const DEFAULT_RUN_HISTORY_PATH = 'run-history.json';
+// Roughly three months of daily runs
+const DEFAULT_KEEP_RUNS = 90;
+
+const HEALTH_DEFAULTS = {
+  // Recent successful runs the baseline is taken from, and how many are needed
+  window: 7,
+  minRuns: 3,
+  // Flag a source that found less than this share of its usual count
+  minShare: 0.5
+};
+
+/**
+ * One run as plain JSON. `sources` are the per-source entries from the scraper:
+ * { source, adapter, status: 'ok' | 'empty' | 'failed' | 'timeout', durationMs,
+ * classes, selector, error, diagnostics? } (diagnostics is the folder saved for a
+ * failed or empty source). `valid` and `quarantined` count the final records.
+ */
+function buildRunReport({ startedAt, finishedAt, sources, valid = null, quarantined = null }) {
+  const count = status => sources.filter(entry => entry.status === status).length;
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    totals: {
+      sources: sources.length,
+      ok: count('ok'),
+      empty: count('empty'),
+      failed: count('failed'),
+      timedOut: count('timeout'),
+      scraped: sources.reduce((sum, entry) => sum + entry.classes, 0),
+      valid,
+      quarantined
+    },
+    sources: sources.map(entry => ({ ...entry })),
+    warnings: []
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compare each source in the report with the same source in earlier reports
+ * (oldest first) and fill in its `baseline` (median count of its recent
+ * successful runs), `health` ('ok', 'suspect', 'failing' or 'new') and
+ * `consecutiveFailures` (runs in a row, this one included, that failed or found
+ * nothing). Flagged sources are also listed in report.warnings.
+ */
+function assessHealth(report, history, options = {}) {
+  const { window, minRuns, minShare } = { ...HEALTH_DEFAULTS, ...options };
+  report.warnings = [];
+
+  for (const entry of report.sources) {
+    const previous = history
+      .map(run => run.sources.find(other => other.source === entry.source))
+      .filter(Boolean);
+
+    const counts = previous.filter(run => run.status === 'ok').slice(-window).map(run => run.classes);
+    entry.baseline = counts.length >= minRuns ? median(counts) : null;
+
+    let failures = 0;
+    for (const run of [...previous, entry].reverse()) {
+      if (run.status === 'ok') break;
+      failures++;
+    }
+    entry.consecutiveFailures = failures;
+
+    const usually = entry.baseline === null ? '' : ` (usually ${entry.baseline})`;
+    if (entry.status === 'failed' || entry.status === 'timeout') {
+      entry.health = 'failing';
+      report.warnings.push(`${entry.source} ${entry.status === 'timeout' ? 'timed out' : 'failed'}${usually}: ${entry.error}`);
+    } else if (entry.baseline !== null && entry.classes < entry.baseline * minShare) {
+      entry.health = 'suspect';
+      report.warnings.push(`${entry.source} found ${entry.classes} classes${usually}: probable breakage`);
+    } else {
+      entry.health = entry.baseline === null ? 'new' : 'ok';
+    }
+  }
+
+  return report;
+}
+
+// Earlier reports, oldest first; [] when there is no history yet
+async function loadRunHistory(historyPath = DEFAULT_RUN_HISTORY_PATH) {
+  try {
+    const data = JSON.parse(await fs.readFile(historyPath, 'utf8'));
+    return Array.isArray(data.runs) ? data.runs : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Add a report and drop all but the newest `keep`, writing atomically like FileStorage
+async function appendRunReport(report, historyPath = DEFAULT_RUN_HISTORY_PATH, { keep = DEFAULT_KEEP_RUNS } = {}) {
+  const runs = [...await loadRunHistory(historyPath), report].slice(-keep);
+  const temp = `${historyPath}.tmp`;
+  await fs.writeFile(temp, JSON.stringify({ runs }, null, 2));
+  await fs.rename(temp, historyPath);
+  return runs;
+}
+
+// Notification for flagged sources, in the shape of the change digest (with no
+// changes) plus the flagged source entries for webhooks
+function formatHealthAlert(report) {
+  const count = report.warnings.length;
+  return {
+    subject: `Motorcycle classes: ${count} source${count === 1 ? '' : 's'} need${count === 1 ? 's' : ''} attention`,
+    text: report.warnings.map(warning => `  - ${warning}`).join('\n'),
+    changes: {},
+    health: report.sources.filter(entry => entry.health === 'failing' || entry.health === 'suspect')
+  };
+}
+
+module.exports = {
+  buildRunReport,
+  assessHealth,
+  loadRunHistory,
+  appendRunReport,
+  formatHealthAlert,
+  DEFAULT_RUN_HISTORY_PATH
+};
@@ -1,14 +1,90 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
+const { AirtableManager } = require('./airtable-setup');
+const { getAdapter } = require('./adapters');
+const { parseSchedule, todayInLosAngeles, formatDate } = require('./date-parser');
+const { parseSeats, isWaitlist, deriveStatus } = require('./availability');
+const { findLatestSnapshot, loadSnapshot, diffClasses, countChanges, formatDigest } = require('./change-detector');
+const { createNotifiersFromEnv, sendDigest } = require('./notifiers');
+const { loadSources, normalizeSource, getEnabledSources } = require('./source-registry');
+const { validateClass, validateClasses, buildQualityReport } = require('./data-quality');
+const { classifyCourse, compileOverrides, GENERIC_TYPE } = require('./course-classifier');
+const { hashClassId, deduplicateClasses } = require('./deduplicator');
+const { createGeocoder, parseLocation } = require('./geocoder');
+const { writeFeeds } = require('./feed-export');
+const { FileStorage } = require('./storage');
+const { HistoryStore, DEFAULT_HISTORY_PATH } = require('./history-store');
+const { PagePool, closeQuietly, DEFAULT_POOL_SIZE, DEFAULT_NAVIGATION_TIMEOUT_MS } = require('./page-pool');
+const { mapWithConcurrency, withDeadline, DeadlineError } = require('./concurrency');
+const { recordPage, saveDiagnostics, pruneDiagnostics, diagnosticsPath, DEFAULT_DIAGNOSTICS_DIR } = require('./diagnostics');
+const { buildRunReport, assessHealth, loadRunHistory, appendRunReport, formatHealthAlert, DEFAULT_RUN_HISTORY_PATH } = require('./run-report');
+
+// How long one source may take in total, product pages included, unless its
+// config entry sets timeoutMs
+const DEFAULT_SOURCE_TIMEOUT_MS = 180000;
+// Saving diagnostics from a page that is stuck mid-navigation can hang too
+const DIAGNOSTICS_TIMEOUT_MS = 20000;
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
 
 class MotorcycleClassScraper {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.classes = [];
+    // Problems during the run, so callers can tell a partial failure from success
+    this.sourceErrors = [];
+    this.syncError = null;
+    this.storeError = null;
+    // Records that failed validation, and the per-source report from the last run
+    this.quarantined = [];
+    this.qualityReport = null;
+    // Classes from the previous snapshot whose provider didn't finish this run,
+    // kept in this run's snapshot so the next one doesn't see them as new
+    this.carriedOver = [];
+    // Either an explicit list of sources or a path to the config to load them from
+    this.sources = options.sources || null;
+    this.sourcesPath = options.sourcesPath || process.env.SOURCES_CONFIG;
+    // Defaults to whatever notifiers are configured through the environment
+    this.notifiers = options.notifiers || null;
+    // Fixed clock for tests; normally each run uses the current time
+    this.now = options.now || null;
+    // Anything with async geocode(text); defaults to the offline ZIP table with a cache file
+    this.geocoder = options.geocoder || null;
+    // Local storage backend synced on every run, whether or not Airtable is set up
+    this.storage = options.storage || null;
+    // Sources scraped at once (one pooled page each) and the per-source deadline
+    this.concurrency = options.concurrency || Number(process.env.SCRAPE_CONCURRENCY) || DEFAULT_POOL_SIZE;
+    this.sourceTimeoutMs = options.sourceTimeoutMs || Number(process.env.SOURCE_TIMEOUT_MS) || DEFAULT_SOURCE_TIMEOUT_MS;
+    this.pageOptions = {
+      navigationTimeoutMs: options.navigationTimeoutMs || DEFAULT_NAVIGATION_TIMEOUT_MS,
+      blockResources: options.blockResources !== false
+    };
+    this.pagePool = null;
+    // { source, provider, adapter, status, durationMs, classes, selector, error } per source, in
+    // config order, and the run report built from them (see run-report.js)
+    this.sourceReports = [];
+    this.runReport = null;
+    // Where run reports are kept between runs; null keeps no history
+    this.runHistoryPath = options.runHistoryPath !== undefined
+      ? options.runHistoryPath
+      : process.env.RUN_HISTORY_PATH || DEFAULT_RUN_HISTORY_PATH;
+    // Append-only price/status/seats series for the trend queries; null keeps none
+    this.historyPath = options.historyPath !== undefined
+      ? options.historyPath
+      : process.env.CLASS_HISTORY_PATH || DEFAULT_HISTORY_PATH;
+    // Screenshots, HTML and logs of sources that fail or come back empty; null saves none
+    this.diagnosticsDir = options.diagnosticsDir !== undefined
+      ? options.diagnosticsDir
+      : process.env.DIAGNOSTICS_DIR || DEFAULT_DIAGNOSTICS_DIR;
+    this.runStartedAt = null;
     this.airtableConfig = {
       baseId: process.env.AIRTABLE_BASE_ID,
       tableId: process.env.AIRTABLE_TABLE_ID,
-      apiKey: process.env.AIRTABLE_API_KEY
+      apiKey: process.env.AIRTABLE_API_KEY,
+      // Passed through to AirtableClient (apiUrl, deadLetterPath, retry settings)
+      clientOptions: options.airtableClientOptions || {}
     };
   }
 
@@ -21,234 +97,352 @@ class MotorcycleClassScraper {
     console.log('✅ Browser ready');
   }
 
-  async scrapeShopRideRite() {
-    console.log('🏪 Scraping RideRite...');
-    const page = await this.browser.newPage();
-    try {
-      await page.goto('https://shopriderite.net/product-category/basic/', {
-        waitUntil: 'networkidle2',
-        timeout: 30000
-      });
+  // Run one configured source through its adapter and collect the results
+  async scrapeSource(source) {
+    const classes = await this.runSource(source);
+    this.classes.push(...classes);
+    return classes;
+  }
 
-      console.log('📄 RideRite page loaded');
-
-      const classes = await page.evaluate(() => {
-        const products = document.querySelectorAll('.product, .woocommerce-loop-product, .course-item');
-        console.log('Found product elements:', products.length);
-        
-        return Array.from(products).map(product => {
-          const title = product.querySelector('.woocommerce-loop-product__title, h3, h2, .title')?.textContent?.trim();
-          const price = product.querySelector('.price, .cost')?.textContent?.trim();
-          const link = product.querySelector('a')?.href;
-          
-          if (!title) return null;
-          
-          return {
-            title,
-            price,
-            link,
-            provider: 'RideRite',
-            type: 'Basic Course'
-          };
-        }).filter(Boolean);
-      });
+  /**
+   * Scrape one source on a page from the pool, giving up when the source's
+   * deadline passes. Failures are recorded in sourceErrors and the outcome in
+   * sourceReports; resolves to the source's classes ([] on failure).
+   */
+  async runSource(source) {
+    const adapter = getAdapter(source.adapter);
+    const pool = this.pagePool || new PagePool(this.browser, { size: 1, ...this.pageOptions });
+    const timeoutMs = source.timeoutMs || this.sourceTimeoutMs;
+    const started = Date.now();
+    const report = { source: source.name, provider: source.provider, adapter: source.adapter, status: 'ok', durationMs: 0, classes: 0, selector: null, error: null };
+
+    // Extra pages the adapter opens (RideRite product pages) are closed with the
+    // source. An adapter still running after its deadline can't open any more.
+    const extraPages = [];
+    let stopped = false;
+    const openPage = async () => {
+      if (stopped) throw new Error(`${source.name} has already stopped`);
+      const extra = await pool.newPage();
+      if (stopped) {
+        await closeQuietly(extra);
+        throw new Error(`${source.name} has already stopped`);
+      }
+      extraPages.push(extra);
+      return extra;
+    };
+    // Adapters name the selector of their fallback chain that matched the page
+    const recordSelector = selector => {
+      report.selector = selector || null;
+    };
+    // ...and what they had to skip (a finder target that never answered, a
+    // listing cut off at its page limit), so the source's classes aren't
+    // taken as its whole catalogue
+    const recordIncomplete = reason => {
+      report.incomplete = report.incomplete ? `${report.incomplete}; ${reason}` : reason;
+    };
 
-      console.log(`📋 RideRite found ${classes.length} classes`);
-      this.classes.push(...classes);
+    let page = null;
+    let recorder = null;
+    let timedOut = false;
+    try {
+      page = await pool.acquire();
+      recorder = this.diagnosticsDir ? recordPage(page) : null;
+      const overrides = compileOverrides(source.courseOverrides, source.name);
+      const scraped = await withDeadline(
+        adapter.scrape(page, source, { openPage, recordSelector, recordIncomplete }),
+        timeoutMs,
+        `${source.name} did not finish within ${Math.round(timeoutMs / 1000)}s`
+      );
+      const classes = scraped.map(cls => ({
+        ...cls,
+        ...classifyCourse(cls, overrides),
+        region: source.region
+      }));
+
+      console.log(`📋 ${source.name} found ${classes.length} classes${report.selector ? ` (${report.selector})` : ''}`);
+      report.classes = classes.length;
+      // Zero classes is a result of its own: often a page whose markup changed
+      if (classes.length === 0) {
+        report.status = 'empty';
+        await this.captureDiagnostics(source, report, { page, recorder });
+      }
+      return classes;
     } catch (error) {
-      console.error('❌ Error scraping RideRite:', error.message);
+      timedOut = error instanceof DeadlineError;
+      console.error(`${timedOut ? '⏰' : '❌'} Error scraping ${source.name}:`, error.message);
+      this.sourceErrors.push({ source: source.name, error: error.message });
+      report.status = timedOut ? 'timeout' : 'failed';
+      report.error = error.message;
+      await this.captureDiagnostics(source, report, { page, recorder });
+      return [];
     } finally {
-      await page.close();
+      stopped = true;
+      if (recorder) recorder.detach();
+      // Closing the pages of a timed-out source also stops whatever it was still
+      // doing on them, and openPage refuses it new ones
+      await Promise.all(extraPages.map(closeQuietly));
+      if (page) await pool.release(page, { discard: timedOut });
+      if (pool !== this.pagePool) await pool.close();
+      report.durationMs = Date.now() - started;
+      this.sourceReports.push(report);
     }
   }
 
-  async scrapeMSIRegistration(url, provider) {
-    const page = await this.browser.newPage();
+  // Save what the page looked like when a source failed or found nothing, and
+  // point the source's report entry at it
+  async captureDiagnostics(source, report, { page, recorder }) {
+    if (!this.diagnosticsDir) return;
+    const dir = diagnosticsPath(this.diagnosticsDir, this.runStartedAt || (this.runStartedAt = new Date()), source);
     try {
-      await page.goto(url, { waitUntil: 'networkidle2' });
-      
-      // Wait for React app to load
-      await page.waitForSelector('[data-testid="class-listing"], .class-item, .course-item', {
-        timeout: 10000
-      });
+      await withDeadline(
+        saveDiagnostics(dir, { page, recorder, source, reason: report.status, error: report.error }),
+        DIAGNOSTICS_TIMEOUT_MS,
+        'saving diagnostics took too long'
+      );
+      report.diagnostics = dir;
+      console.log(`🧾 Saved ${source.name} diagnostics to ${dir}`);
+    } catch (error) {
+      console.warn(`⚠️  Could not save diagnostics for ${source.name}:`, error.message);
+    }
+  }
 
-      const classes = await page.evaluate(() => {
-        // Look for various class listing patterns
-        const selectors = [
-          '.class-item',
-          '.course-item',
-          '[data-testid="class-listing"]',
-          '.schedule-item'
-        ];
-        
-        let elements = [];
-        for (const selector of selectors) {
-          elements = document.querySelectorAll(selector);
-          if (elements.length > 0) break;
-        }
+  async scrapeShopRideRite(url, provider) {
+    return this.scrapeSource(normalizeSource({ adapter: 'riderite', url, provider }, 0));
+  }
 
-        return Array.from(elements).map(item => {
-          const title = item.querySelector('h3, h4, .title, .class-title')?.textContent?.trim();
-          const date = item.querySelector('.date, .schedule-date')?.textContent?.trim();
-          const location = item.querySelector('.location, .venue')?.textContent?.trim();
-          const price = item.querySelector('.price, .cost')?.textContent?.trim();
-          
-          return {
-            title,
-            date,
-            location,
-            price,
-            provider,
-            link: window.location.href
-          };
-        });
-      });
+  async scrapeMSIRegistration(url, provider) {
+    return this.scrapeSource(normalizeSource({ adapter: 'msi', url, provider }, 0));
+  }
 
-      this.classes.push(...classes);
-    } catch (error) {
-      console.error(`Error scraping ${provider}:`, error);
-    } finally {
-      await page.close();
-    }
+  async scrapeHarleyDavidson(url, provider) {
+    return this.scrapeSource(normalizeSource({ adapter: 'harley', url, provider }, 0));
   }
 
-  async scrapeHarleyDavidson() {
-    const page = await this.browser.newPage();
-    try {
-      await page.goto('https://riders.harley-davidson.com/s/?language=en_US#99992&expLvl=NRC', {
-        waitUntil: 'networkidle2'
-      });
+  async scrapeCommunityEd(url, provider) {
+    return this.scrapeSource(normalizeSource({ adapter: 'community-ed', url, provider }, 0));
+  }
+
+  // Scrapes every enabled source from the config, or just the ones passed in
+  async scrapeAll(sources = getEnabledSources(this.sources || loadSources(this.sourcesPath))) {
+    console.log('🚀 Starting scraper...');
+    console.log(`📝 Will scrape ${sources.length} sources...`);
+
+    const startedAt = new Date();
+    this.runStartedAt = startedAt;
+    await this.init();
+    this.pagePool = new PagePool(this.browser, { size: this.concurrency, ...this.pageOptions });
+    console.log(`🧵 Scraping up to ${this.pagePool.size} sources at a time`);
+
+    // Results are kept per source so classes come out in config order however
+    // the sources finish
+    const results = await mapWithConcurrency(sources, this.pagePool.size, async source => {
+      console.log(`🔍 Scraping ${source.name}...`);
+      const classes = await this.runSource(source);
+      console.log(`✅ ${source.name}: Found ${classes.length} classes`);
+      return classes;
+    });
+    for (const classes of results) this.classes.push(...classes);
+
+    const order = new Map(sources.map((source, index) => [source.name, index]));
+    this.sourceReports.sort((a, b) => (order.get(a.source) ?? -1) - (order.get(b.source) ?? -1));
 
-      // Wait for classes to load
-      await page.waitForSelector('.class-card, .course-card', { timeout: 15000 });
-
-      const classes = await page.evaluate(() => {
-        const cards = document.querySelectorAll('.class-card, .course-card, [data-testid="class"]');
-        return Array.from(cards).map(card => {
-          const title = card.querySelector('h3, h4, .title')?.textContent?.trim();
-          const date = card.querySelector('.date')?.textContent?.trim();
-          const location = card.querySelector('.location')?.textContent?.trim();
-          
-          return {
-            title,
-            date,
-            location,
-            provider: 'Harley Davidson',
-            type: 'New Rider Course'
-          };
-        });
+    await this.pagePool.close();
+    this.pagePool = null;
+    if (this.diagnosticsDir) {
+      await pruneDiagnostics(this.diagnosticsDir).catch(error => {
+        console.warn('⚠️  Could not prune old diagnostics:', error.message);
       });
+    }
+    await this.browser.close();
+    console.log(`🎉 Scraping complete! Total classes found: ${this.classes.length}`);
+    
+    if (this.classes.length > 0) {
+      console.log('📊 Sample classes:', JSON.stringify(this.classes.slice(0, 2), null, 2));
+    }
+    
+    const located = await this.locateClasses(this.deduplicate(this.normalizeData()));
+    const valid = this.validateData(located);
+
+    this.runReport = buildRunReport({
+      startedAt,
+      finishedAt: new Date(),
+      sources: this.sourceReports,
+      valid: valid.length,
+      quarantined: this.quarantined.length
+    });
+    await this.assessRunHealth();
+    this.logRunReport();
 
-      this.classes.push(...classes);
-    } catch (error) {
-      console.error('Error scraping Harley Davidson:', error);
-    } finally {
-      await page.close();
+    return valid;
+  }
+
+  // Compare this run's sources with the saved history. A history that can't be
+  // read only costs the comparison, never the run.
+  async assessRunHealth() {
+    let history = [];
+    if (this.runHistoryPath) {
+      try {
+        history = await loadRunHistory(this.runHistoryPath);
+      } catch (error) {
+        console.warn(`⚠️  Could not read run history ${this.runHistoryPath}:`, error.message);
+      }
     }
+    return assessHealth(this.runReport, history);
   }
 
-  async scrapeCommunityEd(url, provider) {
-    const page = await this.browser.newPage();
-    try {
-      await page.goto(url, { waitUntil: 'networkidle2' });
-
-      const classes = await page.evaluate(() => {
-        // Look for table rows or class listings
-        const rows = document.querySelectorAll('tr, .class-row, .course-listing');
-        return Array.from(rows).map(row => {
-          const cells = row.querySelectorAll('td, .cell, .info');
-          if (cells.length < 3) return null;
-
-          const title = cells[0]?.textContent?.trim();
-          const date = cells[1]?.textContent?.trim();
-          const time = cells[2]?.textContent?.trim();
-          const location = cells[3]?.textContent?.trim();
-
-          return title ? {
-            title,
-            date,
-            time,
-            location,
-            provider,
-            type: 'Motorcycle Safety Course'
-          } : null;
-        }).filter(Boolean);
-      });
+  // One line per source: how long it took and what came of it, then any health warnings
+  logRunReport() {
+    const report = this.runReport;
+    if (!report || report.sources.length === 0) return;
+    const width = Math.max(...report.sources.map(entry => entry.source.length));
+    const sourceTime = report.sources.reduce((sum, entry) => sum + entry.durationMs, 0);
+
+    console.log('⏱️  Source timings:');
+    for (const entry of report.sources) {
+      let outcome = `${entry.classes} classes${entry.incomplete ? ` (incomplete: ${entry.incomplete})` : ''}`;
+      if (entry.status === 'empty') outcome = 'no classes';
+      if (entry.status === 'failed') outcome = `failed: ${entry.error}`;
+      if (entry.status === 'timeout') outcome = `timed out: ${entry.error}`;
+      console.log(`   ${entry.source.padEnd(width)}  ${formatSeconds(entry.durationMs).padStart(7)}  ${outcome}`);
+    }
+    console.log(`   ${formatSeconds(report.durationMs)} elapsed, ${formatSeconds(sourceTime)} of source time`);
 
-      this.classes.push(...classes);
-    } catch (error) {
-      console.error(`Error scraping ${provider}:`, error);
-    } finally {
-      await page.close();
+    for (const warning of report.warnings) {
+      console.warn(`🩺 ${warning}`);
     }
   }
 
-  async scrapeAll() {
-    console.log('🚀 Starting scraper...');
-    await this.init();
+  // Add the run report to the history and send flagged sources to the notifiers
+  async recordRun() {
+    if (!this.runReport) return null;
 
-    // Define all sources
-    const sources = [
-      { 
-        name: 'RideRite',
-        type: 'riderite', 
-        fn: () => this.scrapeShopRideRite() 
+    if (this.runHistoryPath) {
+      try {
+        await appendRunReport(this.runReport, this.runHistoryPath);
+        console.log(`🗂️  Run report added to ${this.runHistoryPath}`);
+      } catch (error) {
+        console.error('❌ Could not save run history:', error.message);
       }
-    ];
+    }
 
-    console.log(`📝 Will scrape ${sources.length} sources...`);
+    if (this.runReport.warnings.length > 0) {
+      const notifiers = this.notifiers || createNotifiersFromEnv();
+      if (notifiers.length > 0) {
+        await sendDigest(formatHealthAlert(this.runReport), notifiers);
+      }
+    }
+    return this.runReport;
+  }
 
-    // Run scrapers one by one with detailed logging
-    for (const source of sources) {
-      console.log(`🔍 Scraping ${source.name}...`);
+  // Split each location into address/city/state/ZIP and add coordinates.
+  // Geocoding problems never fail the run; the fields are just left null.
+  async locateClasses(data) {
+    const geocoder = this.geocoder || (this.geocoder = createGeocoder());
+    let located = 0;
+
+    const classes = [];
+    for (const cls of data) {
+      let place = { address: null, city: null, state: null, zip: null };
+      let point = null;
       try {
-        const beforeCount = this.classes.length;
-        await source.fn();
-        const afterCount = this.classes.length;
-        const foundNew = afterCount - beforeCount;
-        console.log(`✅ ${source.name}: Found ${foundNew} new classes (total: ${afterCount})`);
+        if (cls.location) {
+          place = geocoder.parse ? await geocoder.parse(cls.location) : parseLocation(cls.location);
+          point = await geocoder.geocode(cls.location);
+        }
       } catch (error) {
-        console.error(`❌ ${source.name} failed:`, error.message);
+        console.error(`❌ Geocoding "${cls.location}" failed:`, error.message);
       }
+      if (point) located++;
+
+      classes.push({
+        ...cls,
+        address: place.address,
+        city: place.city || point?.city || null,
+        state: place.state || point?.state || null,
+        zip: place.zip || point?.zip || null,
+        latitude: point ? point.latitude : null,
+        longitude: point ? point.longitude : null
+      });
     }
 
-    await this.browser.close();
-    console.log(`🎉 Scraping complete! Total classes found: ${this.classes.length}`);
-    
-    if (this.classes.length > 0) {
-      console.log('📊 Sample classes:', JSON.stringify(this.classes.slice(0, 2), null, 2));
+    try {
+      if (geocoder.save) await geocoder.save();
+    } catch (error) {
+      console.error('❌ Could not save the geocode cache:', error.message);
     }
-    
-    return this.normalizeData();
+
+    console.log(`📍 Located ${located} of ${data.length} classes`);
+    return classes;
+  }
+
+  // Drop records that fail the schema in data-quality.js; they are kept in
+  // this.quarantined with their reasons and saved alongside the snapshot
+  validateData(data) {
+    const today = formatDate(todayInLosAngeles(this.now || new Date()));
+    const { valid, quarantined, results } = validateClasses(data, { today });
+
+    this.quarantined = quarantined;
+    this.qualityReport = buildQualityReport(data, results);
+
+    if (quarantined.length > 0) {
+      console.warn(`🚧 Quarantined ${quarantined.length} of ${data.length} classes that failed validation`);
+      for (const { record, reasons } of quarantined.slice(0, 5)) {
+        console.warn(`   - ${record.provider || 'unknown provider'} "${record.title || '(no title)'}": ${reasons.join('; ')}`);
+      }
+    }
+
+    return valid;
   }
 
   normalizeData() {
-    return this.classes.map(cls => ({
-      id: this.generateId(cls),
-      title: cls.title || 'Motorcycle Safety Course',
-      provider: cls.provider || 'Unknown',
-      date: this.parseDate(cls.date),
-      time: cls.time || '',
-      location: cls.location || 'Southern California',
-      price: this.parsePrice(cls.price),
-      type: cls.type || 'Motorcycle Course',
-      link: cls.link || '',
-      lastUpdated: new Date().toISOString(),
-      region: 'Southern California'
-    }));
+    const today = todayInLosAngeles(this.now || new Date());
+    return this.classes.map(cls => {
+      const schedule = parseSchedule(cls.date, cls.time, { today });
+      const seatsRemaining = parseSeats(cls.availability);
+      const endDate = schedule ? schedule.endDate : null;
+      const record = {
+        title: cls.title || null,
+        provider: cls.provider || null,
+        date: schedule ? schedule.startDate : null,
+        endDate,
+        time: cls.time || '',
+        startTime: schedule ? schedule.startTime : null,
+        endTime: schedule ? schedule.endTime : null,
+        sessions: schedule ? schedule.sessions : [],
+        location: cls.location || null,
+        price: this.parsePrice(cls.price),
+        type: cls.type || GENERIC_TYPE,
+        courseCode: cls.courseCode || null,
+        link: cls.link || '',
+        seatsRemaining,
+        waitlist: isWaitlist(cls.availability),
+        status: deriveStatus({ availability: cls.availability, seatsRemaining, endDate }, formatDate(today)),
+        lastUpdated: new Date().toISOString(),
+        region: cls.region || 'Southern California'
+      };
+      return { id: this.generateId(record), ...record };
+    });
   }
 
+  // Hash of the normalized provider, title, start date and location, so the
+  // same class keeps its ID across runs even if the date text is reworded
   generateId(cls) {
-    const str = `${cls.provider}-${cls.title}-${cls.date}`;
-    return Buffer.from(str).toString('base64').slice(0, 12);
+    return hashClassId(cls);
   }
 
+  // Fold copies of the same class (across or within sources) into one record
+  deduplicate(data) {
+    const { classes, merged } = deduplicateClasses(data);
+    if (merged > 0) {
+      console.log(`🧬 Merged ${merged} duplicate listings (${data.length} → ${classes.length} classes)`);
+    }
+    return classes;
+  }
+
+  // Start date (YYYY-MM-DD, Los Angeles calendar) of a provider's date text
   parseDate(dateStr) {
-    if (!dateStr) return null;
-    // Handle various date formats
-    const cleaned = dateStr.replace(/[^\d\/\-\s]/g, '');
-    const date = new Date(cleaned);
-    return date.toString() !== 'Invalid Date' ? date.toISOString().split('T')[0] : null;
+    const schedule = parseSchedule(dateStr);
+    return schedule ? schedule.startDate : null;
   }
 
   parsePrice(priceStr) {
@@ -257,178 +451,193 @@ class MotorcycleClassScraper {
     return match ? parseFloat(match[1]) : null;
   }
 
-  async saveToAirtable(data) {
-    if (!this.airtableConfig.apiKey) {
-      console.log('No Airtable config found, saving to JSON instead');
-      await this.saveToJSON(data);
-      return;
-    }
+  // Compare with the last saved snapshot and send a digest of what changed
+  // Also stamps each class with firstSeen, carried over from the previous
+  // snapshot, which the Atom/RSS feeds use to list newly added classes.
+  // Only providers whose sources all finished (see retireScope) can lose classes
+  async detectChanges(data) {
+    const runAt = (this.now || new Date()).toISOString();
+    this.carriedOver = [];
+    try {
+      const previousFile = await findLatestSnapshot('.');
+      if (!previousFile) {
+        this.stampFirstSeen(data, [], runAt);
+        console.log('ℹ️  No previous snapshot found, skipping change detection');
+        return null;
+      }
 
-    const fetch = require('node-fetch');
-    const url = `https://api.airtable.com/v0/${this.airtableConfig.baseId}/${this.airtableConfig.tableId}`;
+      const previous = await loadSnapshot(previousFile);
+      this.stampFirstSeen(data, previous, runAt);
+      const { providers } = this.retireScope();
+      const changes = diffClasses(previous, data, { providers });
 
-    // Batch insert records (Airtable limit: 10 per request)
-    const batches = [];
-    for (let i = 0; i < data.length; i += 10) {
-      batches.push(data.slice(i, i + 10));
-    }
+      const current = new Set(data.map(cls => cls.id));
+      this.carriedOver = previous.filter(cls => !providers.includes(cls.provider) && !current.has(cls.id));
+      const digest = formatDigest(changes);
 
-    for (const batch of batches) {
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.airtableConfig.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            records: batch.map(record => ({ fields: record }))
-          })
-        });
-
-        if (!response.ok) {
-          console.error('Airtable error:', await response.text());
+      console.log(`🔎 Changes since ${previousFile}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.priceChanged.length} price, ${changes.dateChanged.length} date, ${changes.nowFull.length} now full`);
+      await fs.writeFile('changes.json', JSON.stringify({ previousFile, ...digest }, null, 2));
+
+      if (countChanges(changes) > 0) {
+        const notifiers = this.notifiers || createNotifiersFromEnv();
+        if (notifiers.length > 0) {
+          await sendDigest(digest, notifiers);
         }
-      } catch (error) {
-        console.error('Error saving batch to Airtable:', error);
       }
+
+      return changes;
+    } catch (error) {
+      console.error('❌ Change detection failed:', error.message);
+      return null;
+    }
+  }
+
+  stampFirstSeen(data, previous, runAt) {
+    const seen = new Map(previous.map(cls => [cls.id, cls.firstSeen]));
+    for (const cls of data) {
+      cls.firstSeen = seen.get(cls.id) || cls.firstSeen || runAt;
     }
   }
 
   async saveToJSON(data) {
     const filename = `motorcycle-classes-${new Date().toISOString().split('T')[0]}.json`;
-    console.log(`💾 Saving ${data.length} classes to ${filename}`);
+    console.log(`💾 Saving ${data.length} classes to ${filename}${this.carriedOver.length > 0 ? ` (and ${this.carriedOver.length} carried over from unfinished sources)` : ''}`);
     
     try {
-      await fs.writeFile(filename, JSON.stringify(data, null, 2));
+      await fs.writeFile(filename, JSON.stringify([...data, ...this.carriedOver], null, 2));
       console.log(`✅ Successfully saved to ${filename}`);
       
       // Also create a summary file
       const summary = {
         totalClasses: data.length,
         providers: [...new Set(data.map(c => c.provider))],
+        quarantined: this.quarantined.length,
         lastUpdated: new Date().toISOString(),
         sampleClass: data[0] || null
       };
       
       await fs.writeFile('summary.json', JSON.stringify(summary, null, 2));
       console.log('📊 Summary saved to summary.json');
+
+      if (this.qualityReport) {
+        await fs.writeFile('quality-report.json', JSON.stringify(this.qualityReport, null, 2));
+        await fs.writeFile('quarantine.json', JSON.stringify(this.quarantined, null, 2));
+        console.log(`🧪 Quality report saved to quality-report.json (${this.quarantined.length} quarantined in quarantine.json)`);
+      }
+
+      const feeds = await writeFeeds(data, { dir: 'feeds', now: this.now || new Date() });
+      console.log(`📅 Calendars and feeds saved to feeds/ (${feeds.length} files)`);
       
     } catch (error) {
       console.error('❌ Error saving JSON:', error);
     }
   }
 
+  /**
+   * What a sync after this run may retire (see canRetire in storage.js): only
+   * classes of providers whose every source listed classes and read everything
+   * it was meant to, since a failed, timed-out, empty or incomplete source may
+   * simply have missed them, and never a class this run quarantined, unless
+   * the only thing wrong with it is that it has ended: that one can become Past.
+   */
+  retireScope() {
+    const complete = new Map();
+    for (const report of this.sourceReports) {
+      complete.set(report.provider, complete.get(report.provider) !== false && report.status === 'ok' && !report.incomplete);
+    }
+    const today = formatDate(todayInLosAngeles(this.now || new Date()));
+    const unsure = ({ record }) => validateClass(record, { today }).errors.some(error => error.rule !== 'notPast');
+    return {
+      providers: [...complete].filter(([, ok]) => ok).map(([provider]) => provider),
+      keep: this.quarantined.filter(unsure).map(({ record }) => record.id).filter(Boolean)
+    };
+  }
+
+  // Upsert into the local store (classes-db.json by default), which keeps price
+  // and status history. Returns the sync stats, or null when it failed.
+  async saveToStore(data) {
+    const storage = this.storage || new FileStorage({ now: this.now });
+    try {
+      return await storage.syncClasses(data, formatDate(todayInLosAngeles(this.now || new Date())), this.retireScope());
+    } catch (error) {
+      console.error('❌ Local store sync failed:', error.message);
+      this.storeError = error.message;
+      return null;
+    }
+  }
+
+  // Add this run's price, status and seats for every class to the history file.
+  // Returns the number of classes recorded, or null when it failed.
+  async saveToHistory(data) {
+    if (!this.historyPath) return null;
+    try {
+      const recorded = await new HistoryStore({ path: this.historyPath }).append(data, this.now || new Date());
+      console.log(`📈 Recorded ${recorded} classes in ${this.historyPath}`);
+      return recorded;
+    } catch (error) {
+      console.error('❌ Could not save class history:', error.message);
+      return null;
+    }
+  }
+
+  // Returns the sync stats, or null when Airtable isn't configured or couldn't be
+  // reached (the data is saved to JSON either way; see syncError for the reason)
   async saveToAirtable(data) {
     if (!this.airtableConfig.apiKey) {
       console.log('⚠️  No Airtable API key found, saving to JSON only');
       await this.saveToJSON(data);
-      return;
+      return null;
     }
 
     console.log(`🔗 Connecting to Airtable with base: ${this.airtableConfig.baseId}`);
     console.log(`📋 Table: ${this.airtableConfig.tableId}`);
-    
-    const fetch = require('node-fetch');
-    const url = `https://api.airtable.com/v0/${this.airtableConfig.baseId}/${this.airtableConfig.tableId}`;
-    
-    console.log(`📡 Airtable URL: ${url}`);
+
+    const airtable = new AirtableManager(
+      this.airtableConfig.apiKey,
+      this.airtableConfig.baseId,
+      this.airtableConfig.tableId,
+      this.airtableConfig.clientOptions
+    );
 
     // Test connection first
     try {
       console.log('🧪 Testing Airtable connection...');
-      const testResponse = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.airtableConfig.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!testResponse.ok) {
-        const errorText = await testResponse.text();
-        console.error('❌ Airtable connection test failed:', testResponse.status, errorText);
-        console.log('💾 Falling back to JSON save...');
-        await this.saveToJSON(data);
-        return;
-      }
-      
+      await airtable.client.request('GET', '?maxRecords=1');
       console.log('✅ Airtable connection successful');
+      // Field names must line up before anything is written
+      await airtable.verifySchema(data);
     } catch (error) {
       console.error('❌ Airtable connection error:', error.message);
       console.log('💾 Falling back to JSON save...');
+      this.syncError = error.message;
       await this.saveToJSON(data);
-      return;
+      return null;
     }
 
-    // Save data in batches
-    const batches = [];
-    for (let i = 0; i < data.length; i += 10) {
-      batches.push(data.slice(i, i + 10));
-    }
-
-    console.log(`📦 Sending ${batches.length} batches to Airtable...`);
-
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      console.log(`📤 Sending batch ${i + 1}/${batches.length} (${batch.length} records)`);
-      
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.airtableConfig.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            records: batch.map(record => ({ fields: record }))
-          })
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`❌ Batch ${i + 1} failed:`, response.status, errorText);
-        } else {
-          console.log(`✅ Batch ${i + 1} successful`);
-        }
-      } catch (error) {
-        console.error(`❌ Error sending batch ${i + 1}:`, error.message);
+    // Upsert by class ID so reruns don't duplicate or wipe the table
+    let stats = null;
+    try {
+      stats = await airtable.syncClasses(data, formatDate(todayInLosAngeles(this.now || new Date())), this.retireScope());
+      console.log(`📊 Airtable: ${stats.created} created, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.retired} retired`);
+      if (stats.failed > 0) {
+        console.error(`❌ ${stats.failed} records failed to sync (see the dead-letter file)`);
       }
-
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 250));
+    } catch (error) {
+      console.error('❌ Airtable sync failed:', error.message);
+      this.syncError = error.message;
     }
-    
+
     // Also save to JSON as backup
     await this.saveToJSON(data);
+    return stats;
   }
 }
 
-// Usage
-async function main() {
-  console.log('🏁 Starting motorcycle class scraper...');
-  const scraper = new MotorcycleClassScraper();
-  try {
-    const classes = await scraper.scrapeAll();
-    console.log(`📈 Final result: ${classes.length} classes processed`);
-    
-    if (classes.length > 0) {
-      console.log('💾 Attempting to save to Airtable...');
-      await scraper.saveToAirtable(classes);
-      console.log('✅ Save completed');
-    } else {
-      console.log('⚠️  No classes found - saving empty result for debugging');
-      await scraper.saveToJSON([]);
-    }
-  } catch (error) {
-    console.error('💥 Scraping failed:', error);
-    console.error('Stack trace:', error.stack);
-    process.exit(1);
-  }
-}
+module.exports = MotorcycleClassScraper;
 
+// `node scraper.js` is the same as `node cli.js scrape`
 if (require.main === module) {
-  main();
+  require('./cli').main(['scrape']).then(code => {
+    process.exitCode = code;
+  });
 }
-
-module.exports = MotorcycleClassScraper;
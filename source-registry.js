@@ -0,0 +1,82 @@
+// source-registry.js
+// Loads the list of schools to scrape from a config file (sources.json by default)
+
+const path = require('path');
+const { getAdapter } = require('./adapters');
+const { compileOverrides } = require('./course-classifier');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'sources.json');
+const DEFAULT_REGION = 'Southern California';
+
+// Accepts a .json or .js file exporting either an array of sources or { sources: [...] }
+function loadSources(configPath = process.env.SOURCES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const resolved = path.resolve(configPath);
+
+  // Drop any cached copy so edits are picked up without restarting
+  delete require.cache[resolved];
+  const config = require(resolved);
+
+  const entries = Array.isArray(config) ? config : config.sources;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${configPath}: expected an array of sources or { "sources": [...] }`);
+  }
+
+  const sources = entries.map((entry, index) => normalizeSource(entry, index));
+
+  const names = new Set();
+  for (const source of sources) {
+    if (names.has(source.name)) {
+      throw new Error(`${configPath}: duplicate source name "${source.name}"`);
+    }
+    names.add(source.name);
+  }
+
+  return sources;
+}
+
+// Fill in adapter defaults and check that every entry can actually be scraped
+function normalizeSource(entry, index) {
+  const label = entry.name || entry.provider || `sources[${index}]`;
+
+  if (!entry.adapter) {
+    throw new Error(`Source "${label}" is missing an "adapter" type`);
+  }
+
+  const adapter = getAdapter(entry.adapter);
+  const url = entry.url || adapter.defaultUrl;
+  const provider = entry.provider || adapter.defaultProvider;
+
+  if (!url) {
+    throw new Error(`Source "${label}" needs a "url" for the ${entry.adapter} adapter`);
+  }
+  if (!provider) {
+    throw new Error(`Source "${label}" needs a "provider" name`);
+  }
+  if (entry.timeoutMs !== undefined && !(Number.isFinite(entry.timeoutMs) && entry.timeoutMs > 0)) {
+    throw new Error(`Source "${label}" has an invalid "timeoutMs" (expected milliseconds > 0)`);
+  }
+  // Adapter-specific settings, e.g. the Harley adapter's dealer numbers
+  if (adapter.validateSource) adapter.validateSource(entry, label);
+  // Fail at load time rather than on the first class the override is checked against
+  compileOverrides(entry.courseOverrides, label);
+
+  return {
+    ...entry,
+    name: entry.name || provider,
+    url,
+    provider,
+    region: entry.region || DEFAULT_REGION,
+    enabled: entry.enabled !== false
+  };
+}
+
+function getEnabledSources(sources) {
+  return sources.filter(source => source.enabled);
+}
+
+module.exports = {
+  loadSources,
+  normalizeSource,
+  getEnabledSources,
+  DEFAULT_CONFIG_PATH
+};
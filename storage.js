@@ -0,0 +1,197 @@
+// storage.js
+// Local storage backend, so the pipeline runs without Airtable. A storage
+// backend is anything with:
+//   listClasses(query)         stored classes, in the shape normalizeData produces,
+//                              narrowed by an optional query (see matchesQuery)
+//   syncClasses(classes, today, scope)  upsert by id and retire classes no longer
+//                                listed, within scope (see canRetire); resolves to
+//                                { created, updated, unchanged, retired, failed }
+//   getHistory(id)             { price: [...], status: [...] } changes for one class,
+//                              or null when the backend keeps no history
+// FileStorage keeps everything in one JSON file with price and status history
+// tables; AirtableManager implements the same operations against the table.
+
+const fs = require('fs').promises;
+
+const { todayInLosAngeles, formatDate } = require('./date-parser');
+
+const DEFAULT_STORE_PATH = 'classes-db.json';
+const STORE_VERSION = 1;
+
+// Classes in these states are left alone once they drop off the providers' sites
+const RETIRED_STATUSES = ['Past', 'Cancelled'];
+
+// Same rules as the Airtable sync: empty values are all alike
+function sameValue(a, b) {
+  const empty = v => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+  if (empty(a) && empty(b)) return true;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// lastUpdated and firstSeen move on their own, so they never count as a change
+function hasChanged(stored, cls) {
+  return Object.entries(cls).some(([key, value]) =>
+    key !== 'lastUpdated' && key !== 'firstSeen' && !sameValue(stored[key], value)
+  );
+}
+
+/**
+ * The query every backend understands: { from, provider, region, search, active }.
+ * from is a YYYY-MM-DD date the class must not have ended before; provider and
+ * region match exactly; search is a case-insensitive substring of the title,
+ * provider, location or type; active leaves out Past and Cancelled classes.
+ * FileStorage applies it in memory, AirtableManager as a filterByFormula.
+ */
+function matchesQuery(cls, { from, provider, region, search, active } = {}) {
+  if (from && !(cls.date && (cls.endDate || cls.date) >= from)) return false;
+  if (provider && cls.provider !== provider) return false;
+  if (region && cls.region !== region) return false;
+  if (active && RETIRED_STATUSES.includes(cls.status)) return false;
+  if (search) {
+    const term = search.toLowerCase();
+    return [cls.title, cls.provider, cls.location, cls.type].some(value => value?.toLowerCase().includes(term));
+  }
+  return true;
+}
+
+/**
+ * Which stored classes a sync may retire when they are missing from its
+ * classes. scope.providers lists the providers whose listings were read in
+ * full, so a source that failed or timed out can't cancel its provider's
+ * catalogue (null means every provider); scope.keep lists ids that were
+ * scraped but held back, such as quarantined records. Returns a predicate over
+ * stored classes.
+ */
+function canRetire({ providers = null, keep = [] } = {}) {
+  const complete = providers ? new Set(providers) : null;
+  const kept = new Set(keep);
+  return cls => !kept.has(cls.id) && (!complete || complete.has(cls.provider));
+}
+
+class FileStorage {
+  constructor({ path = process.env.CLASS_STORE_PATH || DEFAULT_STORE_PATH, now = null } = {}) {
+    this.path = path;
+    this.name = 'file';
+    // Fixed clock for tests; history entries are otherwise stamped with the current time
+    this.now = now;
+    this.cached = null;
+  }
+
+  // Reads the file again only when it has changed on disk
+  async load() {
+    let mtimeMs = null;
+    try {
+      ({ mtimeMs } = await fs.stat(this.path));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.cached || this.cached.mtimeMs !== mtimeMs) {
+      const data = mtimeMs === null
+        ? { version: STORE_VERSION, classes: [], priceHistory: [], statusHistory: [] }
+        : JSON.parse(await fs.readFile(this.path, 'utf8'));
+      this.cached = { mtimeMs, data };
+    }
+    return this.cached.data;
+  }
+
+  // Write to a temporary file and rename it, so a crash never leaves half a store
+  async save(data) {
+    const temp = `${this.path}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.rename(temp, this.path);
+    const { mtimeMs } = await fs.stat(this.path);
+    this.cached = { mtimeMs, data };
+  }
+
+  async listClasses(query = {}) {
+    const { classes } = await this.load();
+    return classes.filter(cls => matchesQuery(cls, query));
+  }
+
+  async getClass(id) {
+    const { classes } = await this.load();
+    return classes.find(cls => cls.id === id) || null;
+  }
+
+  async getHistory(id) {
+    const { priceHistory, statusHistory } = await this.load();
+    return {
+      price: priceHistory.filter(entry => entry.classId === id),
+      status: statusHistory.filter(entry => entry.classId === id)
+    };
+  }
+
+  /**
+   * Upsert the scraped classes by id. Classes that vanished from the scrape are
+   * marked Past (their date has gone by) or Cancelled, never deleted, as far as
+   * `scope` allows (see canRetire). Every new price or status, including a
+   * class's first, is appended to the history.
+   */
+  async syncClasses(classes, today = formatDate(todayInLosAngeles(this.now || new Date())), scope = {}) {
+    const changedAt = (this.now || new Date()).toISOString();
+    const data = await this.load();
+    const stats = { created: 0, updated: 0, unchanged: 0, retired: 0, failed: 0 };
+
+    const stored = new Map(data.classes.map(cls => [cls.id, cls]));
+    const priceHistory = [...data.priceHistory];
+    const statusHistory = [...data.statusHistory];
+    const seen = new Set();
+    const retirable = canRetire(scope);
+
+    const record = (classId, previous, next) => {
+      const price = next.price ?? null;
+      const status = next.status || 'Active';
+      if (!previous || !sameValue(previous.price, price)) {
+        priceHistory.push({ classId, price, previousPrice: previous ? previous.price ?? null : null, changedAt });
+      }
+      if (!previous || previous.status !== status) {
+        statusHistory.push({ classId, status, previousStatus: previous ? previous.status : null, changedAt });
+      }
+    };
+
+    for (const cls of classes) {
+      if (!cls.id || seen.has(cls.id)) continue;
+      seen.add(cls.id);
+
+      const next = { ...cls, status: cls.status || 'Active' };
+      const previous = stored.get(cls.id);
+      if (!previous) {
+        stats.created++;
+      } else if (hasChanged(previous, next)) {
+        stats.updated++;
+      } else {
+        stats.unchanged++;
+        continue;
+      }
+
+      record(cls.id, previous, next);
+      // Keep the first sighting even when the caller didn't carry it over
+      stored.set(cls.id, previous?.firstSeen ? { ...next, firstSeen: previous.firstSeen } : next);
+    }
+
+    for (const [id, cls] of stored) {
+      if (seen.has(id) || RETIRED_STATUSES.includes(cls.status) || !retirable(cls)) continue;
+
+      const retired = { ...cls, status: cls.date && cls.date < today ? 'Past' : 'Cancelled' };
+      record(id, cls, retired);
+      stored.set(id, retired);
+      stats.retired++;
+    }
+
+    await this.save({ version: STORE_VERSION, classes: [...stored.values()], priceHistory, statusHistory });
+    console.log(`✅ Local store sync complete: ${stats.created} created, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.retired} retired (${this.path})`);
+    return stats;
+  }
+}
+
+module.exports = {
+  FileStorage,
+  matchesQuery,
+  canRetire,
+  RETIRED_STATUSES,
+  DEFAULT_STORE_PATH
+};
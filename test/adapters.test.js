@@ -0,0 +1,822 @@
+// test/adapters.test.js
+// Runs every adapter against saved provider pages served from a local fixture server
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MotorcycleClassScraper = require('../scraper');
+const { normalizeSource } = require('../source-registry');
+const harley = require('../adapters/harley');
+const riderite = require('../adapters/riderite');
+const { startFixtureServer, FIXTURES_DIR } = require('./helpers/fixture-server');
+const { launchBrowser } = require('./helpers/browser');
+
+// lastUpdated is the run timestamp, so drop it before comparing records
+function withoutTimestamps(records) {
+  return records.map(({ lastUpdated, ...rest }) => rest);
+}
+
+describe('adapters', () => {
+  let server;
+  let browser;
+
+  before(async () => {
+    server = await startFixtureServer();
+    browser = await launchBrowser();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
+
+  function createScraper(t) {
+    if (!browser) {
+      t.skip('Chrome is not available');
+      return null;
+    }
+    const scraper = new MotorcycleClassScraper({ sources: [], diagnosticsDir: null, now: new Date('2026-10-19T12:00:00Z') });
+    scraper.browser = browser;
+    return scraper;
+  }
+
+  it('scrapeShopRideRite reads each session from every category\'s product pages', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const url = `${server.baseUrl}/riderite/basic/`;
+    const classes = await scraper.scrapeShopRideRite(url, 'RideRite');
+
+    assert.deepEqual(classes, [
+      {
+        title: 'Basic RiderCourse (BRC) – Costa Mesa',
+        price: '$375.00',
+        link: `${server.baseUrl}/product/basic-rider-course-costa-mesa/`,
+        date: 'Sat, Nov 7 – Sun, Nov 8, 2026',
+        time: '7:00am - 3:30pm',
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        availability: '6 in stock',
+        provider: 'RideRite',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Basic RiderCourse (BRC) – Costa Mesa',
+        price: '$375.00',
+        link: `${server.baseUrl}/product/basic-rider-course-costa-mesa/`,
+        date: 'Sat, Nov 21 – Sun, Nov 22, 2026',
+        time: '7:00am - 3:30pm',
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        availability: 'Out of stock',
+        provider: 'RideRite',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Basic RiderCourse (BRC) – Riverside',
+        price: '$350.00',
+        link: `${server.baseUrl}/product/basic-rider-course-riverside/`,
+        date: '12/5-12/6/2026',
+        time: '7:30 AM - 4:00 PM',
+        location: 'Riverside City College Lot D',
+        availability: '3 in stock',
+        provider: 'RideRite',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Basic RiderCourse (BRC) – Riverside',
+        price: '$325.00',
+        link: `${server.baseUrl}/product/basic-rider-course-riverside/`,
+        date: '12/12-12/13/2026',
+        time: '7:30 AM - 4:00 PM',
+        location: 'Moreno Valley Mall Lot',
+        availability: '12 in stock',
+        provider: 'RideRite',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Weekday Basic RiderCourse',
+        price: '$395.00',
+        link: `${server.baseUrl}/product/weekday-basic-rider-course/`,
+        date: 'Mon, Nov 16 – Wed, Nov 18, 2026',
+        time: '5:30pm - 9:30pm',
+        location: 'Santa Ana College Lot 5, 1530 W 17th St, Santa Ana, CA 92706',
+        availability: 'Out of stock',
+        provider: 'RideRite',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Advanced RiderCourse (ARC)',
+        price: '$250.00',
+        link: `${server.baseUrl}/product/advanced-rider-course/`,
+        date: 'Sun, Dec 13, 2026',
+        time: '7:00am - 3:00pm',
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        availability: '8 in stock',
+        provider: 'RideRite',
+        type: 'Advanced Course',
+        courseCode: 'ARC',
+        region: 'Southern California'
+      }
+    ]);
+
+    const normalized = scraper.normalizeData();
+    assert.deepEqual(withoutTimestamps(normalized), [
+      {
+        id: 'fbde2eb8873e82e7',
+        title: 'Basic RiderCourse (BRC) – Costa Mesa',
+        provider: 'RideRite',
+        date: '2026-11-07',
+        endDate: '2026-11-08',
+        time: '7:00am - 3:30pm',
+        startTime: '07:00',
+        endTime: '15:30',
+        sessions: [
+          { date: '2026-11-07', startTime: '07:00', endTime: '15:30', start: '2026-11-07T07:00:00-08:00', end: '2026-11-07T15:30:00-08:00' },
+          { date: '2026-11-08', startTime: '07:00', endTime: '15:30', start: '2026-11-08T07:00:00-08:00', end: '2026-11-08T15:30:00-08:00' }
+        ],
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        price: 375,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: `${server.baseUrl}/product/basic-rider-course-costa-mesa/`,
+        seatsRemaining: 6,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: '247a6ef27be0bd63',
+        title: 'Basic RiderCourse (BRC) – Costa Mesa',
+        provider: 'RideRite',
+        date: '2026-11-21',
+        endDate: '2026-11-22',
+        time: '7:00am - 3:30pm',
+        startTime: '07:00',
+        endTime: '15:30',
+        sessions: [
+          { date: '2026-11-21', startTime: '07:00', endTime: '15:30', start: '2026-11-21T07:00:00-08:00', end: '2026-11-21T15:30:00-08:00' },
+          { date: '2026-11-22', startTime: '07:00', endTime: '15:30', start: '2026-11-22T07:00:00-08:00', end: '2026-11-22T15:30:00-08:00' }
+        ],
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        price: 375,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: `${server.baseUrl}/product/basic-rider-course-costa-mesa/`,
+        seatsRemaining: 0,
+        waitlist: false,
+        status: 'Full',
+        region: 'Southern California'
+      },
+      {
+        id: '8aa2aeecfc2e404c',
+        title: 'Basic RiderCourse (BRC) – Riverside',
+        provider: 'RideRite',
+        date: '2026-12-05',
+        endDate: '2026-12-06',
+        time: '7:30 AM - 4:00 PM',
+        startTime: '07:30',
+        endTime: '16:00',
+        sessions: [
+          { date: '2026-12-05', startTime: '07:30', endTime: '16:00', start: '2026-12-05T07:30:00-08:00', end: '2026-12-05T16:00:00-08:00' },
+          { date: '2026-12-06', startTime: '07:30', endTime: '16:00', start: '2026-12-06T07:30:00-08:00', end: '2026-12-06T16:00:00-08:00' }
+        ],
+        location: 'Riverside City College Lot D',
+        price: 350,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: `${server.baseUrl}/product/basic-rider-course-riverside/`,
+        seatsRemaining: 3,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: '53dec6b6a4319732',
+        title: 'Basic RiderCourse (BRC) – Riverside',
+        provider: 'RideRite',
+        date: '2026-12-12',
+        endDate: '2026-12-13',
+        time: '7:30 AM - 4:00 PM',
+        startTime: '07:30',
+        endTime: '16:00',
+        sessions: [
+          { date: '2026-12-12', startTime: '07:30', endTime: '16:00', start: '2026-12-12T07:30:00-08:00', end: '2026-12-12T16:00:00-08:00' },
+          { date: '2026-12-13', startTime: '07:30', endTime: '16:00', start: '2026-12-13T07:30:00-08:00', end: '2026-12-13T16:00:00-08:00' }
+        ],
+        location: 'Moreno Valley Mall Lot',
+        price: 325,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: `${server.baseUrl}/product/basic-rider-course-riverside/`,
+        seatsRemaining: 12,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: '54fea8344dd1951b',
+        title: 'Weekday Basic RiderCourse',
+        provider: 'RideRite',
+        date: '2026-11-16',
+        endDate: '2026-11-18',
+        time: '5:30pm - 9:30pm',
+        startTime: '17:30',
+        endTime: '21:30',
+        sessions: [
+          { date: '2026-11-16', startTime: '17:30', endTime: '21:30', start: '2026-11-16T17:30:00-08:00', end: '2026-11-16T21:30:00-08:00' },
+          { date: '2026-11-17', startTime: '17:30', endTime: '21:30', start: '2026-11-17T17:30:00-08:00', end: '2026-11-17T21:30:00-08:00' },
+          { date: '2026-11-18', startTime: '17:30', endTime: '21:30', start: '2026-11-18T17:30:00-08:00', end: '2026-11-18T21:30:00-08:00' }
+        ],
+        location: 'Santa Ana College Lot 5, 1530 W 17th St, Santa Ana, CA 92706',
+        price: 395,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: `${server.baseUrl}/product/weekday-basic-rider-course/`,
+        seatsRemaining: 0,
+        waitlist: false,
+        status: 'Full',
+        region: 'Southern California'
+      },
+      {
+        id: '458ee0f3d8a5161a',
+        title: 'Advanced RiderCourse (ARC)',
+        provider: 'RideRite',
+        date: '2026-12-13',
+        endDate: '2026-12-13',
+        time: '7:00am - 3:00pm',
+        startTime: '07:00',
+        endTime: '15:00',
+        sessions: [{ date: '2026-12-13', startTime: '07:00', endTime: '15:00', start: '2026-12-13T07:00:00-08:00', end: '2026-12-13T15:00:00-08:00' }],
+        location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+        price: 250,
+        type: 'Advanced Course',
+        courseCode: 'ARC',
+        link: `${server.baseUrl}/product/advanced-rider-course/`,
+        seatsRemaining: 8,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      }
+    ]);
+    assert.ok(normalized.every(cls => !isNaN(Date.parse(cls.lastUpdated))));
+  });
+
+  it('scrapeShopRideRite can skip product pages and read the listing only', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const source = normalizeSource({
+      adapter: 'riderite',
+      url: `${server.baseUrl}/riderite/basic/`,
+      crawlProducts: false,
+      crawlCategories: false
+    }, 0);
+    const classes = await scraper.scrapeSource(source);
+
+    // Both pages of the category, but not the advanced category
+    assert.deepEqual(classes.map(cls => [cls.title, cls.price, cls.availability]), [
+      ['Basic RiderCourse (BRC) – Costa Mesa', '$375.00', undefined],
+      ['Basic RiderCourse (BRC) – Riverside', '$350.00', '3 in stock'],
+      ['Weekday Basic RiderCourse', '$395.00', 'Sold out']
+    ]);
+    assert.equal(scraper.sourceReports[0].selector, '.product');
+  });
+
+  it('scrapeMSIRegistration reads class items from the registration app', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const url = `${server.baseUrl}/msi/classes.html`;
+    const classes = await scraper.scrapeMSIRegistration(url, 'Fullerton MSI');
+
+    assert.deepEqual(classes, [
+      {
+        title: 'Basic RiderCourse',
+        date: '11/07/2026',
+        location: 'Cal State Fullerton Lot E',
+        price: '$350.00',
+        link: url,
+        provider: 'Fullerton MSI',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        availability: 'Seats remaining: 4',
+        region: 'Southern California'
+      },
+      {
+        title: 'Advanced RiderCourse',
+        date: '11/14/2026',
+        location: 'Irvine Spectrum Range',
+        price: '$250.00',
+        link: url,
+        provider: 'Fullerton MSI',
+        type: 'Advanced Course',
+        courseCode: 'ARC',
+        availability: 'Full - Join Waitlist',
+        region: 'Southern California'
+      }
+    ]);
+
+    assert.deepEqual(withoutTimestamps(scraper.normalizeData()), [
+      {
+        id: '03415cdbbf644c24',
+        title: 'Basic RiderCourse',
+        provider: 'Fullerton MSI',
+        date: '2026-11-07',
+        endDate: '2026-11-07',
+        time: '',
+        startTime: null,
+        endTime: null,
+        sessions: [{ date: '2026-11-07', startTime: null, endTime: null, start: null, end: null }],
+        location: 'Cal State Fullerton Lot E',
+        price: 350,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: url,
+        seatsRemaining: 4,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: 'd00113d96c816917',
+        title: 'Advanced RiderCourse',
+        provider: 'Fullerton MSI',
+        date: '2026-11-14',
+        endDate: '2026-11-14',
+        time: '',
+        startTime: null,
+        endTime: null,
+        sessions: [{ date: '2026-11-14', startTime: null, endTime: null, start: null, end: null }],
+        location: 'Irvine Spectrum Range',
+        price: 250,
+        type: 'Advanced Course',
+        courseCode: 'ARC',
+        link: url,
+        seatsRemaining: 0,
+        waitlist: true,
+        status: 'Full',
+        region: 'Southern California'
+      }
+    ]);
+  });
+
+  it('scrapeHarleyDavidson reads classes from the finder\'s Aura responses', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const url = `${server.baseUrl}/harley/#99992&expLvl=NRC`;
+    const classes = await scraper.scrapeHarleyDavidson(url);
+    const location = 'Orange County Harley-Davidson, 11 Auto Center Dr, Tustin, CA 92782';
+
+    assert.deepEqual(classes, [
+      {
+        title: 'New Rider Course',
+        date: '2026-11-19, 2026-11-21, 2026-11-22',
+        location,
+        price: '$399.00',
+        availability: '2 seats left',
+        link: 'https://riders.harley-davidson.com/s/class/a0X5f000001AbCdEAK',
+        description: 'New Rider Course',
+        provider: 'Harley Davidson',
+        type: 'Basic Rider Course',
+        courseCode: 'NRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'New Rider Course',
+        date: '2026-12-05, 2026-12-06, 2026-12-07',
+        location,
+        price: '$399.00',
+        availability: 'Waitlist',
+        link: url,
+        description: 'New Rider Course',
+        provider: 'Harley Davidson',
+        type: 'Basic Rider Course',
+        courseCode: 'NRC',
+        region: 'Southern California'
+      }
+    ]);
+
+    const session = date => ({ date, startTime: null, endTime: null, start: null, end: null });
+    assert.deepEqual(withoutTimestamps(scraper.normalizeData()), [
+      {
+        id: 'a45ef55a7d40d564',
+        title: 'New Rider Course',
+        provider: 'Harley Davidson',
+        date: '2026-11-19',
+        endDate: '2026-11-22',
+        time: '',
+        startTime: null,
+        endTime: null,
+        sessions: [session('2026-11-19'), session('2026-11-21'), session('2026-11-22')],
+        location,
+        price: 399,
+        type: 'Basic Rider Course',
+        courseCode: 'NRC',
+        link: 'https://riders.harley-davidson.com/s/class/a0X5f000001AbCdEAK',
+        seatsRemaining: 2,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: 'd2e49404f318c350',
+        title: 'New Rider Course',
+        provider: 'Harley Davidson',
+        date: '2026-12-05',
+        endDate: '2026-12-07',
+        time: '',
+        startTime: null,
+        endTime: null,
+        sessions: [session('2026-12-05'), session('2026-12-06'), session('2026-12-07')],
+        location,
+        price: 399,
+        type: 'Basic Rider Course',
+        courseCode: 'NRC',
+        link: url,
+        seatsRemaining: null,
+        waitlist: true,
+        status: 'Full',
+        region: 'Southern California'
+      }
+    ]);
+  });
+
+  it('scrapeCommunityEd reads schedule table rows', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const url = `${server.baseUrl}/community-ed/schedule.html`;
+    const classes = await scraper.scrapeCommunityEd(url, 'Coastline Community Ed');
+
+    assert.deepEqual(classes, [
+      {
+        title: 'Motorcycle Safety Basic RiderCourse',
+        date: '11/08/2026',
+        time: '7:00 AM - 3:30 PM',
+        location: 'Lot 12, Main Campus',
+        provider: 'Coastline Community Ed',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        availability: '8 open',
+        region: 'Southern California'
+      },
+      {
+        title: 'Motorcycle Safety Basic RiderCourse',
+        date: '11/15/2026',
+        time: '7:00 AM - 3:30 PM',
+        location: 'Lot 12, Main Campus',
+        provider: 'Coastline Community Ed',
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        availability: 'Full',
+        region: 'Southern California'
+      }
+    ]);
+
+    assert.deepEqual(withoutTimestamps(scraper.normalizeData()), [
+      {
+        id: '385aa8c5f20004e7',
+        title: 'Motorcycle Safety Basic RiderCourse',
+        provider: 'Coastline Community Ed',
+        date: '2026-11-08',
+        endDate: '2026-11-08',
+        time: '7:00 AM - 3:30 PM',
+        startTime: '07:00',
+        endTime: '15:30',
+        sessions: [{ date: '2026-11-08', startTime: '07:00', endTime: '15:30', start: '2026-11-08T07:00:00-08:00', end: '2026-11-08T15:30:00-08:00' }],
+        location: 'Lot 12, Main Campus',
+        price: null,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: '',
+        seatsRemaining: 8,
+        waitlist: false,
+        status: 'Active',
+        region: 'Southern California'
+      },
+      {
+        id: '08623c0dc6d9f4aa',
+        title: 'Motorcycle Safety Basic RiderCourse',
+        provider: 'Coastline Community Ed',
+        date: '2026-11-15',
+        endDate: '2026-11-15',
+        time: '7:00 AM - 3:30 PM',
+        startTime: '07:00',
+        endTime: '15:30',
+        sessions: [{ date: '2026-11-15', startTime: '07:00', endTime: '15:30', start: '2026-11-15T07:00:00-08:00', end: '2026-11-15T15:30:00-08:00' }],
+        location: 'Lot 12, Main Campus',
+        price: null,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        link: '',
+        seatsRemaining: 0,
+        waitlist: false,
+        status: 'Full',
+        region: 'Southern California'
+      }
+    ]);
+  });
+
+  it('generic follows an extract spec across next-page links', async t => {
+    const scraper = createScraper(t);
+    if (!scraper) return;
+
+    const source = normalizeSource({
+      name: 'Saddleback College',
+      adapter: 'generic',
+      url: `${server.baseUrl}/generic/schedule.html`,
+      provider: 'Saddleback College Community Education',
+      extract: {
+        containers: 'table.sections tbody tr',
+        fields: {
+          title: { column: 'course title' },
+          date: { column: 'start date', pattern: '\\d{1,2}/\\d{1,2}/\\d{4}' },
+          location: { column: 'meets' },
+          price: { column: 'fee', pattern: '\\$\\d+(?:\\.\\d{2})?' },
+          link: { column: 'register', selector: 'a', attribute: 'href' },
+          description: { column: 'section', replace: ['^', 'Section '] }
+        },
+        next: 'a.next'
+      }
+    }, 0);
+    mock.method(console, 'log', () => {});
+    let classes;
+    try {
+      classes = await scraper.scrapeSource(source);
+    } finally {
+      mock.restoreAll();
+    }
+
+    const provider = 'Saddleback College Community Education';
+    assert.deepEqual(classes, [
+      {
+        title: 'Basic RiderCourse',
+        date: '11/07/2026',
+        location: 'Parking Lot 5A',
+        price: '$395',
+        link: `${server.baseUrl}/register?section=MOTO-101A`,
+        description: 'Section MOTO-101A',
+        provider,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Basic RiderCourse',
+        date: '11/14/2026',
+        location: 'Parking Lot 5A',
+        price: '$395',
+        link: `${server.baseUrl}/register?section=MOTO-101B`,
+        description: 'Section MOTO-101B',
+        provider,
+        type: 'Basic Rider Course',
+        courseCode: 'BRC',
+        region: 'Southern California'
+      },
+      {
+        title: 'Advanced RiderCourse',
+        date: '11/22/2026',
+        location: 'Parking Lot 5A',
+        price: '$275',
+        link: `${server.baseUrl}/register?section=MOTO-201`,
+        description: 'Section MOTO-201',
+        provider,
+        type: 'Advanced Course',
+        courseCode: 'ARC',
+        region: 'Southern California'
+      }
+    ]);
+    assert.equal(scraper.sourceReports[0].selector, 'table.sections tbody tr');
+  });
+});
+
+describe('harley Aura responses', () => {
+  const fixture = path.join(FIXTURES_DIR, 'harley', 'sfsites', 'aura.json');
+  const target = { dealer: '99992', level: 'NRC', url: 'https://riders.harley-davidson.com/s/?language=en_US#99992&expLvl=NRC' };
+
+  it('reads sessions, dealer, price and seats out of the Apex payload', async () => {
+    // Aura prefixes some responses with while(1); to stop JSON hijacking
+    const payload = harley.parseAuraResponse(`while(1);\n${await fs.readFile(fixture, 'utf8')}`);
+    const classes = harley.extractClasses([payload], target);
+
+    assert.deepEqual(classes.map(cls => [cls.date, cls.time, cls.availability, cls.price]), [
+      ['2026-11-19, 2026-11-21, 2026-11-22', undefined, '2 seats left', '$399.00'],
+      // Given only as a start and end date
+      ['2026-12-05, 2026-12-06, 2026-12-07', undefined, 'Waitlist', '$399.00']
+    ]);
+    assert.equal(classes[0].location, 'Orange County Harley-Davidson, 11 Auto Center Dr, Tustin, CA 92782');
+  });
+
+  it('converts UTC session times to the dealer\'s clock and names records by experience level', () => {
+    const payload = {
+      actions: [{
+        state: 'SUCCESS',
+        returnValue: [{
+          dealerNumber: '99992',
+          classStartDateTime: '2026-11-21T15:00:00.000Z',
+          classEndDateTime: '2026-11-21T23:30:00.000Z',
+          dealer: { dealerName: 'Orange County Harley-Davidson', city: 'Tustin', state: 'CA' }
+        }]
+      }]
+    };
+
+    const skilled = { dealer: '99992', level: 'SRC', url: 'https://riders.harley-davidson.com/s/?language=en_US#99992&expLvl=SRC' };
+    assert.deepEqual(harley.extractClasses([payload], skilled), [{
+      title: 'Skilled Rider Course',
+      date: '2026-11-21',
+      time: '7:00 AM - 3:30 PM',
+      location: 'Orange County Harley-Davidson, Tustin, CA',
+      link: skilled.url,
+      description: 'Skilled Rider Course'
+    }]);
+  });
+
+  it('loads one finder page per dealer and experience level', async () => {
+    mock.method(console, 'log', () => {});
+    const body = await fs.readFile(fixture, 'utf8');
+    const visited = [];
+    const handlers = {};
+    const page = {
+      url: () => visited[visited.length - 1] || 'about:blank',
+      on: (event, handler) => { handlers[event] = handler; },
+      off: event => { delete handlers[event]; },
+      async goto(url) {
+        visited.push(url);
+        if (url === 'about:blank') return;
+        handlers.response({ url: () => 'https://riders.harley-davidson.com/s/sfsites/aura?r=4', ok: () => true, text: async () => body });
+      },
+      async waitForResponse() {},
+      async waitForNetworkIdle() {}
+    };
+
+    try {
+      const source = normalizeSource({ adapter: 'harley', dealers: ['99992', '10155'], experienceLevels: ['NRC', 'SRC'] }, 0);
+      const classes = await harley.scrape(page, source);
+
+      assert.deepEqual(visited.filter(url => url !== 'about:blank').map(url => url.split('#')[1]), [
+        '99992&expLvl=NRC', '99992&expLvl=SRC', '10155&expLvl=NRC', '10155&expLvl=SRC'
+      ]);
+      // Every page returned the same two classes
+      assert.equal(classes.length, 2);
+      assert.ok(classes.every(cls => cls.provider === 'Harley Davidson'));
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('keeps the classes of finder pages that answered when another one fails', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    const body = await fs.readFile(fixture, 'utf8');
+    const failing = new Set(['10155&expLvl=NRC']);
+    let handlers = {};
+    let current = 'about:blank';
+    const page = {
+      url: () => current,
+      on: (event, handler) => { handlers[event] = handler; },
+      off: () => { handlers = {}; },
+      async goto(url) {
+        current = url;
+        if (url === 'about:blank' || failing.has(url.split('#')[1])) return;
+        handlers.response({ url: () => 'https://riders.harley-davidson.com/s/sfsites/aura?r=4', ok: () => true, text: async () => body });
+      },
+      async waitForResponse() {
+        throw new Error('Waiting failed: 15000ms exceeded');
+      },
+      async waitForNetworkIdle() {}
+    };
+    const incomplete = [];
+
+    try {
+      const source = normalizeSource({ adapter: 'harley', dealers: ['99992', '10155'] }, 0);
+      const classes = await harley.scrape(page, source, { recordIncomplete: reason => incomplete.push(reason) });
+      assert.equal(classes.length, 2);
+      assert.deepEqual(incomplete, ['1 of 2 finder pages failed']);
+
+      failing.add('99992&expLvl=NRC');
+      await assert.rejects(harley.scrape(page, source), /Every finder page failed \(dealer 99992 NRC: No Aura responses/);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('checks dealer and experience level settings when the config loads', () => {
+    assert.throws(() => normalizeSource({ adapter: 'harley', dealers: ['Orange County'] }, 0), /list of dealer numbers/);
+    assert.throws(() => normalizeSource({ adapter: 'harley', experienceLevels: 'NRC' }, 0), /list of expLvl codes/);
+    assert.throws(() => normalizeSource({ adapter: 'harley', url: 'https://riders.harley-davidson.com/s/' }, 0), /needs "dealers"/);
+    assert.deepEqual(harley.finderTargets(normalizeSource({ adapter: 'harley' }, 0)).map(({ dealer, level }) => [dealer, level]), [['99992', 'NRC']]);
+  });
+});
+
+describe('riderite product pages', () => {
+  const listing = { title: 'Basic RiderCourse (BRC) – Costa Mesa', link: 'https://shopriderite.net/product/brc-costa-mesa/' };
+
+  // A shop whose category pages list `categories[url]` and whose product pages
+  // give a description date, except for the `failing` URLs, which never load
+  function fakeShop(categories, failing = new Set()) {
+    const product = {
+      async goto(url) {
+        if (failing.has(url)) throw new Error('Navigation timeout of 30000 ms exceeded');
+      },
+      async evaluate() {
+        return { variations: [], labels: {}, description: 'Dates: Sat, Nov 7 – Sun, Nov 8, 2026' };
+      },
+      async close() {}
+    };
+    let current = null;
+    const page = {
+      async goto(url) {
+        if (failing.has(url)) throw new Error('Navigation timeout of 30000 ms exceeded');
+        current = url;
+      },
+      async evaluate(fn, selectors) {
+        if (fn.name === 'countItems') return 0;
+        if (fn.name === 'advanceListing' || fn.name === 'findNextLink') return null;
+        if (selectors.includes('.product-categories a')) {
+          return Object.keys(categories).map(href => ({ href, text: new URL(href).pathname.split('/')[2] }));
+        }
+        return { selector: '.product', listings: categories[current] || [] };
+      }
+    };
+    return { page, openPage: async () => product };
+  }
+
+  it('records product pages that failed, since their sessions went unread', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    const url = 'https://shopriderite.net/product-category/basic/';
+    const riverside = { title: 'Basic RiderCourse (BRC) – Riverside', link: 'https://shopriderite.net/product/brc-riverside/' };
+    const { page, openPage } = fakeShop({ [url]: [listing, riverside] }, new Set([riverside.link]));
+    const incomplete = [];
+
+    try {
+      const source = normalizeSource({ adapter: 'riderite', url, crawlCategories: false }, 0);
+      const classes = await riderite.scrape(page, source, { openPage, recordIncomplete: reason => incomplete.push(reason) });
+
+      assert.deepEqual(classes.map(cls => [cls.title, cls.date]), [
+        [listing.title, 'Sat, Nov 7 – Sun, Nov 8, 2026'],
+        [riverside.title, undefined]
+      ]);
+      assert.deepEqual(incomplete, ['1 of 2 product pages failed']);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('records categories that failed to load', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    const basic = 'https://shopriderite.net/product-category/basic/';
+    const advanced = 'https://shopriderite.net/product-category/advanced/';
+    const { page, openPage } = fakeShop({ [basic]: [listing], [advanced]: [] }, new Set([advanced]));
+    const incomplete = [];
+
+    try {
+      const source = normalizeSource({ adapter: 'riderite', url: basic, crawlProducts: false }, 0);
+      const classes = await riderite.scrape(page, source, { openPage, recordIncomplete: reason => incomplete.push(reason) });
+
+      assert.deepEqual(classes.map(cls => cls.title), [listing.title]);
+      assert.deepEqual(incomplete, [`failed to read ${advanced}`]);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('takes the date from a date attribute, not from any attribute that mentions a class', () => {
+    const sessions = riderite.buildSessions(listing, {
+      description: 'Location: OC Fair & Event Center',
+      labels: { 'attribute_pa_class-date': { 'nov-7-8': 'Sat, Nov 7 – Sun, Nov 8, 2026' } },
+      variations: [
+        { attributes: { 'attribute_pa_class-type': 'weekend', 'attribute_pa_class-date': 'nov-7-8' }, price: 375, inStock: true, maxQty: null },
+        { attributes: { 'attribute_pa_class-type': 'weekday' }, price: 395, inStock: true, maxQty: null }
+      ]
+    });
+
+    assert.deepEqual(sessions.map(session => session.date), ['Sat, Nov 7 – Sun, Nov 8, 2026']);
+  });
+
+  it('only follows category links that sell courses', () => {
+    const linked = [
+      ['basic', 'Basic'],
+      ['advanced', 'Advanced'],
+      ['3-wheel', 'Trike'],
+      ['private-lessons', 'Private Lessons'],
+      ['gear', 'Riding Gear'],
+      ['gift-cards', 'Gift Cards']
+    ].map(([slug, text]) => ({ href: `https://shopriderite.net/product-category/${slug}/`, text }));
+
+    assert.deepEqual(linked.filter(riderite.isCourseCategory).map(link => link.text), ['Basic', 'Advanced', 'Trike', 'Private Lessons']);
+  });
+});
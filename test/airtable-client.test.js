@@ -0,0 +1,171 @@
+// test/airtable-client.test.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { AirtableClient, AirtableError } = require('../airtable-client');
+const { startMockAirtable } = require('./helpers/mock-airtable');
+
+describe('AirtableClient', () => {
+  let airtable;
+  let dir;
+
+  beforeEach(async () => {
+    airtable = await startMockAirtable({ pageSize: 3 });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airtable-'));
+  });
+
+  afterEach(async () => {
+    await airtable.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function createClient(options = {}) {
+    return new AirtableClient({
+      apiKey: 'key',
+      baseId: 'appTest',
+      tableId: 'Motorcycle Classes',
+      apiUrl: airtable.apiUrl,
+      requestsPerSecond: 50,
+      baseDelayMs: 5,
+      rateLimitDelayMs: 100,
+      deadLetterPath: path.join(dir, 'dead-letter.json'),
+      ...options
+    });
+  }
+
+  it('follows offset pagination when listing', async () => {
+    airtable.seed(Array.from({ length: 7 }, (_, i) => ({ id: `class-${i}` })));
+
+    const records = await createClient().listRecords();
+
+    assert.equal(records.length, 7);
+    assert.equal(airtable.requests.length, 3);
+  });
+
+  it('sends list parameters with every page', async () => {
+    airtable.seed(Array.from({ length: 4 }, (_, i) => ({ id: `class-${i}`, provider: 'RideRite' })));
+
+    await createClient().listRecords({
+      filterByFormula: "{provider} = 'RideRite'",
+      view: 'Upcoming',
+      fields: ['id', 'date'],
+      sort: [{ field: 'date' }]
+    });
+
+    assert.equal(airtable.requests.length, 2);
+    for (const request of airtable.requests) {
+      const params = new URL(request.url, 'http://localhost').searchParams;
+      assert.equal(params.get('filterByFormula'), "{provider} = 'RideRite'");
+      assert.equal(params.get('view'), 'Upcoming');
+      assert.deepEqual(params.getAll('fields[]'), ['id', 'date']);
+      assert.equal(params.get('sort[0][field]'), 'date');
+      assert.equal(params.get('sort[0][direction]'), 'asc');
+    }
+    assert.equal(new URL(airtable.requests[1].url, 'http://localhost').searchParams.get('offset'), '3');
+  });
+
+  it('retries 5xx responses with exponential backoff', async () => {
+    airtable.failNext(503, 2);
+    const delays = [];
+    const client = createClient({ requestsPerSecond: 1e6, sleep: async ms => { delays.push(ms); } });
+
+    const { succeeded, failed } = await client.createRecords([{ fields: { id: 'a' } }]);
+
+    assert.deepEqual([succeeded, failed], [1, 0]);
+    assert.equal(airtable.records.length, 1);
+    assert.deepEqual(delays.filter(ms => ms >= 5), [5, 10]);
+  });
+
+  it('pauses the queue for the rate-limit penalty after a 429', async () => {
+    airtable.failNext(429);
+
+    const started = Date.now();
+    await createClient().createRecords([{ fields: { id: 'a' } }]);
+
+    const [limited, retried] = airtable.requests;
+    assert.ok(retried.time - limited.time >= 90, 'waited for the 429 penalty');
+    assert.ok(Date.now() - started >= 90);
+  });
+
+  it('honors Retry-After on a 429', async () => {
+    airtable.failNext(429, 1, { headers: { 'Retry-After': '0.05' } });
+    const client = createClient({ rateLimitDelayMs: 5000 });
+
+    await client.createRecords([{ fields: { id: 'a' } }]);
+
+    const [limited, retried] = airtable.requests;
+    assert.ok(retried.time - limited.time < 1000);
+  });
+
+  it('caps the request rate', async () => {
+    airtable.seed([{ id: 'x' }]);
+    const client = createClient({ requestsPerSecond: 20 });
+
+    await Promise.all(Array.from({ length: 5 }, () => client.request('GET')));
+
+    const times = airtable.requests.map(request => request.time);
+    assert.ok(times[4] - times[0] >= 180, `5 requests at 20/s took ${times[4] - times[0]}ms`);
+  });
+
+  it('does not retry client errors and dead-letters the batch', async () => {
+    airtable.failNext(422);
+    const client = createClient();
+
+    const records = Array.from({ length: 12 }, (_, i) => ({ fields: { id: `class-${i}` } }));
+    const { succeeded, failed } = await client.createRecords(records);
+
+    assert.deepEqual([succeeded, failed], [2, 10]);
+    assert.equal(airtable.requests.length, 2);
+
+    const deadLetters = JSON.parse(await fs.readFile(path.join(dir, 'dead-letter.json'), 'utf8'));
+    assert.equal(deadLetters.length, 10);
+    assert.deepEqual(deadLetters[0].record, { fields: { id: 'class-0' } });
+    assert.equal(deadLetters[0].method, 'POST');
+    assert.equal(deadLetters[0].status, 422);
+  });
+
+  it('gives up after maxRetries and dead-letters the batch', async () => {
+    airtable.failNext(500, 3);
+    const client = createClient({ maxRetries: 2 });
+
+    const { failed } = await client.updateRecords([{ id: 'rec1', fields: { price: 1 } }]);
+
+    assert.equal(failed, 1);
+    assert.equal(airtable.requests.length, 3);
+    const deadLetters = JSON.parse(await fs.readFile(path.join(dir, 'dead-letter.json'), 'utf8'));
+    assert.equal(deadLetters[0].method, 'PATCH');
+  });
+
+  it('gives up on a request that does not answer in time', async () => {
+    airtable.seed([{ id: 'x' }]);
+    airtable.delayNext(200);
+    const client = createClient({ timeoutMs: 50 });
+
+    const records = await client.listRecords();
+
+    assert.equal(records.length, 1);
+    assert.equal(airtable.requests.length, 2);
+  });
+
+  it('does not resend creates that got no answer, since they may have gone through', async () => {
+    airtable.delayNext(200, 1, { method: 'POST' });
+    const client = createClient({ timeoutMs: 50 });
+
+    const { succeeded, failed } = await client.createRecords([{ fields: { id: 'a' } }]);
+
+    assert.deepEqual([succeeded, failed], [0, 1]);
+    assert.equal(airtable.requests.length, 1);
+    assert.equal(airtable.records.length, 1);
+    const deadLetters = JSON.parse(await fs.readFile(path.join(dir, 'dead-letter.json'), 'utf8'));
+    assert.equal(deadLetters[0].method, 'POST');
+  });
+
+  it('throws AirtableError from request once retries run out', async () => {
+    airtable.failNext(401);
+    await assert.rejects(createClient().request('GET'), error => error instanceof AirtableError && error.status === 401);
+  });
+});
@@ -0,0 +1,150 @@
+// test/airtable-schema.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FIELDS, unmappedKeys, toAirtableFields, fromAirtableRecord, diffSchema, toFieldDefinition } = require('../airtable-schema');
+const { AirtableManager } = require('../airtable-setup');
+const { createGeocoder } = require('../geocoder');
+const MotorcycleClassScraper = require('../scraper');
+const { startMockAirtable } = require('./helpers/mock-airtable');
+
+const brc = {
+  id: 'fbde2eb8873e82e7',
+  title: 'Basic RiderCourse (BRC) – Costa Mesa',
+  provider: 'RideRite',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  sessions: [{ date: '2026-11-07', startTime: '07:00', endTime: '15:30' }],
+  price: 375,
+  status: 'Active',
+  lastUpdated: '2026-10-19T14:00:00.000Z'
+};
+
+describe('field mapping', () => {
+  it('has an Airtable field for every key the pipeline produces', async () => {
+    mock.method(console, 'log', () => {});
+    try {
+      const scraper = new MotorcycleClassScraper({ sources: [], geocoder: createGeocoder({ cachePath: null }), now: new Date('2026-10-19T14:00:00Z') });
+      scraper.classes = [{
+        title: 'Basic RiderCourse (BRC) – Costa Mesa',
+        provider: 'RideRite',
+        date: 'November 7-8, 2026',
+        time: '7:00am - 3:30pm',
+        location: 'OC Fair & Event Center, Costa Mesa, CA 92626',
+        price: '$375.00',
+        availability: '3 seats left',
+        link: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/',
+        region: 'Southern California'
+      }];
+
+      const classes = await scraper.locateClasses(scraper.deduplicate(scraper.normalizeData()));
+      scraper.stampFirstSeen(classes, [], '2026-10-19T14:00:00.000Z');
+
+      assert.deepEqual(unmappedKeys(classes), []);
+      assert.deepEqual(unmappedKeys([{ ...brc, distanceMiles: 2 }]), ['distanceMiles']);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('writes Airtable field names and reads them back', () => {
+    const fields = toAirtableFields(brc);
+
+    assert.equal(fields['Class ID'], brc.id);
+    assert.equal(fields['End Date'], '2026-11-08');
+    assert.equal(fields['Last Updated'], brc.lastUpdated);
+    assert.equal(fields.Sessions, JSON.stringify(brc.sessions));
+    assert.equal(fields.Status, 'Active');
+    assert.equal(fields.lastUpdated, undefined);
+
+    assert.deepEqual(fromAirtableRecord({ id: 'rec1', fields: { ...fields, Notes: 'added by hand' } }), brc);
+  });
+});
+
+describe('diffSchema', () => {
+  it('finds missing fields and choices and fields of the wrong type', () => {
+    const table = {
+      fields: FIELDS
+        .filter(field => field.name !== 'First Seen')
+        .map(field => {
+          if (field.name === 'Status') return { ...field, options: { choices: [{ name: 'Active' }, { name: 'Full' }] } };
+          if (field.name === 'Price') return { ...field, type: 'number' };
+          return field;
+        })
+    };
+
+    const diff = diffSchema(table);
+
+    assert.deepEqual(diff.missingFields.map(field => field.name), ['First Seen']);
+    assert.deepEqual(diff.missingChoices, [{ field: 'Status', choices: ['Cancelled', 'Past'] }]);
+    assert.deepEqual(diff.typeMismatches, [{ field: 'Price', expected: 'currency', actual: 'number' }]);
+  });
+});
+
+describe('AirtableManager schema setup', () => {
+  let airtable;
+  let manager;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    airtable = await startMockAirtable();
+    manager = new AirtableManager('key', 'appTest', 'Motorcycle Classes', {
+      apiUrl: airtable.apiUrl,
+      requestsPerSecond: 1000,
+      deadLetterPath: null
+    });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await airtable.close();
+  });
+
+  it('creates the table when the base does not have it', async () => {
+    const result = await manager.setupTable();
+
+    assert.equal(result.created, true);
+    assert.equal(airtable.tables.length, 1);
+    assert.equal(airtable.tables[0].name, 'Motorcycle Classes');
+    assert.deepEqual(airtable.tables[0].fields.map(field => field.name), FIELDS.map(field => field.name));
+  });
+
+  it('adds only the missing fields to an existing table', async () => {
+    airtable.defineTable('Motorcycle Classes', FIELDS.slice(0, 10).map(toFieldDefinition));
+
+    const result = await manager.setupTable();
+
+    assert.equal(result.created, false);
+    assert.deepEqual(result.addedFields, FIELDS.slice(10).map(field => field.name));
+    assert.equal(airtable.tables[0].fields.length, FIELDS.length);
+    assert.ok(airtable.requests.filter(request => request.method === 'POST').every(request => /\/fields$/.test(request.url)));
+  });
+
+  it('only reports with check', async () => {
+    airtable.defineTable('Motorcycle Classes', FIELDS.slice(0, 10).map(toFieldDefinition));
+
+    const result = await manager.setupTable({ check: true });
+
+    assert.equal(result.addedFields.length, FIELDS.length - 10);
+    assert.equal(airtable.tables[0].fields.length, 10);
+    assert.equal((await new AirtableManager('key', 'appTest', 'Other', { apiUrl: airtable.apiUrl }).setupTable({ check: true })).missingTable, true);
+  });
+
+  it('refuses to sync into a table missing fields', async () => {
+    airtable.defineTable('Motorcycle Classes', FIELDS.slice(0, 10).map(toFieldDefinition));
+
+    await assert.rejects(manager.verifySchema([brc]), /missing "Address"/);
+    await assert.rejects(manager.verifySchema([{ ...brc, distanceMiles: 2 }]), /No Airtable field for class keys: distanceMiles/);
+
+    await manager.setupTable();
+    await manager.verifySchema([brc]);
+  });
+
+  it('skips the field check when the token cannot read the schema', async () => {
+    airtable.failNext(403);
+    await manager.verifySchema([brc]);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,163 @@
+// test/airtable-setup.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AirtableManager, MotorcycleClassesAPI, buildFilterFormula } = require('../airtable-setup');
+const { toAirtableFields } = require('../airtable-schema');
+const { startMockAirtable } = require('./helpers/mock-airtable');
+
+const brc = { id: 'brc-1', title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-11-07', price: 375, status: 'Active', lastUpdated: '2026-10-19T14:00:00.000Z' };
+const arc = { id: 'arc-1', title: 'Advanced RiderCourse', provider: 'RideRite', date: '2026-11-14', price: 250, status: 'Active', lastUpdated: '2026-10-19T14:00:00.000Z' };
+
+describe('AirtableManager.syncClasses', () => {
+  let airtable;
+  let manager;
+
+  beforeEach(async () => {
+    // Keep sync progress logs out of the test runner's stdout
+    mock.method(console, 'log', () => {});
+    airtable = await startMockAirtable();
+    manager = new AirtableManager('key', 'appTest', 'Motorcycle Classes', {
+      apiUrl: airtable.apiUrl,
+      requestsPerSecond: 100,
+      deadLetterPath: null
+    });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await airtable.close();
+  });
+
+  it('creates new classes, patches changed ones and leaves the rest alone', async () => {
+    const first = await manager.syncClasses([brc, arc], '2026-10-19');
+    assert.deepEqual(first, { created: 2, updated: 0, unchanged: 0, retired: 0, failed: 0 });
+
+    const second = await manager.syncClasses([
+      { ...brc, lastUpdated: '2026-10-20T14:00:00.000Z' },
+      { ...arc, price: 225, lastUpdated: '2026-10-20T14:00:00.000Z' }
+    ], '2026-10-20');
+    assert.deepEqual(second, { created: 0, updated: 1, unchanged: 1, retired: 0, failed: 0 });
+
+    assert.equal(airtable.records.length, 2);
+    const patch = airtable.requests.find(request => request.method === 'PATCH');
+    assert.deepEqual(patch.body.records[0].fields, { Price: 225, 'Last Updated': '2026-10-20T14:00:00.000Z' });
+    assert.equal(patch.body.typecast, true);
+  });
+
+  it('marks vanished classes Past or Cancelled instead of deleting them', async () => {
+    airtable.seed([
+      toAirtableFields({ ...brc, date: '2026-10-01' }),
+      toAirtableFields(arc)
+    ]);
+
+    const stats = await manager.syncClasses([], '2026-10-19');
+
+    assert.equal(stats.retired, 2);
+    assert.equal(airtable.records.length, 2);
+    assert.deepEqual(airtable.records.map(record => record.fields.Status), ['Past', 'Cancelled']);
+    assert.ok(!airtable.requests.some(request => request.method === 'DELETE'));
+  });
+
+  it('only retires classes within the scope it is given', async () => {
+    const fullerton = { ...arc, id: 'arc-2', provider: 'Fullerton MSI' };
+    const quarantined = { ...brc, id: 'brc-2', date: '2026-11-21' };
+    airtable.seed([toAirtableFields(brc), toAirtableFields(quarantined), toAirtableFields(arc), toAirtableFields(fullerton)]);
+
+    // Fullerton's source failed this run, and brc-2 was scraped but quarantined
+    const stats = await manager.syncClasses([brc], '2026-10-19', { providers: ['RideRite'], keep: ['brc-2'] });
+
+    assert.equal(stats.retired, 1);
+    assert.deepEqual(airtable.records.map(record => [record.fields['Class ID'], record.fields.Status]), [
+      ['brc-1', 'Active'],
+      ['brc-2', 'Active'],
+      ['arc-1', 'Cancelled'],
+      ['arc-2', 'Active']
+    ]);
+  });
+
+  it('reactivates a retired class that shows up again', async () => {
+    airtable.seed([toAirtableFields({ ...brc, status: 'Cancelled' })]);
+
+    const stats = await manager.syncClasses([brc], '2026-10-19');
+
+    assert.equal(stats.updated, 1);
+    assert.equal(airtable.records[0].fields.Status, 'Active');
+  });
+
+  it('counts records that fail to save', async () => {
+    airtable.failNext(422, 1, { method: 'POST' });
+
+    const stats = await manager.syncClasses([brc, arc], '2026-10-19');
+
+    assert.equal(stats.failed, 2);
+    assert.equal(stats.created, 0);
+  });
+});
+
+describe('AirtableManager reads', () => {
+  let airtable;
+  let manager;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    airtable = await startMockAirtable();
+    manager = new AirtableManager('key', 'appTest', 'Motorcycle Classes', {
+      apiUrl: airtable.apiUrl,
+      requestsPerSecond: 1000,
+      deadLetterPath: null
+    });
+    airtable.seed(Array.from({ length: 250 }, (_, i) => toAirtableFields({ ...brc, id: `brc-${i}` })));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await airtable.close();
+  });
+
+  it('reads every page, not just the first 100 records', async () => {
+    const classes = await manager.getAllClasses({ view: 'Grid view' });
+
+    assert.equal(classes.length, 250);
+    assert.equal(classes[249].id, 'brc-249');
+    assert.equal(classes[0].status, 'Active');
+    assert.equal(airtable.requests.length, 3);
+  });
+
+  it('clears every record', async () => {
+    await manager.clearOldRecords();
+    assert.equal(airtable.records.length, 0);
+  });
+
+  it('pushes MotorcycleClassesAPI filters down to Airtable', async () => {
+    const api = new MotorcycleClassesAPI(manager, { now: new Date('2026-10-19T12:00:00Z') });
+
+    await api.getClassesByProvider('RideRite');
+    await api.getUpcomingClasses();
+    const formulas = airtable.requests.map(request => new URL(request.url, 'http://localhost').searchParams.get('filterByFormula'));
+
+    assert.equal(formulas[0], "{Provider} = 'RideRite'");
+    assert.equal(formulas[3], buildFilterFormula({ from: '2026-10-19', active: true }));
+  });
+});
+
+describe('buildFilterFormula', () => {
+  it('writes nothing for an empty query', () => {
+    assert.equal(buildFilterFormula({}), null);
+  });
+
+  it('combines conditions and escapes text', () => {
+    assert.equal(buildFilterFormula({ region: 'Southern California' }), "{Region} = 'Southern California'");
+    assert.equal(
+      buildFilterFormula({ from: '2026-10-19', provider: "Rider's Edge", active: true }),
+      "AND({Date}, NOT(IS_BEFORE(IF({End Date}, {End Date}, {Date}), '2026-10-19')), {Provider} = 'Rider\\'s Edge', " +
+        "NOT(OR({Status} = 'Past', {Status} = 'Cancelled')))"
+    );
+    assert.equal(
+      buildFilterFormula({ search: 'Costa Mesa' }),
+      "OR(FIND('costa mesa', LOWER({Title} & '')), FIND('costa mesa', LOWER({Provider} & '')), " +
+        "FIND('costa mesa', LOWER({Location} & '')), FIND('costa mesa', LOWER({Type} & '')))"
+    );
+  });
+});
@@ -0,0 +1,294 @@
+// test/api-server.test.js
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createApiServer, SnapshotStore, StorageStore, AirtableStore } = require('../api-server');
+const { AirtableManager } = require('../airtable-setup');
+const { toAirtableFields } = require('../airtable-schema');
+const { startMockAirtable } = require('./helpers/mock-airtable');
+
+const classes = [
+  {
+    id: 'fbde2eb8873e82e7', title: 'Basic RiderCourse (BRC) – Costa Mesa', provider: 'RideRite',
+    date: '2026-11-07', endDate: '2026-11-08', startTime: '07:00', time: '7:00am - 3:30pm',
+    location: 'OC Fair & Event Center, Costa Mesa, CA 92626', price: 375, type: 'Basic Rider Course', courseCode: 'BRC',
+    link: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/', latitude: 33.68, longitude: -117.908
+  },
+  {
+    id: '8aa2aeecfc2e404c', title: 'Basic RiderCourse (BRC) – Riverside', provider: 'RideRite',
+    date: '2026-12-05', endDate: '2026-12-06', startTime: '07:30', time: '7:30 AM - 4:00 PM',
+    location: 'Riverside City College Lot D', price: 350, type: 'Basic Rider Course', courseCode: 'BRC',
+    link: 'https://shopriderite.net/product/basic-rider-course-riverside/', latitude: 33.964, longitude: -117.377
+  },
+  {
+    id: 'd00113d96c816917', title: 'Advanced RiderCourse', provider: 'Fullerton MSI',
+    date: '2026-11-14', endDate: '2026-11-14', startTime: null, time: '',
+    location: 'Irvine Spectrum Range', price: 250, type: 'Advanced Course', courseCode: 'ARC',
+    link: 'https://registration.example.com/classes', latitude: 33.6963, longitude: -117.7757
+  },
+  {
+    id: '0ld0ld0ld0ld0ld0', title: 'Basic RiderCourse', provider: 'Fullerton MSI',
+    date: '2026-10-03', endDate: '2026-10-04', startTime: null, time: '',
+    location: 'Cal State Fullerton Lot E', price: null, type: 'Basic Rider Course', courseCode: 'BRC',
+    link: 'https://registration.example.com/classes', latitude: 33.8735, longitude: -117.9125
+  }
+];
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+describe('API server (snapshot store)', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  const get = async (route, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, { headers });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+  const ids = body => body.classes.map(cls => cls.id);
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-'));
+    await fs.writeFile(path.join(dir, 'motorcycle-classes-2026-10-18.json'), JSON.stringify([]));
+    await fs.writeFile(path.join(dir, 'motorcycle-classes-2026-10-19.json'), JSON.stringify(classes));
+
+    server = createApiServer({ store: new SnapshotStore({ dir }), now: new Date('2026-10-19T12:00:00Z') });
+    baseUrl = await listen(server);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reports health from the latest snapshot', async () => {
+    const { status, body } = await get('/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.store, 'snapshot');
+    assert.equal(body.classes, 4);
+    assert.match(body.source, /motorcycle-classes-2026-10-19\.json$/);
+  });
+
+  it('lists upcoming classes by date', async () => {
+    const { status, body } = await get('/classes');
+    assert.equal(status, 200);
+    assert.deepEqual(ids(body), ['fbde2eb8873e82e7', 'd00113d96c816917', '8aa2aeecfc2e404c']);
+    assert.equal(body.count, 3);
+  });
+
+  it('filters by provider, type, date range and price', async () => {
+    assert.deepEqual(ids((await get('/classes?provider=fullerton%20msi')).body), ['d00113d96c816917']);
+    assert.deepEqual(ids((await get('/classes?type=Advanced%20Course')).body), ['d00113d96c816917']);
+    assert.deepEqual(ids((await get('/classes?type=brc')).body), ['fbde2eb8873e82e7', '8aa2aeecfc2e404c']);
+    assert.deepEqual(ids((await get('/classes?from=2026-11-10&to=2026-11-30')).body), ['d00113d96c816917']);
+    assert.deepEqual(ids((await get('/classes?from=2026-10-01&to=2026-10-31')).body), ['0ld0ld0ld0ld0ld0']);
+    assert.deepEqual(ids((await get('/classes?maxPrice=350')).body), ['d00113d96c816917', '8aa2aeecfc2e404c']);
+  });
+
+  it('searches near a ZIP code, nearest first', async () => {
+    const { body } = await get('/classes?near=92627&radius=15');
+    assert.deepEqual(body.classes.map(cls => [cls.id, cls.distanceMiles]), [
+      ['fbde2eb8873e82e7', 2.4],
+      ['d00113d96c816917', 9]
+    ]);
+  });
+
+  it('rejects bad query parameters', async () => {
+    for (const query of ['from=next-week', 'maxPrice=cheap', 'near=Irvine', 'near=10001', 'radius=-1']) {
+      const { status, body } = await get(`/classes?${query}`);
+      assert.equal(status, 400, query);
+      assert.ok(body.error);
+    }
+  });
+
+  it('returns one class by id, or 404', async () => {
+    const { status, body } = await get('/classes/8aa2aeecfc2e404c');
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Basic RiderCourse (BRC) – Riverside');
+
+    assert.equal((await get('/classes/nope')).status, 404);
+    assert.equal((await get('/nowhere')).status, 404);
+  });
+
+  it('summarizes providers', async () => {
+    const { body } = await get('/providers');
+    assert.deepEqual(body.providers, [
+      { name: 'Fullerton MSI', classes: 2, nextDate: '2026-11-14' },
+      { name: 'RideRite', classes: 2, nextDate: '2026-11-07' }
+    ]);
+  });
+
+  it('serves the widget feed and page', async () => {
+    const { body } = await get('/api/motorcycle-classes');
+    assert.equal(body.classes.length, 3);
+    assert.deepEqual(body.classes[0], {
+      id: 'fbde2eb8873e82e7',
+      title: 'Basic RiderCourse (BRC) – Costa Mesa',
+      provider: 'RideRite',
+      date: '2026-11-07',
+      time: '7:00am - 3:30pm',
+      location: 'OC Fair & Event Center, Costa Mesa, CA 92626',
+      price: 375,
+      type: 'Basic Rider Course',
+      registrationLink: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/'
+    });
+
+    const page = await fetch(`${baseUrl}/widget`);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /fetch\('\/api\/motorcycle-classes'\)/);
+  });
+
+  it('serves filtered calendars and feeds', async () => {
+    const calendar = await fetch(`${baseUrl}/classes.ics?provider=fullerton%20msi`);
+    assert.match(calendar.headers.get('content-type'), /text\/calendar/);
+    const ics = await calendar.text();
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1);
+    assert.match(ics, /UID:d00113d96c816917-20261114@motorcycle-class-scraper/);
+
+    const atom = await fetch(`${baseUrl}/classes.atom?type=BRC`);
+    assert.match(atom.headers.get('content-type'), /application\/atom\+xml/);
+    // Snapshot records written before firstSeen existed never count as new
+    assert.doesNotMatch(await atom.text(), /<entry>/);
+
+    const rss = await fetch(`${baseUrl}/classes.rss`);
+    assert.match(await rss.text(), /<rss version="2.0">/);
+  });
+
+  it('answers 304 when the ETag still matches', async () => {
+    const first = await get('/classes?type=ARC');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.match(first.headers.get('cache-control'), /max-age=\d+/);
+    assert.equal(first.headers.get('access-control-allow-origin'), '*');
+
+    const again = await get('/classes?type=ARC', { 'If-None-Match': etag });
+    assert.equal(again.status, 304);
+    assert.equal(again.body, null);
+
+    const other = await get('/classes?type=BRC', { 'If-None-Match': etag });
+    assert.equal(other.status, 200);
+  });
+
+  it('picks up a newer snapshot without restarting', async () => {
+    await fs.writeFile(path.join(dir, 'motorcycle-classes-2026-10-20.json'), JSON.stringify(classes.slice(0, 1)));
+    const { body } = await get('/health');
+    assert.equal(body.classes, 1);
+  });
+});
+
+describe('API server errors', () => {
+  it('reports 503 from /health when there is no data', async t => {
+    mock.method(console, 'error', () => {});
+    t.after(() => mock.restoreAll());
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-empty-'));
+    const server = createApiServer({ store: new SnapshotStore({ dir }) });
+    const baseUrl = await listen(server);
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      assert.equal(response.status, 503);
+      assert.equal((await response.json()).status, 'error');
+      assert.equal(response.headers.get('etag'), null);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('API server requests', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const stored = [
+      ...classes,
+      { ...classes[0], id: 'cancelled0000000', date: '2026-11-21', endDate: '2026-11-22', status: 'Cancelled' },
+      { ...classes[0], id: 'past000000000000', provider: 'Old School', date: '2026-09-12', endDate: '2026-09-13', status: 'Past' }
+    ];
+    const store = new StorageStore({ name: 'test', listClasses: async () => stored }, { ttlMs: 0 });
+    server = createApiServer({ store, now: new Date('2026-10-19T12:00:00Z') });
+    baseUrl = await listen(server);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Written straight to the socket, since fetch won't send a target this broken
+  const rawRequest = target => new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+  });
+
+  it('answers 400 to a malformed URL or id instead of crashing', async () => {
+    assert.match(await rawRequest('http://['), /^HTTP\/1\.1 400 /);
+    const response = await fetch(`${baseUrl}/classes/%E0%A4%A`);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Malformed path segment/);
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  });
+
+  it('leaves Cancelled and Past classes out of listings and feeds', async () => {
+    const listed = await (await fetch(`${baseUrl}/classes`)).json();
+    assert.deepEqual(listed.classes.map(cls => cls.id), ['fbde2eb8873e82e7', 'd00113d96c816917', '8aa2aeecfc2e404c']);
+
+    const feed = await (await fetch(`${baseUrl}/api/motorcycle-classes`)).json();
+    assert.ok(!feed.classes.some(cls => cls.id === 'cancelled0000000'));
+    assert.doesNotMatch(await (await fetch(`${baseUrl}/classes.ics`)).text(), /cancelled0000000/);
+
+    // Still there for anyone holding its link
+    assert.equal((await (await fetch(`${baseUrl}/classes/cancelled0000000`)).json()).status, 'Cancelled');
+  });
+
+  it('leaves Cancelled and Past classes out of the provider summary', async () => {
+    const { providers } = await (await fetch(`${baseUrl}/providers`)).json();
+    assert.deepEqual(providers, [
+      { name: 'Fullerton MSI', classes: 2, nextDate: '2026-11-14' },
+      { name: 'RideRite', classes: 2, nextDate: '2026-11-07' }
+    ]);
+  });
+});
+
+describe('AirtableStore', () => {
+  it('serves classes read from the table', async () => {
+    mock.method(console, 'log', () => {});
+    const airtable = await startMockAirtable();
+    airtable.seed(classes.slice(0, 2).map(toAirtableFields));
+    const manager = new AirtableManager('key', 'appTest', 'Motorcycle Classes', { apiUrl: airtable.apiUrl, deadLetterPath: null });
+    const server = createApiServer({ store: new AirtableStore(manager), now: new Date('2026-10-19T12:00:00Z') });
+    const baseUrl = await listen(server);
+
+    try {
+      const body = await (await fetch(`${baseUrl}/classes`)).json();
+      assert.deepEqual(body.classes.map(cls => [cls.id, cls.status]), [
+        ['fbde2eb8873e82e7', 'Active'],
+        ['8aa2aeecfc2e404c', 'Active']
+      ]);
+
+      // Cached for the TTL, so the second request doesn't hit Airtable again
+      await fetch(`${baseUrl}/providers`);
+      assert.equal(airtable.requests.length, 1);
+    } finally {
+      mock.restoreAll();
+      await new Promise(resolve => server.close(resolve));
+      await airtable.close();
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// test/availability.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSeats, isWaitlist, deriveStatus } = require('../availability');
+
+describe('parseSeats', () => {
+  const cases = [
+    ['Seats remaining: 4', 4],
+    ['2 seats left', 2],
+    ['3 in stock', 3],
+    ['8 open', 8],
+    ['Only 1 spot available!', 1],
+    ['Out of stock', 0],
+    ['Sold out', 0],
+    ['Full - Join Waitlist', 0],
+    ['No seats available', 0],
+    ['Register now', null],
+    [undefined, null]
+  ];
+
+  for (const [text, seats] of cases) {
+    it(`reads ${JSON.stringify(text)} as ${seats}`, () => {
+      assert.equal(parseSeats(text), seats);
+    });
+  }
+});
+
+describe('deriveStatus', () => {
+  const today = '2026-10-19';
+
+  it('marks classes that already ended as Past', () => {
+    assert.equal(deriveStatus({ availability: '4 seats left', seatsRemaining: 4, endDate: '2026-10-18' }, today), 'Past');
+    assert.equal(deriveStatus({ availability: null, seatsRemaining: null, endDate: '2026-10-19' }, today), 'Active');
+  });
+
+  it('marks sold-out and waitlisted classes as Full', () => {
+    assert.equal(deriveStatus({ availability: 'Out of stock', seatsRemaining: 0, endDate: null }, today), 'Full');
+    assert.equal(deriveStatus({ availability: 'Join the waitlist', seatsRemaining: null, endDate: null }, today), 'Full');
+    assert.ok(isWaitlist('Wait-list only'));
+  });
+
+  it('recognizes cancellations', () => {
+    assert.equal(deriveStatus({ availability: 'Class cancelled', seatsRemaining: null, endDate: '2026-11-07' }, today), 'Cancelled');
+  });
+
+  it('defaults to Active', () => {
+    assert.equal(deriveStatus({ availability: undefined, seatsRemaining: null, endDate: null }, today), 'Active');
+  });
+});
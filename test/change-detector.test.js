@@ -0,0 +1,146 @@
+// test/change-detector.test.js
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { diffClasses, countChanges, formatDigest, findLatestSnapshot, loadSnapshot } = require('../change-detector');
+const MotorcycleClassScraper = require('../scraper');
+const { hashClassId } = require('../deduplicator');
+
+// IDs as the scraper makes them, so they change with the start date
+function withId(cls) {
+  return { id: hashClassId(cls), ...cls };
+}
+
+const brc = withId({ title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-11-07', location: 'Costa Mesa', courseCode: 'BRC', price: 375, status: 'Active' });
+const arc = withId({ title: 'Advanced RiderCourse', provider: 'RideRite', date: '2026-11-14', location: 'Costa Mesa', courseCode: 'ARC', price: 250, status: 'Active' });
+const nrc = withId({ title: 'New Rider Course', provider: 'Harley Davidson', date: '2026-11-21', location: 'Tustin', courseCode: 'NRC', price: 399, status: 'Active' });
+
+describe('diffClasses', () => {
+  it('classifies added, removed, price, date and sellout changes', () => {
+    const previous = [brc, arc, nrc];
+    const current = [
+      { ...brc, price: 350 },
+      { ...arc, endDate: '2026-11-15', status: 'Full' },
+      withId({ title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-12-05', location: 'Riverside', courseCode: 'BRC', price: 375 })
+    ];
+
+    const changes = diffClasses(previous, current);
+
+    assert.deepEqual(changes.added.map(cls => cls.date), ['2026-12-05']);
+    assert.deepEqual(changes.removed.map(cls => cls.id), [nrc.id]);
+    assert.deepEqual(changes.priceChanged.map(({ before, after }) => [before.price, after.price]), [[375, 350]]);
+    assert.deepEqual(changes.dateChanged.map(({ after }) => after.id), [arc.id]);
+    assert.deepEqual(changes.nowFull.map(({ after }) => after.id), [arc.id]);
+    assert.equal(countChanges(changes), 5);
+  });
+
+  it('reports a class moved to another start date as a date change', () => {
+    const { id, ...fields } = arc;
+    const rescheduled = withId({ ...fields, date: '2026-11-21' });
+
+    const changes = diffClasses([brc, arc], [brc, rescheduled]);
+
+    assert.notEqual(rescheduled.id, id);
+    assert.deepEqual(changes.dateChanged.map(({ before, after }) => [before.date, after.date]), [['2026-11-14', '2026-11-21']]);
+    assert.deepEqual([changes.added, changes.removed], [[], []]);
+  });
+
+  it('does not pair up classes when a course and location gained or lost several', () => {
+    const second = withId({ title: 'Advanced RiderCourse', provider: 'RideRite', date: '2026-11-15', location: 'Costa Mesa', courseCode: 'ARC', price: 250 });
+    const replacement = withId({ title: 'Advanced RiderCourse', provider: 'RideRite', date: '2026-12-12', location: 'Costa Mesa', courseCode: 'ARC', price: 250 });
+
+    const changes = diffClasses([arc, second], [replacement]);
+
+    assert.equal(changes.dateChanged.length, 0);
+    assert.deepEqual([changes.added.length, changes.removed.length], [1, 2]);
+  });
+
+  it('reports nothing when the runs match', () => {
+    assert.equal(countChanges(diffClasses([brc, arc], [arc, brc])), 0);
+  });
+
+  it('only reports removals for the providers it is given', () => {
+    const changes = diffClasses([brc, arc, nrc], [brc], { providers: ['RideRite'] });
+    assert.deepEqual(changes.removed.map(cls => cls.id), [arc.id]);
+  });
+
+  it('does not report a class that was already full', () => {
+    const full = { ...brc, status: 'Full' };
+    assert.equal(diffClasses([full], [full]).nowFull.length, 0);
+  });
+});
+
+describe('formatDigest', () => {
+  it('summarizes each kind of change', () => {
+    const digest = formatDigest(diffClasses([brc, nrc], [{ ...brc, price: 350 }]));
+
+    assert.equal(digest.subject, 'Motorcycle classes: 2 changes since last run');
+    assert.match(digest.text, /Price changes \(1\)\n {2}- Basic RiderCourse · RideRite · 2026-11-07 · Costa Mesa: \$375 → \$350/);
+    assert.match(digest.text, /No longer listed \(1\)\n {2}- New Rider Course · Harley Davidson · 2026-11-21 · Tustin/);
+  });
+});
+
+describe('snapshots', () => {
+  it('finds the newest dated snapshot', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+    try {
+      await fs.writeFile(path.join(dir, 'motorcycle-classes-2026-10-17.json'), '[]');
+      await fs.writeFile(path.join(dir, 'motorcycle-classes-2026-10-18.json'), JSON.stringify([brc]));
+      await fs.writeFile(path.join(dir, 'summary.json'), '{}');
+
+      const latest = await findLatestSnapshot(dir);
+      assert.equal(path.basename(latest), 'motorcycle-classes-2026-10-18.json');
+      assert.deepEqual(await loadSnapshot(latest), [brc]);
+
+      const before = await findLatestSnapshot(dir, '2026-10-18');
+      assert.equal(path.basename(before), 'motorcycle-classes-2026-10-17.json');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns null when there is no snapshot yet', async () => {
+    assert.equal(await findLatestSnapshot(path.join(os.tmpdir(), 'does-not-exist')), null);
+  });
+});
+
+describe('MotorcycleClassScraper.detectChanges', () => {
+  const firstSeen = '2026-10-01T14:00:00.000Z';
+
+  // One run in `dir` whose sources are given as [provider, status] pairs
+  async function run(dir, sources, data) {
+    const scraper = new MotorcycleClassScraper({ sources: [], notifiers: [], now: new Date('2026-10-19T14:00:00Z') });
+    scraper.sourceReports = sources.map(([provider, status]) => ({ provider, status }));
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      const changes = await scraper.detectChanges(data);
+      await scraper.saveToJSON(data);
+      return changes;
+    } finally {
+      process.chdir(cwd);
+    }
+  }
+
+  it('keeps the classes of a provider whose source failed until it reads them again', async () => {
+    mock.method(console, 'log', () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'changes-'));
+    try {
+      await fs.writeFile(path.join(dir, 'motorcycle-classes-2000-01-01.json'), JSON.stringify([{ ...brc, firstSeen }, { ...nrc, firstSeen }]));
+
+      const failed = await run(dir, [['RideRite', 'ok'], ['Harley Davidson', 'failed']], [{ ...brc }]);
+      assert.equal(countChanges(failed), 0);
+
+      const recovered = [{ ...brc }, { ...nrc }];
+      assert.equal(countChanges(await run(dir, [['RideRite', 'ok'], ['Harley Davidson', 'ok']], recovered)), 0);
+      assert.deepEqual(recovered.map(cls => cls.firstSeen), [firstSeen, firstSeen]);
+    } finally {
+      mock.restoreAll();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,150 @@
+// test/cli.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync, execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { toAirtableFields } = require('../airtable-schema');
+const { startMockAirtable } = require('./helpers/mock-airtable');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function runCli(args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, SOURCES_CONFIG: '', AIRTABLE_API_KEY: '', ...env },
+    timeout: 30000
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Like runCli, for commands that talk to a server running in this process
+function runCliAsync(args, env = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, SOURCES_CONFIG: '', AIRTABLE_API_KEY: '', ...env },
+      timeout: 30000
+    }, (error, stdout, stderr) => resolve({ code: child.exitCode, stdout, stderr }));
+  });
+}
+
+describe('cli', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+
+    await fs.writeFile(path.join(dir, 'sources.json'), JSON.stringify({
+      sources: [
+        { adapter: 'riderite' },
+        { name: 'Fullerton MSI', adapter: 'msi', url: 'https://registration.example.com', provider: 'Fullerton MSI', enabled: false }
+      ]
+    }));
+    await fs.writeFile(path.join(dir, 'broken.json'), JSON.stringify([{ adapter: 'msi', provider: 'No URL School' }]));
+
+    const brc = { id: 'brc-1', title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-11-07', price: 375 };
+    await fs.writeFile(path.join(dir, 'old.json'), JSON.stringify([brc]));
+    await fs.writeFile(path.join(dir, 'new.json'), JSON.stringify([{ ...brc, price: 350 }]));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lists sources with their enabled state', () => {
+    const { code, stdout } = runCli(['list-sources', '--config', path.join(dir, 'sources.json')]);
+    assert.equal(code, 0);
+    assert.match(stdout, /✅ RideRite \[riderite\] Southern California — https:\/\/shopriderite\.net/);
+    assert.match(stdout, /⏸️ {2}Fullerton MSI \[msi\]/);
+  });
+
+  it('validates config files', () => {
+    const valid = runCli(['validate-config', '--config', path.join(dir, 'sources.json')]);
+    assert.equal(valid.code, 0);
+    assert.match(valid.stdout, /2 sources \(1 enabled\)/);
+
+    const broken = runCli(['validate-config', '--config', path.join(dir, 'broken.json')]);
+    assert.equal(broken.code, 1);
+    assert.match(broken.stderr, /needs a "url" for the msi adapter/);
+  });
+
+  it('shows source health from the run history', async () => {
+    const historyPath = path.join(dir, 'run-history.json');
+    const source = (classes, extra = {}) => ({ source: 'RideRite', adapter: 'riderite', status: 'ok', durationMs: 1000, classes, selector: '.product', error: null, ...extra });
+    await fs.writeFile(historyPath, JSON.stringify({
+      runs: [
+        { startedAt: '2026-10-17T14:00:00.000Z', sources: [source(40)], warnings: [] },
+        { startedAt: '2026-10-18T14:00:00.000Z', sources: [source(0, { status: 'failed', error: 'net::ERR_FAILED' })], warnings: [] },
+        {
+          startedAt: '2026-10-19T14:00:00.000Z',
+          sources: [source(9, { baseline: 40, health: 'suspect', consecutiveFailures: 0 })],
+          warnings: ['RideRite found 9 classes (usually 40): probable breakage']
+        }
+      ]
+    }));
+
+    const { code, stdout } = runCli(['source-health', '--history', historyPath]);
+    assert.equal(code, 2);
+    assert.match(stdout, /⚠️ {2}RideRite \[suspect, usually 40\]: 40 ✗ 9/);
+
+    assert.match(runCli(['source-health', '--history', path.join(dir, 'none.json')]).stdout, /No runs recorded yet/);
+  });
+
+  it('diffs two snapshots', () => {
+    const { code, stdout } = runCli(['diff', path.join(dir, 'old.json'), path.join(dir, 'new.json')]);
+    assert.equal(code, 0);
+    assert.match(stdout, /Price changes \(1\)/);
+
+    const json = runCli(['diff', path.join(dir, 'old.json'), path.join(dir, 'new.json'), '--json']);
+    assert.equal(JSON.parse(json.stdout).priceChanged.length, 1);
+
+    assert.match(runCli(['diff', path.join(dir, 'old.json'), path.join(dir, 'old.json')]).stdout, /No changes/);
+  });
+
+  it('reports usage errors', () => {
+    assert.equal(runCli([]).code, 64);
+    assert.equal(runCli(['explode']).code, 64);
+    assert.equal(runCli(['diff', 'only-one.json']).code, 64);
+    assert.equal(runCli(['sync-airtable']).code, 64);
+    assert.equal(runCli(['list-sources', '--bogus']).code, 64);
+    assert.equal(runCli(['scrape', '--source', 'nowhere', '--config', path.join(dir, 'sources.json')]).code, 64);
+    assert.equal(runCli(['serve', '--port', 'http']).code, 64);
+    assert.equal(runCli(['serve', '--db', 'classes-db.json', '--airtable']).code, 64);
+  });
+
+  it('fails sync-airtable without Airtable credentials', () => {
+    const { code, stderr } = runCli(['sync-airtable', '--from', path.join(dir, 'new.json')]);
+    assert.equal(code, 1);
+    assert.match(stderr, /AIRTABLE_API_KEY/);
+  });
+
+  it('only retires classes of the providers in the file, and only with --retire', async () => {
+    const airtable = await startMockAirtable();
+    try {
+      const stale = { id: 'brc-0', title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-10-31', price: 375 };
+      const harley = { id: 'hd-1', title: 'New Rider Course', provider: 'Harley Davidson', date: '2026-11-19', price: 399 };
+      airtable.seed([stale, harley].map(toAirtableFields));
+      const env = { AIRTABLE_API_KEY: 'key', AIRTABLE_BASE_ID: 'appTest', AIRTABLE_TABLE_ID: 'Motorcycle Classes', AIRTABLE_API_URL: airtable.apiUrl };
+      const statuses = () => airtable.records.map(record => [record.fields['Class ID'], record.fields.Status]);
+
+      // A RideRite-only file, as written by scrape --source riderite --output
+      assert.equal((await runCliAsync(['sync-airtable', '--from', path.join(dir, 'new.json')], env)).code, 0);
+      assert.deepEqual(statuses(), [['brc-0', 'Active'], ['hd-1', 'Active'], ['brc-1', 'Active']]);
+
+      assert.equal((await runCliAsync(['sync-airtable', '--from', path.join(dir, 'new.json'), '--retire'], env)).code, 0);
+      assert.deepEqual(statuses(), [['brc-0', 'Cancelled'], ['hd-1', 'Active'], ['brc-1', 'Active']]);
+    } finally {
+      await airtable.close();
+    }
+  });
+
+  it('prints help', () => {
+    const { code, stdout } = runCli(['--help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /sync-airtable --from <file.json>/);
+  });
+});
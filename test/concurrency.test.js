@@ -0,0 +1,38 @@
+// test/concurrency.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapWithConcurrency, withDeadline, DeadlineError } = require('../concurrency');
+
+describe('mapWithConcurrency', () => {
+  it('keeps result order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  it('handles an empty list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 3, async () => 1), []);
+  });
+});
+
+describe('withDeadline', () => {
+  it('passes results through and rejects work that runs too long', async () => {
+    assert.equal(await withDeadline(Promise.resolve(7), 50), 7);
+    await assert.rejects(
+      withDeadline(new Promise(() => {}), 10, 'Slow source did not finish'),
+      error => error instanceof DeadlineError && error.message === 'Slow source did not finish'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+// test/course-classifier.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyCourse, compileOverrides, COURSES } = require('../course-classifier');
+const { COURSE_TYPES } = require('../data-quality');
+
+describe('classifyCourse', () => {
+  // Titles as they appear on provider sites
+  const cases = [
+    ['Basic RiderCourse (BRC) – Costa Mesa', 'BRC'],
+    ['Weekday Basic RiderCourse', 'BRC'],
+    ['Motorcycle Safety Basic RiderCourse', 'BRC'],
+    ['BRC - Spanish/English', 'BRC'],
+    ['CMSP Basic Rider Course (Weekend)', 'BRC'],
+    ['Beginner Motorcycle Training', 'BRC'],
+    ['Basic RiderCourse 2 (BRC2)', 'BRC2'],
+    ['BRC2 - Licensed Riders', 'BRC2'],
+    ['Basic RiderCourse II', 'BRC2'],
+    ['Intermediate RiderCourse', 'BRC2'],
+    ['Advanced RiderCourse (ARC)', 'ARC'],
+    ['ARC - Sportbike Techniques', 'ARC'],
+    ['3-Wheel Basic RiderCourse', 'BRC3W'],
+    ['Three-Wheel BRC (Trikes & Spyders)', 'BRC3W'],
+    ['3WBRC', 'BRC3W'],
+    ['Returning Rider Basic RiderCourse (RRBRC)', 'RRBRC'],
+    ['Motorcycle Refresher Course', 'RRBRC'],
+    ['Skills Practice', 'SKILLS_PRACTICE'],
+    ['Rider Skills Practice (RSP) – Saturday', 'SKILLS_PRACTICE'],
+    ['New Rider Course', 'NRC'],
+    ['Harley-Davidson Riding Academy: New Rider Course', 'NRC'],
+    ['Skilled Rider Course', 'SKILLED'],
+    ['Riding Academy Skilled Rider', 'SKILLED'],
+    ['Arcadia Motorcycle Training', null],
+    ['Gift Certificate', null]
+  ];
+
+  for (const [title, code] of cases) {
+    it(`classifies ${JSON.stringify(title)} as ${code}`, () => {
+      assert.equal(classifyCourse({ title }).courseCode, code);
+    });
+  }
+
+  it('maps every course to an Airtable Type choice', () => {
+    for (const course of COURSES) {
+      assert.ok(COURSE_TYPES.includes(course.type), `${course.code} → ${course.type}`);
+    }
+    assert.deepEqual(classifyCourse({ title: 'BRC2' }), { courseCode: 'BRC2', type: 'Intermediate Course' });
+    assert.deepEqual(classifyCourse({ title: 'Gift Certificate' }), { courseCode: null, type: 'Motorcycle Safety Course' });
+  });
+
+  it('reads the description when the title is not enough', () => {
+    const cls = { title: 'Saturday Session – Irvine', description: 'Dates: Nov 7\nCourse: Advanced RiderCourse' };
+    assert.equal(classifyCourse(cls).courseCode, 'ARC');
+  });
+
+  it('goes by the title before the description', () => {
+    const cls = {
+      title: 'Basic RiderCourse (BRC) – Costa Mesa',
+      description: 'Graduates can move on to our Advanced RiderCourse or Skilled Rider Course.'
+    };
+    assert.equal(classifyCourse(cls).courseCode, 'BRC');
+  });
+
+  it('lets source overrides win over the built-in patterns', () => {
+    const overrides = compileOverrides([
+      { match: 'Weekday Basic', course: 'BRC2' },
+      { match: '/^saturday session/', course: 'SKILLS_PRACTICE' }
+    ]);
+
+    assert.equal(classifyCourse({ title: 'Weekday Basic RiderCourse' }, overrides).courseCode, 'BRC2');
+    assert.equal(classifyCourse({ title: 'Saturday Session – Irvine' }, overrides).courseCode, 'SKILLS_PRACTICE');
+    assert.equal(classifyCourse({ title: 'Basic RiderCourse (BRC)' }, overrides).courseCode, 'BRC');
+  });
+});
+
+describe('compileOverrides', () => {
+  it('rejects unknown course codes and missing patterns', () => {
+    assert.throws(() => compileOverrides([{ match: 'BRC', course: 'XYZ' }], 'RideRite'), /unknown course "XYZ"/);
+    assert.throws(() => compileOverrides([{ course: 'BRC' }], 'RideRite'), /needs a "match" string/);
+    assert.throws(() => compileOverrides({ BRC: 'x' }, 'RideRite'), /must be an array/);
+  });
+});
@@ -0,0 +1,126 @@
+// test/data-quality.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateClass, validateClasses, buildQualityReport } = require('../data-quality');
+const MotorcycleClassScraper = require('../scraper');
+
+const today = '2026-10-19';
+
+const brc = {
+  id: 'fbde2eb8873e82e7',
+  title: 'Basic RiderCourse (BRC) – Costa Mesa',
+  provider: 'RideRite',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  time: '7:00am - 3:30pm',
+  startTime: '07:00',
+  endTime: '15:30',
+  sessions: [],
+  location: 'OC Fair & Event Center',
+  price: 375,
+  type: 'Basic Rider Course',
+  courseCode: 'BRC',
+  link: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/',
+  seatsRemaining: 6,
+  waitlist: false,
+  status: 'Active',
+  lastUpdated: '2026-10-19T12:00:00.000Z',
+  region: 'Southern California'
+};
+
+function reasons(cls) {
+  return validateClass(cls, { today }).errors.map(error => `${error.field}.${error.rule}`);
+}
+
+describe('validateClass', () => {
+  it('accepts a complete record', () => {
+    assert.deepEqual(validateClass(brc, { today }), { valid: true, errors: [], warnings: [] });
+  });
+
+  it('accepts records without optional fields', () => {
+    const harley = { ...brc, price: null, link: '', startTime: null, endTime: null, seatsRemaining: null };
+    assert.equal(validateClass(harley, { today }).valid, true);
+  });
+
+  it('requires a title, provider, date and location', () => {
+    assert.deepEqual(
+      reasons({ ...brc, title: null, provider: null, date: null, endDate: null, location: '' }),
+      ['title.required', 'provider.required', 'date.required', 'location.required']
+    );
+  });
+
+  it('rejects links that are not http(s) URLs', () => {
+    assert.deepEqual(reasons({ ...brc, link: 'javascript:void(0)' }), ['link.url']);
+    assert.deepEqual(reasons({ ...brc, link: '/product/brc/' }), ['link.url']);
+  });
+
+  it('rejects classes that already ended', () => {
+    assert.deepEqual(reasons({ ...brc, date: '2026-10-10', endDate: '2026-10-11' }), ['endDate.notPast']);
+    assert.deepEqual(reasons({ ...brc, date: '2026-10-10', endDate: null }), ['date.notPast']);
+    // Still running today
+    assert.deepEqual(reasons({ ...brc, date: '2026-10-18', endDate: '2026-10-19' }), []);
+  });
+
+  it('rejects prices outside the expected range', () => {
+    assert.deepEqual(reasons({ ...brc, price: 37500 }), ['price.range']);
+    assert.deepEqual(reasons({ ...brc, price: -5 }), ['price.range']);
+    assert.deepEqual(reasons({ ...brc, price: '375' }), ['price.type']);
+  });
+
+  it('rejects course types that are not Airtable Type choices', () => {
+    assert.deepEqual(reasons({ ...brc, type: 'Basic Course' }), ['type.oneOf']);
+  });
+
+  it('only warns about classes the classifier did not recognize', () => {
+    const result = validateClass({ ...brc, type: 'Motorcycle Safety Course', courseCode: null }, { today });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings.map(warning => `${warning.field}.${warning.rule}`), ['courseCode.required']);
+  });
+});
+
+describe('validateClasses', () => {
+  it('quarantines invalid records with their reasons', () => {
+    const headerRow = { ...brc, title: 'Course', date: null, endDate: null, location: 'Location', price: null };
+    const { valid, quarantined } = validateClasses([brc, headerRow], { today });
+
+    assert.deepEqual(valid, [brc]);
+    assert.deepEqual(quarantined, [{ record: headerRow, reasons: ['date is missing'] }]);
+  });
+});
+
+describe('buildQualityReport', () => {
+  it('reports fill rates and rejection counts per provider', () => {
+    const classes = [
+      brc,
+      { ...brc, price: null, seatsRemaining: null },
+      { ...brc, date: null, endDate: null, link: 'not a url' },
+      { ...brc, provider: 'Coastline Community Ed', type: 'Motorcycle Safety Course', courseCode: null }
+    ];
+    const { results } = validateClasses(classes, { today });
+    const report = buildQualityReport(classes, results, '2026-10-19T12:00:00.000Z');
+
+    assert.deepEqual(report.totals, { total: 4, valid: 3, quarantined: 1 });
+
+    const riderite = report.sources.RideRite;
+    assert.equal(riderite.total, 3);
+    assert.equal(riderite.quarantined, 1);
+    assert.deepEqual(riderite.rejections, { 'date.required': 1, 'link.url': 1 });
+    assert.equal(riderite.fillRates.price, 0.67);
+    assert.equal(riderite.fillRates.title, 1);
+
+    assert.deepEqual(report.sources['Coastline Community Ed'].warnings, { 'courseCode.required': 1 });
+  });
+});
+
+describe('MotorcycleClassScraper.validateData', () => {
+  it('keeps valid classes and remembers the quarantined ones', () => {
+    const scraper = new MotorcycleClassScraper({ now: new Date('2026-10-19T12:00:00Z'), sources: [] });
+    const stale = { ...brc, date: '2026-09-01', endDate: '2026-09-02' };
+
+    assert.deepEqual(scraper.validateData([brc, stale]), [brc]);
+    assert.deepEqual(scraper.quarantined, [{ record: stale, reasons: ['endDate 2026-09-02 is in the past'] }]);
+    assert.equal(scraper.qualityReport.totals.quarantined, 1);
+  });
+});
@@ -0,0 +1,87 @@
+// test/date-parser.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSchedule, todayInLosAngeles } = require('../date-parser');
+
+// Pin "today" so year inference is deterministic
+const today = { year: 2026, month: 10, day: 19 };
+
+function parse(dateStr, timeStr) {
+  return parseSchedule(dateStr, timeStr, { today });
+}
+
+function sessionDates(schedule) {
+  return schedule.sessions.map(session => session.date);
+}
+
+describe('parseSchedule', () => {
+  // [date text, time text, start, end, sessions, start time, end time]
+  const corpus = [
+    ['11/07/2026', null, '2026-11-07', '2026-11-07', ['2026-11-07'], null, null],
+    ['2026-11-02', null, '2026-11-02', '2026-11-02', ['2026-11-02'], null, null],
+    ['November 2, 2026', null, '2026-11-02', '2026-11-02', ['2026-11-02'], null, null],
+    ['14 Nov 2026', null, '2026-11-14', '2026-11-14', ['2026-11-14'], null, null],
+    ['Sat, Nov 2 – Sun, Nov 3', null, '2026-11-02', '2026-11-03', ['2026-11-02', '2026-11-03'], null, null],
+    ['11/2-11/3/2026', null, '2026-11-02', '2026-11-03', ['2026-11-02', '2026-11-03'], null, null],
+    ['Nov 2-3, 2026', null, '2026-11-02', '2026-11-03', ['2026-11-02', '2026-11-03'], null, null],
+    ['Nov 7 thru Nov 8', null, '2026-11-07', '2026-11-08', ['2026-11-07', '2026-11-08'], null, null],
+    ['Sat 11/7 & Sun 11/8', null, '2026-11-07', '2026-11-08', ['2026-11-07', '2026-11-08'], null, null],
+    ['Nov 14, 15 & 21', '7:30 AM - 4:00 PM', '2026-11-14', '2026-11-21', ['2026-11-14', '2026-11-15', '2026-11-21'], '07:30', '16:00'],
+    ['Saturday, November 7th, 2026 7:00am - 3:30pm', null, '2026-11-07', '2026-11-07', ['2026-11-07'], '07:00', '15:30'],
+    ['11/08/2026', '7:00 AM - 3:30 PM', '2026-11-08', '2026-11-08', ['2026-11-08'], '07:00', '15:30'],
+    ['Mar 8, 2026', '8:00 - 4:30pm', '2026-03-08', '2026-03-08', ['2026-03-08'], '08:00', '16:30'],
+    ['1/5/27 1-4pm', null, '2027-01-05', '2027-01-05', ['2027-01-05'], '13:00', '16:00'],
+    ['Fri 11/6 6pm-10pm, Sat 11/7 & Sun 11/8', null, '2026-11-06', '2026-11-08', ['2026-11-06', '2026-11-07', '2026-11-08'], '18:00', '22:00'],
+    ['Dec 30 - Jan 2', null, '2026-12-30', '2027-01-02', ['2026-12-30', '2026-12-31', '2027-01-01', '2027-01-02'], null, null],
+    // Numbers next to a date that aren't days of it
+    ['Starting Nov 7 for 3 weeks', null, '2026-11-07', '2026-11-07', ['2026-11-07'], null, null],
+    ['Room 12 Nov 7', null, '2026-11-07', '2026-11-07', ['2026-11-07'], null, null]
+  ];
+
+  for (const [dateStr, timeStr, startDate, endDate, sessions, startTime, endTime] of corpus) {
+    it(`parses "${dateStr}"${timeStr ? ` / "${timeStr}"` : ''}`, () => {
+      const schedule = parse(dateStr, timeStr);
+      assert.equal(schedule.startDate, startDate);
+      assert.equal(schedule.endDate, endDate);
+      assert.deepEqual(sessionDates(schedule), sessions);
+      assert.equal(schedule.startTime, startTime);
+      assert.equal(schedule.endTime, endTime);
+    });
+  }
+
+  it('returns null when there is no date', () => {
+    assert.equal(parse(''), null);
+    assert.equal(parse('TBD'), null);
+    assert.equal(parse('Call for dates'), null);
+  });
+
+  it('rolls year-less dates that are well past into next year', () => {
+    assert.equal(parse('Jan 5').startDate, '2027-01-05');
+    assert.equal(parse('Oct 1').startDate, '2026-10-01');
+  });
+
+  it('attaches the Los Angeles offset for the session date', () => {
+    const summer = parse('Jul 11, 2026', '7:00am - 3:30pm');
+    assert.equal(summer.start, '2026-07-11T07:00:00-07:00');
+    assert.equal(summer.end, '2026-07-11T15:30:00-07:00');
+
+    const winter = parse('Dec 12, 2026', '11:30pm');
+    assert.equal(winter.start, '2026-12-12T23:30:00-08:00');
+    assert.equal(winter.end, null);
+  });
+
+  it('keeps late-evening classes on their Los Angeles date', () => {
+    const schedule = parse('Fri 11/6 6pm-11:59pm');
+    assert.equal(schedule.startDate, '2026-11-06');
+    assert.equal(schedule.sessions[0].end, '2026-11-06T23:59:00-08:00');
+  });
+});
+
+describe('todayInLosAngeles', () => {
+  it('uses the Los Angeles calendar date near midnight UTC', () => {
+    // 03:00 UTC on Nov 3 is still the evening of Nov 2 in Los Angeles
+    assert.deepEqual(todayInLosAngeles(new Date('2026-11-03T03:00:00Z')), { year: 2026, month: 11, day: 2 });
+  });
+});
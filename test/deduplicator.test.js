@@ -0,0 +1,114 @@
+// test/deduplicator.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hashClassId, isDuplicate, deduplicateClasses } = require('../deduplicator');
+
+const riderite = {
+  id: 'fbde2eb8873e82e7',
+  title: 'Basic RiderCourse (BRC) – Costa Mesa',
+  provider: 'RideRite',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  startTime: '07:00',
+  location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+  price: 375,
+  type: 'Basic Rider Course',
+  courseCode: 'BRC',
+  link: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/',
+  seatsRemaining: null,
+  lastUpdated: '2026-10-19T14:00:00.000Z'
+};
+
+const portal = {
+  id: 'a1b2c3d4e5f60718',
+  title: 'Basic RiderCourse',
+  provider: 'Costa Mesa MSI',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  startTime: null,
+  location: 'OC Fair and Event Center',
+  price: 350,
+  type: 'Basic Rider Course',
+  courseCode: 'BRC',
+  link: 'https://registration.example.com/classes',
+  seatsRemaining: 4,
+  lastUpdated: '2026-10-19T14:05:00.000Z'
+};
+
+describe('hashClassId', () => {
+  it('gives classes that share a long prefix different IDs', () => {
+    const a = hashClassId({ provider: 'RideRite', title: 'Basic RiderCourse (BRC) – Costa Mesa', date: '2026-11-07', location: 'OC Fair' });
+    const b = hashClassId({ provider: 'RideRite', title: 'Basic RiderCourse (BRC) – Riverside', date: '2026-11-07', location: 'OC Fair' });
+    assert.notEqual(a, b);
+    assert.match(a, /^[0-9a-f]{16}$/);
+  });
+
+  it('ignores case, spacing and punctuation', () => {
+    assert.equal(
+      hashClassId({ provider: 'RideRite', title: 'Basic RiderCourse (BRC)', date: '2026-11-07', location: 'Lot 12, Main Campus' }),
+      hashClassId({ provider: 'rideRite ', title: 'basic ridercourse  brc', date: '2026-11-07', location: 'Lot 12 Main Campus' })
+    );
+  });
+});
+
+describe('isDuplicate', () => {
+  it('matches the same course, day and venue across providers', () => {
+    assert.equal(isDuplicate(riderite, portal), true);
+  });
+
+  it('keeps different venues, days, start times and courses apart', () => {
+    const lot12 = { ...portal, location: 'Lot 12, Main Campus' };
+    assert.equal(isDuplicate(lot12, { ...lot12, location: 'Lot 5, Main Campus' }), false);
+    assert.equal(isDuplicate(riderite, { ...portal, date: '2026-11-14' }), false);
+    assert.equal(isDuplicate(riderite, { ...portal, startTime: '17:30' }), false);
+    assert.equal(isDuplicate(riderite, { ...portal, courseCode: 'ARC', type: 'Advanced Course' }), false);
+  });
+
+  it('compares titles when a class could not be classified', () => {
+    const unclassified = { ...portal, courseCode: null, type: 'Motorcycle Safety Course' };
+    assert.equal(isDuplicate(
+      { ...unclassified, title: 'Motorcycle Training Saturday' },
+      { ...unclassified, title: 'Motorcycle Training – Saturday' }
+    ), true);
+    assert.equal(isDuplicate(
+      { ...unclassified, title: 'Motorcycle Training Saturday' },
+      { ...unclassified, title: 'Scooter Clinic' }
+    ), false);
+  });
+});
+
+describe('deduplicateClasses', () => {
+  it('merges copies, filling gaps from later sources and recording each one', () => {
+    const { classes, merged } = deduplicateClasses([riderite, portal]);
+
+    assert.equal(merged, 1);
+    assert.deepEqual(classes, [{
+      ...riderite,
+      // RideRite is listed first, so its price wins; the portal adds the seat count
+      seatsRemaining: 4,
+      lastUpdated: '2026-10-19T14:05:00.000Z',
+      sources: [
+        { id: 'fbde2eb8873e82e7', provider: 'RideRite', link: riderite.link },
+        { id: 'a1b2c3d4e5f60718', provider: 'Costa Mesa MSI', link: portal.link }
+      ]
+    }]);
+  });
+
+  it('collapses the same listing seen twice within one source', () => {
+    const { classes, merged } = deduplicateClasses([riderite, { ...riderite }]);
+
+    assert.equal(merged, 1);
+    assert.deepEqual(classes[0].sources, [{ id: riderite.id, provider: 'RideRite', link: riderite.link }]);
+  });
+
+  it('leaves distinct classes alone', () => {
+    const later = { ...riderite, id: '247a6ef27be0bd63', date: '2026-11-21', endDate: '2026-11-22' };
+    const { classes, merged } = deduplicateClasses([riderite, later, { ...portal, date: null }]);
+
+    assert.equal(merged, 0);
+    assert.deepEqual(classes.map(cls => cls.id), [riderite.id, later.id, portal.id]);
+    assert.ok(classes.every(cls => cls.sources.length === 1));
+  });
+});
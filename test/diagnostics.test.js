@@ -0,0 +1,116 @@
+// test/diagnostics.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { recordPage, toHar, saveDiagnostics, pruneDiagnostics } = require('../diagnostics');
+const { normalizeSource } = require('../source-registry');
+const MotorcycleClassScraper = require('../scraper');
+const { createFakeBrowser, fakeRequest, fakeResponse } = require('./helpers/fake-browser');
+
+describe('diagnostics', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'diagnostics-'));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('records console messages and requests until detached', async () => {
+    const page = await createFakeBrowser().newPage();
+    const recorder = recordPage(page);
+
+    const listing = fakeRequest('document', 'https://riders.harley-davidson.com/s/?language=en_US', { headers: { accept: 'text/html' } });
+    const tracker = fakeRequest('script', 'https://www.googletagmanager.com/gtag/js');
+    page.emit('console', { type: () => 'error', text: () => 'Aura: component failed to load' });
+    page.emit('request', listing);
+    page.emit('response', fakeResponse(listing, 200, { 'content-type': 'text/html' }));
+    page.emit('request', tracker);
+    await tracker.abort();
+    page.emit('requestfailed', tracker);
+
+    recorder.detach();
+    page.emit('console', { type: () => 'log', text: () => 'after detach' });
+
+    assert.deepEqual(recorder.consoleMessages.map(message => [message.type, message.text]), [['error', 'Aura: component failed to load']]);
+
+    const har = toHar(recorder.requests);
+    assert.equal(har.log.version, '1.2');
+    assert.deepEqual(har.log.entries.map(entry => [entry.request.url, entry.response.status, entry.response.statusText]), [
+      ['https://riders.harley-davidson.com/s/?language=en_US', 200, 'OK'],
+      ['https://www.googletagmanager.com/gtag/js', 0, 'net::ERR_BLOCKED_BY_CLIENT']
+    ]);
+    assert.deepEqual(har.log.entries[0].request.queryString, [{ name: 'language', value: 'en_US' }]);
+    assert.equal(har.log.entries[0].response.content.mimeType, 'text/html');
+  });
+
+  it('saves a screenshot, the HTML and both logs', async () => {
+    const page = await createFakeBrowser().newPage();
+    const recorder = recordPage(page);
+    await page.goto('https://registration.example.com/classes');
+    page.emit('console', { type: () => 'warn', text: () => 'slow network' });
+
+    const source = normalizeSource({ adapter: 'msi', name: 'Fullerton MSI', provider: 'Fullerton MSI', url: 'https://registration.example.com/classes' }, 0);
+    const target = path.join(dir, 'fullerton-msi');
+    const written = await saveDiagnostics(target, { page, recorder, source, reason: 'empty' });
+
+    assert.deepEqual(written, ['info.json', 'screenshot.png', 'page.html', 'console.log', 'network.har']);
+    const info = JSON.parse(await fs.readFile(path.join(target, 'info.json'), 'utf8'));
+    assert.equal(info.reason, 'empty');
+    assert.equal(info.pageUrl, 'https://registration.example.com/classes');
+    assert.match(await fs.readFile(path.join(target, 'console.log'), 'utf8'), /\[warn\] slow network\n$/);
+    assert.match(await fs.readFile(path.join(target, 'page.html'), 'utf8'), /registration\.example\.com/);
+  });
+
+  it('keeps only the newest run folders', async () => {
+    for (const run of ['2026-10-16T14-00-00-000Z', '2026-10-17T14-00-00-000Z', '2026-10-18T14-00-00-000Z']) {
+      await fs.mkdir(path.join(dir, run));
+    }
+    assert.deepEqual(await pruneDiagnostics(dir, 2), ['2026-10-16T14-00-00-000Z']);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['2026-10-17T14-00-00-000Z', '2026-10-18T14-00-00-000Z']);
+    assert.deepEqual(await pruneDiagnostics(path.join(dir, 'missing')), []);
+  });
+
+  it('captures failed and empty sources during a scrape', async () => {
+    const browser = createFakeBrowser({
+      'https://one.example.com/': [{ title: 'Basic RiderCourse', date: '11/07/2026', location: 'Lot E', price: '$350.00' }],
+      'https://slow.example.com/': 'hang'
+    });
+    const sources = [
+      normalizeSource({ adapter: 'msi', name: 'One', provider: 'One', url: 'https://one.example.com/' }, 0),
+      normalizeSource({ adapter: 'msi', name: 'Slow', provider: 'Slow', url: 'https://slow.example.com/', timeoutMs: 50 }, 1),
+      normalizeSource({ adapter: 'msi', name: 'Empty School', provider: 'Empty', url: 'https://empty.example.com/' }, 2)
+    ];
+
+    const scraper = new MotorcycleClassScraper({
+      sources: [],
+      runHistoryPath: null,
+      diagnosticsDir: dir,
+      geocoder: { geocode: async () => null },
+      now: new Date('2026-10-19T12:00:00Z')
+    });
+    scraper.init = async () => { scraper.browser = browser; };
+    await scraper.scrapeAll(sources);
+
+    const [one, slow, empty] = scraper.runReport.sources;
+    assert.equal(one.diagnostics, undefined);
+    assert.equal(path.basename(slow.diagnostics), 'slow');
+    assert.equal(path.basename(empty.diagnostics), 'empty-school');
+    assert.equal(path.dirname(slow.diagnostics), path.dirname(empty.diagnostics));
+
+    const info = JSON.parse(await fs.readFile(path.join(slow.diagnostics, 'info.json'), 'utf8'));
+    assert.equal(info.reason, 'timeout');
+    assert.match(info.error, /did not finish within/);
+    assert.ok((await fs.readdir(empty.diagnostics)).includes('screenshot.png'));
+  });
+});
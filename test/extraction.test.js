@@ -0,0 +1,120 @@
+// test/extraction.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runExtraction, validateExtractionSpec } = require('../extraction');
+const { normalizeSource } = require('../source-registry');
+
+const SPEC = {
+  containers: 'tr',
+  fields: { title: { column: 'course' }, date: { column: 'date', pattern: '\\d+/\\d+/\\d{4}' } },
+  next: 'a.next'
+};
+
+// Page whose evaluate() answers with the records and next link listed for its URL
+function fakePage(pages) {
+  const page = {
+    visited: [],
+    waits: [],
+    url: 'about:blank',
+    async goto(url) {
+      page.url = url;
+      page.visited.push(url);
+    },
+    async waitForSelector(selector, options) {
+      page.waits.push([selector, options.timeout]);
+    },
+    async evaluate(fn, spec) {
+      const { records = [], next = null } = pages[page.url] || {};
+      if (fn.name === 'findNextLink') return next;
+      assert.equal(spec.containers, 'tr');
+      return { selector: records.length > 0 ? 'tr' : null, records };
+    }
+  };
+  return page;
+}
+
+describe('runExtraction', () => {
+  const source = { name: 'Saddleback College', url: 'https://ce.example.edu/moto?page=1', provider: 'Saddleback College' };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('follows next links and stops at a page it has already read', async () => {
+    const page = fakePage({
+      'https://ce.example.edu/moto?page=1': { records: [{ title: 'Basic RiderCourse', date: '11/07/2026' }], next: 'https://ce.example.edu/moto?page=2' },
+      'https://ce.example.edu/moto?page=2': { records: [{ title: 'Advanced RiderCourse', date: '11/22/2026' }], next: 'https://ce.example.edu/moto?page=1' }
+    });
+    let selector;
+
+    const records = await runExtraction(page, source, SPEC, { recordSelector: matched => { selector = matched; } });
+
+    assert.deepEqual(page.visited, ['https://ce.example.edu/moto?page=1', 'https://ce.example.edu/moto?page=2']);
+    assert.deepEqual(records.map(record => [record.title, record.provider]), [
+      ['Basic RiderCourse', 'Saddleback College'],
+      ['Advanced RiderCourse', 'Saddleback College']
+    ]);
+    assert.equal(selector, 'tr');
+  });
+
+  it('reads at most maxPages pages and waits for the spec\'s element on each', async () => {
+    const pages = {};
+    for (let number = 1; number <= 5; number++) {
+      pages[`https://ce.example.edu/moto?page=${number}`] = {
+        records: [{ title: `Section ${number}` }],
+        next: `https://ce.example.edu/moto?page=${number + 1}`
+      };
+    }
+    const page = fakePage(pages);
+
+    const records = await runExtraction(page, source, { ...SPEC, maxPages: 3, waitFor: 'table.sections', waitTimeoutMs: 5000 });
+
+    assert.equal(records.length, 3);
+    assert.deepEqual(page.waits, [['table.sections', 5000], ['table.sections', 5000], ['table.sections', 5000]]);
+  });
+});
+
+describe('validateExtractionSpec', () => {
+  const rejects = (spec, pattern) => assert.throws(() => validateExtractionSpec(spec, 'Saddleback College'), pattern);
+
+  it('accepts selectors, columns and page values', () => {
+    validateExtractionSpec({
+      containers: ['.class-row', 'tr'],
+      fields: {
+        title: 'h3',
+        date: { column: ['start date', 1], pattern: '(\\d+/\\d+/\\d{4})' },
+        price: { selector: '.fee', replace: [',', ''] },
+        link: { from: 'page' }
+      },
+      required: ['title', 'date'],
+      next: 'a[rel=next]',
+      maxPages: 5
+    }, 'Saddleback College');
+  });
+
+  it('names the problem', () => {
+    rejects(null, /"extract" must be an object/);
+    rejects({ fields: { title: 'h3' } }, /extract\.containers/);
+    rejects({ containers: 'tr', fields: {} }, /extract\.fields/);
+    rejects({ containers: 'tr', fields: { title: 'h3' }, nextPage: 'a.next' }, /unknown option "nextPage"/);
+    rejects({ containers: 'tr', fields: { title: { attribute: 'href' } } }, /needs a "selector", "column" or "from"/);
+    rejects({ containers: 'tr', fields: { title: { column: -1 } } }, /header names or column positions/);
+    rejects({ containers: 'tr', fields: { title: { selector: 'h3', pattern: '(' } } }, /invalid pattern/);
+    rejects({ containers: 'tr', fields: { title: { selector: 'h3', replace: 'x' } } }, /\[pattern, replacement\]/);
+    rejects({ containers: 'tr', fields: { date: '.date' } }, /extract\.required/);
+    rejects({ containers: 'tr', fields: { title: 'h3' }, maxPages: 0 }, /extract\.maxPages/);
+  });
+
+  it('runs when sources load', () => {
+    assert.throws(() => normalizeSource({ adapter: 'generic', url: 'https://ce.example.edu/moto', provider: 'Saddleback' }, 0), /needs an "extract" spec/);
+    assert.throws(() => normalizeSource({ adapter: 'community-ed', url: 'https://ce.example.edu/moto', provider: 'Saddleback', extract: { containers: 'tr' } }, 0), /extract\.fields/);
+    const source = normalizeSource({ adapter: 'generic', url: 'https://ce.example.edu/moto', provider: 'Saddleback', extract: SPEC }, 0);
+    assert.deepEqual(source.extract, SPEC);
+  });
+});
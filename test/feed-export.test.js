@@ -0,0 +1,171 @@
+// test/feed-export.test.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { toICalendar, toAtomFeed, toRssFeed, selectNewClasses, writeFeeds } = require('../feed-export');
+const MotorcycleClassScraper = require('../scraper');
+
+const now = new Date('2026-10-19T14:00:00Z');
+
+const brc = {
+  id: 'fbde2eb8873e82e7',
+  title: 'Basic RiderCourse (BRC) – Costa Mesa',
+  provider: 'RideRite',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  sessions: [
+    { date: '2026-11-07', startTime: '07:00', endTime: '15:30' },
+    { date: '2026-11-08', startTime: '07:00', endTime: '15:30' }
+  ],
+  location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+  price: 375,
+  type: 'Basic Rider Course',
+  courseCode: 'BRC',
+  link: 'https://shopriderite.net/product/basic-rider-course-costa-mesa/',
+  seatsRemaining: 3,
+  status: 'Active',
+  latitude: 33.68,
+  longitude: -117.908,
+  firstSeen: '2026-10-19T14:00:00.000Z'
+};
+
+const arc = {
+  id: 'd00113d96c816917',
+  title: 'Advanced RiderCourse',
+  provider: 'Fullerton MSI',
+  date: '2026-11-14',
+  endDate: '2026-11-14',
+  sessions: [],
+  location: 'Irvine Spectrum Range',
+  price: null,
+  type: 'Advanced Course',
+  courseCode: 'ARC',
+  link: 'https://registration.example.com/classes',
+  status: 'Full',
+  firstSeen: '2026-09-01T14:00:00.000Z'
+};
+
+// Unfolded content lines of an iCalendar document
+function icsLines(text) {
+  return text.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('toICalendar', () => {
+  const ics = toICalendar([brc, arc], { now });
+  const lines = icsLines(ics);
+
+  it('writes one event per session in Pacific time', () => {
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+    assert.ok(lines.includes('UID:fbde2eb8873e82e7-20261107@motorcycle-class-scraper'));
+    assert.ok(lines.includes('UID:fbde2eb8873e82e7-20261108@motorcycle-class-scraper'));
+    assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20261108T070000'));
+    assert.ok(lines.includes('DTEND;TZID=America/Los_Angeles:20261108T153000'));
+    assert.ok(lines.includes('SUMMARY:Basic RiderCourse (BRC) – Costa Mesa (day 2 of 2)'));
+    assert.ok(lines.includes('DTSTAMP:20261019T140000Z'));
+  });
+
+  it('includes the location, price and registration link', () => {
+    assert.ok(lines.includes('LOCATION:OC Fair & Event Center\\, Lot G\\, 88 Fair Dr\\, Costa Mesa\\, CA 92626'));
+    assert.ok(lines.includes('DESCRIPTION:Provider: RideRite\\nPrice: $375\\nCourse: Basic Rider Course\\nSeats remaining: 3\\nRegister: https://shopriderite.net/product/basic-rider-course-costa-mesa/'));
+    assert.ok(lines.includes('URL:https://shopriderite.net/product/basic-rider-course-costa-mesa/'));
+    assert.ok(lines.includes('GEO:33.68;-117.908'));
+  });
+
+  it('makes classes without times all-day events', () => {
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261114'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20261115'));
+    assert.ok(lines.includes('SUMMARY:Advanced RiderCourse'));
+  });
+
+  it('folds long lines at 75 octets with CRLF', () => {
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+  });
+});
+
+describe('selectNewClasses', () => {
+  it('keeps upcoming classes first seen in the last two weeks, newest first', () => {
+    const started = { ...brc, id: 'started', date: '2026-10-18', firstSeen: '2026-10-18T14:00:00.000Z' };
+    const older = { ...brc, id: 'older', date: '2026-12-05', firstSeen: '2026-10-10T14:00:00.000Z' };
+    const unstamped = { ...brc, id: 'unstamped', firstSeen: undefined };
+
+    const fresh = selectNewClasses([older, arc, started, brc, unstamped], { now });
+    assert.deepEqual(fresh.map(cls => cls.id), [brc.id, 'older']);
+  });
+});
+
+describe('toAtomFeed / toRssFeed', () => {
+  it('writes an Atom entry per class', () => {
+    const atom = toAtomFeed([brc], { title: 'RideRite', id: 'provider:riderite', now });
+
+    assert.match(atom, /<id>urn:motorcycle-class-scraper:feed:provider:riderite<\/id>/);
+    assert.match(atom, /<updated>2026-10-19T14:00:00.000Z<\/updated>/);
+    assert.match(atom, /<id>urn:motorcycle-class-scraper:class:fbde2eb8873e82e7<\/id>/);
+    assert.match(atom, /<title>Basic RiderCourse \(BRC\) – Costa Mesa · 2026-11-07<\/title>/);
+    assert.match(atom, /<link rel="alternate" href="https:\/\/shopriderite.net\/product\/basic-rider-course-costa-mesa\/"\/>/);
+    assert.match(atom, /<summary>RideRite · 2026-11-07 · OC Fair &amp; Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626 · \$375<\/summary>/);
+  });
+
+  it('writes the same entries as RSS items', () => {
+    const rss = toRssFeed([brc], { link: 'https://classes.example.org/', now });
+
+    assert.match(rss, /<link>https:\/\/classes.example.org\/<\/link>/);
+    assert.match(rss, /<guid isPermaLink="false">urn:motorcycle-class-scraper:class:fbde2eb8873e82e7<\/guid>/);
+    assert.match(rss, /<pubDate>Mon, 19 Oct 2026 14:00:00 GMT<\/pubDate>/);
+    assert.match(rss, /<category>Basic Rider Course<\/category>/);
+  });
+});
+
+describe('writeFeeds', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'feeds-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes calendars and feeds for everything, each provider and each course type', async () => {
+    const written = await writeFeeds([brc, arc], { dir, now });
+
+    assert.deepEqual(written.map(file => path.relative(dir, file)).filter(file => file.endsWith('.ics')), [
+      'all.ics',
+      'provider/fullerton-msi.ics',
+      'provider/riderite.ics',
+      'type/advanced-course.ics',
+      'type/basic-rider-course.ics'
+    ]);
+
+    const riderite = await fs.readFile(path.join(dir, 'provider', 'riderite.ics'), 'utf8');
+    assert.match(riderite, /X-WR-CALNAME:RideRite – Southern California Motorcycle Classes/);
+    assert.doesNotMatch(riderite, /Advanced RiderCourse/);
+
+    // The ARC was first listed over two weeks ago, so only the calendar has it
+    const advanced = await fs.readFile(path.join(dir, 'type', 'advanced-course.atom'), 'utf8');
+    assert.doesNotMatch(advanced, /<entry>/);
+    const all = await fs.readFile(path.join(dir, 'all.rss'), 'utf8');
+    assert.equal(all.match(/<item>/g).length, 1);
+  });
+});
+
+describe('MotorcycleClassScraper.stampFirstSeen', () => {
+  it('keeps the first sighting from the previous snapshot', () => {
+    const scraper = new MotorcycleClassScraper({ sources: [] });
+    const data = [{ id: brc.id }, { id: 'new' }];
+
+    scraper.stampFirstSeen(data, [{ id: brc.id, firstSeen: '2026-10-01T14:00:00.000Z' }], now.toISOString());
+
+    assert.deepEqual(data, [
+      { id: brc.id, firstSeen: '2026-10-01T14:00:00.000Z' },
+      { id: 'new', firstSeen: now.toISOString() }
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+// test/geocoder.test.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { parseLocation, distanceMiles, ZipCentroidGeocoder, CachedGeocoder, createGeocoder } = require('../geocoder');
+const { MotorcycleClassesAPI } = require('../airtable-setup');
+const MotorcycleClassScraper = require('../scraper');
+
+describe('parseLocation', () => {
+  const cities = new Map([['riverside', 'Riverside'], ['orange', 'Orange'], ['laguna niguel', 'Laguna Niguel']]);
+  const cases = [
+    ['OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+      { address: 'OC Fair & Event Center, Lot G, 88 Fair Dr', city: 'Costa Mesa', state: 'CA', zip: '92626' }],
+    ['1530 W 17th St, Santa Ana, CA 92706-3398',
+      { address: '1530 W 17th St', city: 'Santa Ana', state: 'CA', zip: '92706' }],
+    ['Santa Ana College, Santa Ana, CA',
+      { address: 'Santa Ana College', city: 'Santa Ana', state: 'CA', zip: null }],
+    ['Riverside City College Lot D',
+      { address: 'Riverside City College Lot D', city: 'Riverside', state: null, zip: null }],
+    ['Orange County Harley-Davidson',
+      { address: 'Orange County Harley-Davidson', city: null, state: null, zip: null }],
+    ['92627', { address: null, city: null, state: null, zip: '92627' }],
+    ['Lot 12, Main Campus', { address: 'Lot 12, Main Campus', city: null, state: null, zip: null }],
+    [null, { address: null, city: null, state: null, zip: null }]
+  ];
+
+  for (const [text, expected] of cases) {
+    it(`splits ${JSON.stringify(text)}`, () => {
+      assert.deepEqual(parseLocation(text, cities), expected);
+    });
+  }
+});
+
+describe('ZipCentroidGeocoder', () => {
+  const geocoder = new ZipCentroidGeocoder();
+
+  it('resolves a ZIP from the table', async () => {
+    assert.deepEqual(await geocoder.geocode('88 Fair Dr, Costa Mesa, CA 92626'), {
+      latitude: 33.68, longitude: -117.908, zip: '92626', city: 'Costa Mesa', state: 'CA', precision: 'zip'
+    });
+  });
+
+  it('falls back to the city centroid, then the 3-digit ZIP prefix', async () => {
+    const city = await geocoder.geocode('Riverside City College Lot D');
+    assert.equal(city.precision, 'city');
+    assert.equal(city.city, 'Riverside');
+
+    const prefix = await geocoder.geocode('92699');
+    assert.equal(prefix.precision, 'zip3');
+    assert.equal(prefix.zip, '92699');
+  });
+
+  it('returns null for places it knows nothing about', async () => {
+    assert.equal(await geocoder.geocode('Lot 12, Main Campus'), null);
+    assert.equal(await geocoder.geocode('1 Main St, Phoenix, AZ 85001'), null);
+  });
+});
+
+describe('distanceMiles', () => {
+  it('measures great-circle distance', () => {
+    const costaMesa = { latitude: 33.68, longitude: -117.908 };
+    const riverside = { latitude: 33.993, longitude: -117.375 };
+    assert.equal(Math.round(distanceMiles(costaMesa, riverside)), 37);
+    assert.equal(distanceMiles(costaMesa, costaMesa), 0);
+  });
+});
+
+describe('CachedGeocoder', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'geocode-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('asks the wrapped geocoder once per location and persists the answers', async () => {
+    const lookups = [];
+    const remote = {
+      async geocode(text) {
+        lookups.push(text);
+        return text.includes('Costa Mesa') ? { latitude: 33.68, longitude: -117.908 } : null;
+      }
+    };
+    const cachePath = path.join(dir, 'cache.json');
+
+    const first = new CachedGeocoder(remote, { cachePath });
+    await first.geocode('Costa Mesa, CA');
+    await first.geocode('  costa mesa,  CA ');
+    await first.geocode('Nowhere');
+    await first.save();
+    assert.deepEqual(lookups, ['Costa Mesa, CA', 'Nowhere']);
+
+    const second = new CachedGeocoder(remote, { cachePath });
+    assert.deepEqual(await second.geocode('Costa Mesa, CA'), { latitude: 33.68, longitude: -117.908 });
+    assert.equal(await second.geocode('Nowhere'), null);
+    assert.equal(lookups.length, 2);
+  });
+});
+
+describe('MotorcycleClassScraper.locateClasses', () => {
+  it('adds address parts and coordinates to each class', async () => {
+    const scraper = new MotorcycleClassScraper({ sources: [], geocoder: createGeocoder({ cachePath: null }) });
+    const [costaMesa, unknown] = await scraper.locateClasses([
+      { id: 'a', location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626' },
+      { id: 'b', location: 'Lot 12, Main Campus' }
+    ]);
+
+    assert.deepEqual(costaMesa, {
+      id: 'a',
+      location: 'OC Fair & Event Center, Lot G, 88 Fair Dr, Costa Mesa, CA 92626',
+      address: 'OC Fair & Event Center, Lot G, 88 Fair Dr',
+      city: 'Costa Mesa',
+      state: 'CA',
+      zip: '92626',
+      latitude: 33.68,
+      longitude: -117.908
+    });
+    assert.equal(unknown.latitude, null);
+    assert.equal(unknown.city, null);
+  });
+
+  it('keeps going when a geocoder throws', async () => {
+    const scraper = new MotorcycleClassScraper({
+      sources: [],
+      geocoder: { async geocode() { throw new Error('quota exceeded'); } }
+    });
+    const [cls] = await scraper.locateClasses([{ id: 'a', location: 'Costa Mesa, CA 92626' }]);
+    assert.equal(cls.latitude, null);
+  });
+});
+
+describe('MotorcycleClassesAPI.getClassesNear', () => {
+  const records = [
+    { id: 'rec1', title: 'BRC – Riverside', date: '2026-12-05', location: 'Riverside City College Lot D', latitude: 33.964, longitude: -117.377 },
+    { id: 'rec2', title: 'BRC – Costa Mesa', date: '2026-11-07', location: 'OC Fair, Costa Mesa, CA 92626', latitude: 33.68, longitude: -117.908 },
+    { id: 'rec3', title: 'BRC – Santa Ana', date: '2026-11-16', location: '1530 W 17th St, Santa Ana, CA 92706' },
+    { id: 'rec4', title: 'ARC – San Diego', date: '2026-11-14', location: 'San Diego, CA 92101', latitude: 32.719, longitude: -117.163 },
+    { id: 'rec5', title: 'Mystery class', date: '2026-11-01', location: 'Lot 12, Main Campus' }
+  ];
+  const api = new MotorcycleClassesAPI({ listClasses: async () => records });
+
+  it('returns classes within the radius, nearest first', async () => {
+    const nearby = await api.getClassesNear('92627', 25);
+
+    assert.deepEqual(nearby.map(cls => [cls.id, cls.distanceMiles]), [['rec2', 2.4], ['rec3', 8.5]]);
+  });
+
+  it('widens with the radius', async () => {
+    const nearby = await api.getClassesNear('92627', 50);
+    assert.deepEqual(nearby.map(cls => cls.id), ['rec2', 'rec3', 'rec1']);
+  });
+
+  it('only looks at upcoming classes that are still on', async () => {
+    const queries = [];
+    const storage = { listClasses: async query => { queries.push(query); return []; } };
+
+    await new MotorcycleClassesAPI(storage, { now: new Date('2026-10-19T12:00:00Z') }).getClassesNear('92627');
+
+    assert.deepEqual(queries, [{ from: '2026-10-19', active: true }]);
+  });
+
+  it('rejects malformed and unknown ZIP codes', async () => {
+    await assert.rejects(api.getClassesNear('Costa Mesa'), /5-digit ZIP/);
+    await assert.rejects(api.getClassesNear('10001'), /Unknown ZIP code 10001/);
+  });
+});
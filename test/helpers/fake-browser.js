@@ -0,0 +1,80 @@
+// test/helpers/fake-browser.js
+// Just enough of a Puppeteer browser and page for the page pool, diagnostics
+// and the msi adapter, so the scrape loop can be tested without Chrome
+
+const fs = require('fs').promises;
+
+// `routes` maps a URL to the class items its page lists, or to 'hang' for a
+// page that never finishes loading
+function createFakeBrowser(routes = {}) {
+  const browser = { pages: [], closed: false };
+
+  browser.newPage = async () => {
+    let url = 'about:blank';
+    let closed = false;
+    const page = {
+      handlers: {},
+      interception: false,
+      timeouts: {},
+      browser: () => browser,
+      isClosed: () => closed,
+      async close() { closed = true; },
+      setDefaultNavigationTimeout(ms) { page.timeouts.navigation = ms; },
+      setDefaultTimeout(ms) { page.timeouts.default = ms; },
+      async setRequestInterception(enabled) { page.interception = enabled; },
+      on(event, handler) { (page.handlers[event] ||= []).push(handler); },
+      off(event, handler) { page.handlers[event] = (page.handlers[event] || []).filter(other => other !== handler); },
+      emit(event, payload) { for (const handler of page.handlers[event] || []) handler(payload); },
+      async goto(target) {
+        url = target;
+        if (routes[target] === 'hang') await new Promise(() => {});
+      },
+      async waitForSelector() {},
+      // Answers the extraction engine's and pagination's in-page functions
+      async evaluate(fn) {
+        const records = Array.isArray(routes[url]) ? routes[url] : [];
+        if (fn.name === 'countItems') return records.length;
+        if (fn.name === 'advanceListing' || fn.name === 'findNextLink') return null;
+        return { selector: records.length > 0 ? '.class-item' : null, records };
+      },
+      async content() { return `<html><body><!-- ${url} --></body></html>`; },
+      async screenshot({ path }) { await fs.writeFile(path, 'PNG'); },
+      url: () => url
+    };
+    browser.pages.push(page);
+    return page;
+  };
+  browser.close = async () => { browser.closed = true; };
+  return browser;
+}
+
+// Puppeteer-style request, for driving a page's request listeners
+function fakeRequest(resourceType, url, { method = 'GET', headers = {} } = {}) {
+  const request = {
+    outcome: null,
+    resourceType: () => resourceType,
+    url: () => url,
+    method: () => method,
+    headers: () => headers,
+    failure: () => (request.outcome === 'abort' ? { errorText: 'net::ERR_BLOCKED_BY_CLIENT' } : null),
+    isInterceptResolutionHandled: () => false,
+    async abort() { request.outcome = 'abort'; },
+    async continue() { request.outcome = 'continue'; }
+  };
+  return request;
+}
+
+function fakeResponse(request, status, headers = {}) {
+  return {
+    request: () => request,
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : 'Not Found'),
+    headers: () => headers
+  };
+}
+
+module.exports = {
+  createFakeBrowser,
+  fakeRequest,
+  fakeResponse
+};
@@ -0,0 +1,55 @@
+// test/helpers/fixture-server.js
+// Serves saved provider pages from test/fixtures so adapters can run offline
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.css': 'text/css',
+  '.js': 'application/javascript'
+};
+
+async function startFixtureServer(root = FIXTURES_DIR) {
+  const server = http.createServer(async (req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    let filePath = path.join(root, pathname);
+
+    // Never serve anything outside the fixtures directory
+    if (!filePath.startsWith(root)) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+
+    if (pathname.endsWith('/')) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    try {
+      const body = await fs.readFile(filePath);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startFixtureServer,
+  FIXTURES_DIR
+};
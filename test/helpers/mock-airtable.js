@@ -0,0 +1,153 @@
+// test/helpers/mock-airtable.js
+// In-memory stand-in for the Airtable REST API (list/create/update/delete records)
+// and the parts of the metadata API used for schema setup (list/create tables and fields)
+
+const http = require('http');
+
+async function startMockAirtable({ pageSize = 100 } = {}) {
+  const records = [];
+  const requests = [];
+  const failures = [];
+  const delays = [];
+  // Tables the metadata API reports; tests add them with defineTable
+  const tables = [];
+  let nextId = 1;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, body, time: Date.now() });
+
+      // A delayed request is still carried out at once; only its answer comes late
+      const delayIndex = delays.findIndex(delay => !delay.method || delay.method === req.method);
+      const [delay] = delayIndex === -1 ? [] : delays.splice(delayIndex, 1);
+      const send = (status, payload, headers = {}) => {
+        const write = () => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(payload));
+        };
+        if (delay) setTimeout(write, delay.ms);
+        else write();
+      };
+
+      const failureIndex = failures.findIndex(failure => !failure.method || failure.method === req.method);
+      if (failureIndex !== -1) {
+        const [failure] = failures.splice(failureIndex, 1);
+        send(failure.status, { error: { type: 'MOCK_FAILURE' } }, failure.headers);
+        return;
+      }
+
+      const meta = url.pathname.match(/\/meta\/bases\/[^/]+\/tables(?:\/([^/]+)\/fields)?$/);
+      if (meta) {
+        if (req.method === 'GET' && !meta[1]) {
+          send(200, { tables });
+        } else if (req.method === 'POST' && !meta[1]) {
+          const table = defineTable(body.name, body.fields);
+          send(200, table);
+        } else if (req.method === 'POST') {
+          const table = tables.find(candidate => candidate.id === meta[1]);
+          if (!table) {
+            send(404, { error: { type: 'TABLE_NOT_FOUND' } });
+            return;
+          }
+          const field = { id: `fld${String(nextId++).padStart(5, '0')}`, ...body };
+          table.fields.push(field);
+          send(200, field);
+        } else {
+          send(405, { error: { type: 'METHOD_NOT_ALLOWED' } });
+        }
+        return;
+      }
+
+      if (req.method === 'GET') {
+        const start = parseInt(url.searchParams.get('offset') || '0', 10);
+        const size = parseInt(url.searchParams.get('maxRecords') || url.searchParams.get('pageSize') || pageSize, 10);
+        const page = records.slice(start, start + size);
+        const more = start + size < records.length && !url.searchParams.get('maxRecords');
+        send(200, more ? { records: page, offset: String(start + size) } : { records: page });
+        return;
+      }
+
+      if (req.method === 'POST') {
+        const created = body.records.map(({ fields }) => ({
+          id: `rec${String(nextId++).padStart(5, '0')}`,
+          createdTime: new Date().toISOString(),
+          fields: { ...fields }
+        }));
+        records.push(...created);
+        send(200, { records: created });
+        return;
+      }
+
+      if (req.method === 'PATCH') {
+        const missing = body.records.find(update => !records.some(record => record.id === update.id));
+        if (missing) {
+          send(422, { error: { type: 'ROW_DOES_NOT_EXIST', message: `Record ${missing.id} not found` } });
+          return;
+        }
+        const updated = body.records.map(update => {
+          const record = records.find(candidate => candidate.id === update.id);
+          Object.assign(record.fields, update.fields);
+          return record;
+        });
+        send(200, { records: updated });
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        const ids = url.searchParams.getAll('records[]');
+        for (const id of ids) {
+          const index = records.findIndex(record => record.id === id);
+          if (index !== -1) records.splice(index, 1);
+        }
+        send(200, { records: ids.map(id => ({ id, deleted: true })) });
+        return;
+      }
+
+      send(405, { error: { type: 'METHOD_NOT_ALLOWED' } });
+    });
+  });
+
+  function defineTable(name, fields) {
+    const table = {
+      id: `tbl${String(nextId++).padStart(5, '0')}`,
+      name,
+      fields: fields.map(field => ({ id: `fld${String(nextId++).padStart(5, '0')}`, ...field }))
+    };
+    tables.push(table);
+    return table;
+  }
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}/v0`,
+    records,
+    requests,
+    // Respond to the next `times` requests (optionally only those using `method`) with an error status
+    failNext(status, times = 1, { headers = {}, method } = {}) {
+      for (let i = 0; i < times; i++) failures.push({ status, headers, method });
+    },
+    // Answer the next `times` requests (optionally only those using `method`) `ms` late
+    delayNext(ms, times = 1, { method } = {}) {
+      for (let i = 0; i < times; i++) delays.push({ ms, method });
+    },
+    // Pre-populate the table without going through the API
+    seed(fieldsList) {
+      for (const fields of fieldsList) {
+        records.push({ id: `rec${String(nextId++).padStart(5, '0')}`, createdTime: new Date().toISOString(), fields: { ...fields } });
+      }
+    },
+    tables,
+    // Add a table to the metadata API: defineTable('Motorcycle Classes', [{ name, type, options }])
+    defineTable,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startMockAirtable
+};
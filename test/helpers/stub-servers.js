@@ -0,0 +1,95 @@
+// test/helpers/stub-servers.js
+// Local stand-ins for webhook and SMTP endpoints that record what they receive
+
+const http = require('http');
+const net = require('net');
+
+// HTTP server that records each request body; respond() picks the status code
+async function startHttpStub(respond = () => 200) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      res.writeHead(respond(request));
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Just enough SMTP to accept a plain-text message and keep its envelope and data
+async function startSmtpStub() {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = { from: null, to: [], data: '' };
+    let readingData = false;
+
+    socket.write('220 localhost stub SMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (readingData) {
+          if (line === '.') {
+            readingData = false;
+            messages.push(message);
+            message = { from: null, to: [], data: '' };
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.data += line.replace(/^\.\./, '.') + '\n';
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          message.from = line.match(/<(.*)>/)?.[1];
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)?.[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          readingData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startHttpStub,
+  startSmtpStub
+};
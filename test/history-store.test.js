@@ -0,0 +1,153 @@
+// test/history-store.test.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { HistoryStore, averagePrices, sellOutTimes, sellOutSummary } = require('../history-store');
+const { MotorcycleClassesAPI } = require('../airtable-setup');
+
+const brcCostaMesa = { id: 'brc-cm', provider: 'RideRite', type: 'Basic Rider Course', courseCode: 'BRC', date: '2026-11-07', price: 375, status: 'Active', seatsRemaining: 6, waitlist: false };
+const brcRiverside = { id: 'brc-rv', provider: 'RideRite', type: 'Basic Rider Course', courseCode: 'BRC', date: '2026-12-05', price: 350, status: 'Active', seatsRemaining: 3, waitlist: false };
+const arcFullerton = { id: 'arc-fu', provider: 'Fullerton MSI', type: 'Advanced Course', courseCode: 'ARC', date: '2026-11-14', price: 250, status: 'Full', seatsRemaining: 0, waitlist: true };
+
+// Daily 7am runs, as the workflow makes them
+const run = day => new Date(`2026-${day}T14:00:00Z`);
+
+describe('HistoryStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'class-history-'));
+    store = new HistoryStore({ path: path.join(dir, 'class-history.jsonl') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('appends one observation per class per run', async () => {
+    assert.deepEqual(await store.load(), []);
+
+    assert.equal(await store.append([brcCostaMesa, brcRiverside, brcCostaMesa], run('10-19')), 2);
+    await store.append([{ ...brcCostaMesa, price: 395, seatsRemaining: 2 }], run('10-20'));
+
+    assert.deepEqual(await store.getObservations('brc-cm'), [
+      { classId: 'brc-cm', observedAt: '2026-10-19T14:00:00.000Z', provider: 'RideRite', type: 'Basic Rider Course', courseCode: 'BRC', date: '2026-11-07', price: 375, status: 'Active', seatsRemaining: 6, waitlist: false },
+      { classId: 'brc-cm', observedAt: '2026-10-20T14:00:00.000Z', provider: 'RideRite', type: 'Basic Rider Course', courseCode: 'BRC', date: '2026-11-07', price: 395, status: 'Active', seatsRemaining: 2, waitlist: false }
+    ]);
+    const lines = (await fs.readFile(store.path, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 3);
+  });
+
+  it('skips a line cut short by a crash', async () => {
+    await store.append([brcCostaMesa], run('10-19'));
+    await fs.appendFile(store.path, '{"classId":"brc-rv","observedAt":"2026-10-');
+    await store.append([brcRiverside], run('10-20'));
+
+    assert.deepEqual((await store.load()).map(observation => observation.classId), ['brc-cm', 'brc-rv']);
+  });
+
+  it('narrows observations by provider, course code and date', async () => {
+    await store.append([brcCostaMesa, arcFullerton], run('10-19'));
+    await store.append([brcCostaMesa, arcFullerton], run('10-20'));
+
+    assert.equal((await store.listObservations({ provider: 'RideRite' })).length, 2);
+    assert.equal((await store.listObservations({ type: 'arc' })).length, 2);
+    assert.deepEqual((await store.listObservations({ from: '2026-10-20' })).map(observation => observation.classId), ['brc-cm', 'arc-fu']);
+  });
+});
+
+describe('trend queries', () => {
+  const observe = (cls, day) => ({ classId: cls.id, observedAt: run(day).toISOString(), provider: cls.provider, type: cls.type, courseCode: cls.courseCode, date: cls.date, price: cls.price, status: cls.status, seatsRemaining: cls.seatsRemaining, waitlist: cls.waitlist });
+
+  const observations = [
+    observe(brcCostaMesa, '10-19'),
+    observe(brcRiverside, '10-19'),
+    observe(arcFullerton, '10-19'),
+    observe({ ...brcCostaMesa, price: 395, seatsRemaining: 1 }, '10-26'),
+    observe(brcRiverside, '10-26'),
+    observe({ ...brcCostaMesa, price: 395, status: 'Full', seatsRemaining: 0 }, '10-29'),
+    observe({ ...brcRiverside, price: 375 }, '11-02')
+  ];
+
+  it('averages each class\'s last price per period', () => {
+    assert.deepEqual(averagePrices(observations, { interval: 'month' }), [
+      { period: '2026-10', provider: 'Fullerton MSI', type: 'Advanced Course', averagePrice: 250, minPrice: 250, maxPrice: 250, classes: 1 },
+      { period: '2026-10', provider: 'RideRite', type: 'Basic Rider Course', averagePrice: 372.5, minPrice: 350, maxPrice: 395, classes: 2 },
+      { period: '2026-11', provider: 'RideRite', type: 'Basic Rider Course', averagePrice: 375, minPrice: 375, maxPrice: 375, classes: 1 }
+    ]);
+
+    // 2026-10-19 and 10-26 are Mondays
+    assert.deepEqual(averagePrices(observations, { interval: 'week' }).map(row => [row.period, row.provider, row.averagePrice]), [
+      ['2026-10-19', 'Fullerton MSI', 250],
+      ['2026-10-19', 'RideRite', 362.5],
+      ['2026-10-26', 'RideRite', 372.5],
+      ['2026-11-02', 'RideRite', 375]
+    ]);
+    assert.throws(() => averagePrices(observations, { interval: 'year' }), /Unknown interval "year"/);
+  });
+
+  it('times how long classes take to sell out', () => {
+    const [costaMesa, riverside, fullerton] = sellOutTimes(observations);
+    assert.deepEqual(costaMesa, {
+      classId: 'brc-cm',
+      provider: 'RideRite',
+      type: 'Basic Rider Course',
+      date: '2026-11-07',
+      listedAt: '2026-10-19T14:00:00.000Z',
+      listedFull: false,
+      soldOutAt: '2026-10-29T14:00:00.000Z',
+      daysToSellOut: 10,
+      daysBeforeClass: 9
+    });
+    assert.equal(riverside.soldOutAt, null);
+    assert.equal(fullerton.listedFull, true);
+
+    assert.deepEqual(sellOutSummary(observations), [
+      { provider: 'Fullerton MSI', type: 'Advanced Course', classes: 0, soldOut: 0, listedFull: 1, medianDaysToSellOut: null, medianDaysBeforeClass: null },
+      { provider: 'RideRite', type: 'Basic Rider Course', classes: 2, soldOut: 1, listedFull: 0, medianDaysToSellOut: 10, medianDaysBeforeClass: 9 }
+    ]);
+  });
+});
+
+describe('MotorcycleClassesAPI trend queries', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'class-history-api-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads the history store', async () => {
+    const history = new HistoryStore({ path: path.join(dir, 'class-history.jsonl') });
+    await history.append([brcCostaMesa, brcRiverside], run('10-19'));
+    await history.append([{ ...brcCostaMesa, price: 395 }, brcRiverside], run('10-20'));
+    await history.append([{ ...brcCostaMesa, price: 395, status: 'Full', seatsRemaining: 0 }, brcRiverside], run('10-21'));
+
+    const api = new MotorcycleClassesAPI({ listClasses: async () => [] }, { history });
+
+    assert.deepEqual(await api.getPriceHistory('brc-cm'), [
+      { observedAt: '2026-10-19T14:00:00.000Z', price: 375 },
+      { observedAt: '2026-10-20T14:00:00.000Z', price: 395 }
+    ]);
+    assert.deepEqual((await api.getAveragePrices({ interval: 'day', type: 'BRC' })).map(row => [row.period, row.averagePrice]), [
+      ['2026-10-19', 362.5],
+      ['2026-10-20', 372.5],
+      ['2026-10-21', 372.5]
+    ]);
+    const [riderite] = await api.getSellOutTimes({ provider: 'RideRite' });
+    assert.equal(riderite.soldOut, 1);
+    assert.equal(riderite.medianDaysToSellOut, 2);
+
+    const withoutHistory = new MotorcycleClassesAPI({ listClasses: async () => [] });
+    assert.equal(await withoutHistory.getPriceHistory('brc-cm'), null);
+    assert.equal(await withoutHistory.getSellOutTimes(), null);
+  });
+});
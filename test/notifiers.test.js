@@ -0,0 +1,92 @@
+// test/notifiers.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WebhookNotifier, SlackNotifier, EmailNotifier, createNotifiersFromEnv, sendDigest } = require('../notifiers');
+const { diffClasses, formatDigest } = require('../change-detector');
+const { startHttpStub, startSmtpStub } = require('./helpers/stub-servers');
+
+const digest = formatDigest(diffClasses([], [
+  { id: 'brc-1', title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-11-07', price: 375, link: 'https://example.com/brc' }
+]));
+
+describe('notifiers', () => {
+  it('WebhookNotifier posts the digest as JSON', async () => {
+    const stub = await startHttpStub();
+    try {
+      await new WebhookNotifier(`${stub.url}/hook`).send(digest);
+
+      assert.equal(stub.requests.length, 1);
+      assert.equal(stub.requests[0].method, 'POST');
+      assert.equal(stub.requests[0].url, '/hook');
+
+      const body = JSON.parse(stub.requests[0].body);
+      assert.equal(body.subject, 'Motorcycle classes: 1 change since last run');
+      assert.deepEqual(body.counts, { added: 1, removed: 0, priceChanged: 0, dateChanged: 0, nowFull: 0 });
+      assert.equal(body.changes.added[0].id, 'brc-1');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('SlackNotifier posts a text message', async () => {
+    const stub = await startHttpStub();
+    try {
+      await new SlackNotifier(stub.url).send(digest);
+
+      const body = JSON.parse(stub.requests[0].body);
+      assert.match(body.text, /^\*Motorcycle classes: 1 change since last run\*\nNew classes \(1\)/);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('EmailNotifier delivers over SMTP', async () => {
+    const stub = await startSmtpStub();
+    try {
+      await new EmailNotifier({
+        host: '127.0.0.1',
+        port: stub.port,
+        from: 'scraper@example.com',
+        to: 'team@example.com'
+      }).send(digest);
+
+      assert.equal(stub.messages.length, 1);
+      assert.equal(stub.messages[0].from, 'scraper@example.com');
+      assert.deepEqual(stub.messages[0].to, ['team@example.com']);
+      assert.match(stub.messages[0].data, /Subject: Motorcycle classes: 1 change since last run/);
+      assert.match(stub.messages[0].data, /Basic RiderCourse/);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('sendDigest reports failures without stopping other notifiers', async () => {
+    const failing = await startHttpStub(() => 500);
+    const working = await startHttpStub();
+    try {
+      const results = await sendDigest(digest, [
+        new WebhookNotifier(failing.url),
+        new SlackNotifier(working.url)
+      ]);
+
+      assert.deepEqual(results.map(result => [result.name, result.ok]), [['webhook', false], ['slack', true]]);
+      assert.equal(working.requests.length, 1);
+    } finally {
+      await failing.close();
+      await working.close();
+    }
+  });
+
+  it('createNotifiersFromEnv only builds configured notifiers', () => {
+    assert.deepEqual(createNotifiersFromEnv({}), []);
+
+    const notifiers = createNotifiersFromEnv({
+      SLACK_WEBHOOK_URL: 'https://hooks.example.com/slack',
+      SMTP_HOST: 'smtp.example.com',
+      NOTIFY_EMAIL_TO: 'team@example.com'
+    });
+    assert.deepEqual(notifiers.map(notifier => notifier.name), ['slack', 'email']);
+  });
+});
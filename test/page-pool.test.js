@@ -0,0 +1,190 @@
+// test/page-pool.test.js
+// The page pool and the concurrent scrape loop, against fake pages (no Chrome needed)
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { PagePool, preparePage, shouldBlockRequest } = require('../page-pool');
+const { normalizeSource } = require('../source-registry');
+const MotorcycleClassScraper = require('../scraper');
+const { FileStorage } = require('../storage');
+const { adapters } = require('../adapters');
+const { createFakeBrowser, fakeRequest } = require('./helpers/fake-browser');
+
+describe('request blocking', () => {
+  it('blocks images, fonts, media and analytics hosts', () => {
+    assert.equal(shouldBlockRequest('image', 'https://shopriderite.net/logo.png'), true);
+    assert.equal(shouldBlockRequest('font', 'https://fonts.gstatic.com/s/roboto.woff2'), true);
+    assert.equal(shouldBlockRequest('script', 'https://www.googletagmanager.com/gtag/js?id=G-1'), true);
+    assert.equal(shouldBlockRequest('xhr', 'https://region1.google-analytics.com/g/collect'), true);
+
+    assert.equal(shouldBlockRequest('document', 'https://shopriderite.net/product-category/basic/'), false);
+    assert.equal(shouldBlockRequest('script', 'https://shopriderite.net/wp-content/app.js'), false);
+    assert.equal(shouldBlockRequest('xhr', 'not a url'), false);
+  });
+
+  it('sets timeouts and answers every request on a prepared page', async () => {
+    const page = await preparePage(await createFakeBrowser().newPage(), { navigationTimeoutMs: 5000 });
+    assert.deepEqual(page.timeouts, { navigation: 5000, default: 5000 });
+    assert.equal(page.interception, true);
+
+    const image = fakeRequest('image', 'https://example.com/a.jpg');
+    const document = fakeRequest('document', 'https://example.com/');
+    page.emit('request', image);
+    page.emit('request', document);
+    assert.equal(image.outcome, 'abort');
+    assert.equal(document.outcome, 'continue');
+
+    const unblocked = await preparePage(await createFakeBrowser().newPage(), { blockResources: false });
+    assert.equal(unblocked.interception, false);
+  });
+});
+
+describe('PagePool', () => {
+  it('hands out at most `size` pages and reuses released ones', async () => {
+    const browser = createFakeBrowser();
+    const pool = new PagePool(browser, { size: 2 });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    let third = null;
+    const waiting = pool.acquire().then(page => { third = page; });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(third, null);
+
+    await pool.release(first);
+    await waiting;
+    assert.equal(third, first);
+    assert.equal(browser.pages.length, 2);
+
+    // A discarded page is closed and replaced on the next acquire
+    await pool.release(second, { discard: true });
+    assert.equal(second.isClosed(), true);
+    const fourth = await pool.acquire();
+    assert.notEqual(fourth, second);
+    assert.equal(browser.pages.length, 3);
+
+    await pool.release(third);
+    await pool.release(fourth);
+    await pool.close();
+    assert.ok(browser.pages.every(page => page.isClosed() || page === second));
+  });
+});
+
+describe('scrapeAll', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('scrapes sources side by side, stops slow ones at their deadline and reports timings', async () => {
+    const browser = createFakeBrowser({
+      'https://one.example.com/': [{ title: 'Basic RiderCourse', date: '11/07/2026', location: 'Lot E', price: '$350.00' }],
+      'https://slow.example.com/': 'hang',
+      'https://two.example.com/': [{ title: 'Advanced RiderCourse', date: '11/14/2026', location: 'Lot F', price: '$250.00' }]
+    });
+    const sources = [
+      normalizeSource({ adapter: 'msi', name: 'One', provider: 'One', url: 'https://one.example.com/' }, 0),
+      normalizeSource({ adapter: 'msi', name: 'Slow', provider: 'Slow', url: 'https://slow.example.com/', timeoutMs: 50 }, 1),
+      normalizeSource({ adapter: 'msi', name: 'Two', provider: 'Two', url: 'https://two.example.com/' }, 2)
+    ];
+
+    const scraper = new MotorcycleClassScraper({
+      sources: [],
+      concurrency: 2,
+      runHistoryPath: null,
+      diagnosticsDir: null,
+      geocoder: { geocode: async () => null },
+      now: new Date('2026-10-19T12:00:00Z')
+    });
+    scraper.init = async () => { scraper.browser = browser; };
+
+    const classes = await scraper.scrapeAll(sources);
+
+    assert.deepEqual(classes.map(cls => cls.provider), ['One', 'Two']);
+    assert.deepEqual(scraper.sourceErrors.map(error => error.source), ['Slow']);
+    assert.deepEqual(scraper.runReport.sources.map(entry => [entry.source, entry.status, entry.classes, entry.selector]), [
+      ['One', 'ok', 1, '.class-item'],
+      ['Slow', 'timeout', 0, null],
+      ['Two', 'ok', 1, '.class-item']
+    ]);
+    assert.match(scraper.runReport.sources[1].error, /did not finish within/);
+    assert.deepEqual(scraper.runReport.totals, { sources: 3, ok: 2, empty: 0, failed: 0, timedOut: 1, scraped: 2, valid: 2, quarantined: 0 });
+    // Slow's classes may just not have been read, so a sync must not retire them
+    assert.deepEqual(scraper.retireScope(), { providers: ['One', 'Two'], keep: [] });
+
+    // Two reuses the page One released; the timed-out page is thrown away
+    assert.equal(browser.pages.length, 2);
+    assert.ok(browser.pages.every(page => page.isClosed()));
+    assert.ok(browser.closed);
+    assert.ok(console.log.mock.calls.some(call => call.arguments[0] === '⏱️  Source timings:'));
+  });
+
+  it('stops a timed-out source from opening more pages', async () => {
+    const browser = createFakeBrowser();
+    let late = null;
+    mock.method(adapters.msi, 'scrape', async (page, source, { openPage }) => {
+      await openPage();
+      // Still going after the 50ms deadline, like a product page crawl
+      await new Promise(resolve => setTimeout(resolve, 100));
+      late = openPage();
+      return late;
+    });
+    const scraper = new MotorcycleClassScraper({ sources: [], diagnosticsDir: null });
+    scraper.browser = browser;
+
+    await scraper.runSource(normalizeSource({ adapter: 'msi', name: 'Slow', provider: 'Slow', url: 'https://slow.example.com/', timeoutMs: 50 }, 0));
+    assert.equal(scraper.sourceReports[0].status, 'timeout');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await assert.rejects(late, /Slow has already stopped/);
+    // The source's listing page and the one product page it opened in time
+    assert.equal(browser.pages.length, 2);
+    assert.ok(browser.pages.every(page => page.isClosed()));
+  });
+
+  it('only lets a sync retire providers whose every source read everything', () => {
+    const scraper = new MotorcycleClassScraper({ sources: [] });
+    const report = (source, provider, extra = {}) => ({ source, provider, adapter: 'msi', status: 'ok', durationMs: 1000, classes: 3, selector: null, error: null, ...extra });
+    scraper.sourceReports = [
+      report('RideRite', 'RideRite'),
+      report('Harley Davidson', 'Harley Davidson', { incomplete: '1 of 2 finder pages failed' }),
+      report('Fullerton MSI', 'Fullerton MSI'),
+      report('Fullerton MSI (weekday)', 'Fullerton MSI', { status: 'empty', classes: 0 })
+    ];
+    scraper.quarantined = [{ record: { id: 'brc-2' }, reasons: ['date is missing'] }];
+
+    assert.deepEqual(scraper.retireScope(), { providers: ['RideRite'], keep: ['brc-2'] });
+  });
+
+  it('lets a sync mark a class Past when it was quarantined only for having ended', async () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const scraper = new MotorcycleClassScraper({ sources: [], now });
+    const ended = { id: 'brc-0', title: 'Basic RiderCourse', provider: 'RideRite', date: '2026-10-10', endDate: '2026-10-11', location: 'Costa Mesa', type: 'Basic Rider Course', region: 'Southern California', status: 'Active' };
+    const undated = { ...ended, id: 'brc-3', date: null, endDate: null };
+    scraper.sourceReports = [{ source: 'RideRite', provider: 'RideRite', adapter: 'riderite', status: 'ok', classes: 2 }];
+    scraper.validateData([ended, undated]);
+
+    assert.deepEqual(scraper.retireScope(), { providers: ['RideRite'], keep: ['brc-3'] });
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retire-'));
+    try {
+      const storage = new FileStorage({ path: path.join(dir, 'classes-db.json'), now });
+      await storage.syncClasses([ended, undated], '2026-10-09');
+      await storage.syncClasses([], '2026-10-19', scraper.retireScope());
+      assert.equal((await storage.getClass('brc-0')).status, 'Past');
+      assert.equal((await storage.getClass('brc-3')).status, 'Active');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
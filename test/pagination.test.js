@@ -0,0 +1,120 @@
+// test/pagination.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crawlListing, expandListing, DEFAULT_MAX_PAGES } = require('../pagination');
+
+// A listing that shows `batch` more items per "Load more" click, up to `total`
+function loadMorePage(total, batch) {
+  const page = {
+    shown: batch,
+    clicks: 0,
+    async evaluate(fn) {
+      if (fn.name === 'countItems') return page.shown;
+      if (fn.name === 'advanceListing') {
+        if (page.shown >= total) return null;
+        page.clicks++;
+        page.shown = Math.min(total, page.shown + batch);
+        return 'click';
+      }
+      throw new Error(`unexpected evaluate(${fn.name})`);
+    },
+    async waitForFunction(predicate, options, selector, before) {
+      if (page.shown > before) return true;
+      throw new Error('Waiting failed: 3000ms exceeded');
+    }
+  };
+  return page;
+}
+
+// Numbered listing pages: `pages` maps a URL to its items and next link
+function pagedSite(pages) {
+  const page = {
+    visited: [],
+    current: null,
+    async goto(url) {
+      page.current = url;
+      page.visited.push(url);
+    },
+    async evaluate(fn) {
+      assert.equal(fn.name, 'findNextLink');
+      return pages[page.current]?.next || null;
+    }
+  };
+  return page;
+}
+
+describe('expandListing', () => {
+  it('clicks "Load more" until every item is shown', async () => {
+    const page = loadMorePage(40, 12);
+    assert.equal(await expandListing(page, { itemSelector: '.class-item', loadMore: true }), 3);
+    assert.equal(page.shown, 40);
+  });
+
+  it('stops at the round limit', async () => {
+    const page = loadMorePage(1000, 10);
+    assert.equal(await expandListing(page, { itemSelector: '.class-item', loadMore: '.load-more', maxRounds: 4 }), 4);
+    assert.equal(page.shown, 50);
+  });
+
+  it('does nothing unless asked to', async () => {
+    const page = loadMorePage(40, 12);
+    assert.equal(await expandListing(page, { itemSelector: '.class-item' }), 0);
+    assert.equal(page.clicks, 0);
+  });
+});
+
+describe('crawlListing', () => {
+  const read = pages => async page => pages[page.current].items;
+
+  it('follows next links, keeping each item once', async () => {
+    const pages = {
+      'https://shop.example.com/product-category/basic/': { items: ['brc-costa-mesa', 'brc-riverside'], next: 'https://shop.example.com/product-category/basic/page/2/' },
+      'https://shop.example.com/product-category/basic/page/2/': { items: ['brc-riverside', 'brc-weekday'], next: null }
+    };
+    const page = pagedSite(pages);
+
+    const { items, pages: count } = await crawlListing(page, 'https://shop.example.com/product-category/basic/', read(pages));
+
+    assert.deepEqual(items, ['brc-costa-mesa', 'brc-riverside', 'brc-weekday']);
+    assert.equal(count, 2);
+  });
+
+  it('stops at a page with nothing new', async () => {
+    // Shops that serve the last page for any page number past it
+    const pages = {};
+    for (let number = 1; number <= 5; number++) {
+      pages[`https://shop.example.com/page/${number}/`] = {
+        items: number <= 2 ? [`product-${number}`] : ['product-2'],
+        next: `https://shop.example.com/page/${number + 1}/`
+      };
+    }
+    const page = pagedSite(pages);
+
+    const { items } = await crawlListing(page, 'https://shop.example.com/page/1/', read(pages));
+
+    assert.deepEqual(items, ['product-1', 'product-2']);
+    assert.deepEqual(page.visited, ['https://shop.example.com/page/1/', 'https://shop.example.com/page/2/', 'https://shop.example.com/page/3/']);
+  });
+
+  it('reads at most maxPages pages', async () => {
+    const pages = {};
+    for (let number = 1; number <= 2 * DEFAULT_MAX_PAGES; number++) {
+      pages[`https://shop.example.com/page/${number}/`] = { items: [`product-${number}`], next: `https://shop.example.com/page/${number + 1}/` };
+    }
+
+    assert.equal((await crawlListing(pagedSite(pages), 'https://shop.example.com/page/1/', read(pages))).pages, DEFAULT_MAX_PAGES);
+    assert.equal((await crawlListing(pagedSite(pages), 'https://shop.example.com/page/1/', read(pages), { maxPages: 3 })).items.length, 3);
+  });
+
+  it('says when maxPages cut the listing short', async () => {
+    const pages = {
+      'https://shop.example.com/page/1/': { items: ['product-1'], next: 'https://shop.example.com/page/2/' },
+      'https://shop.example.com/page/2/': { items: ['product-2'], next: null }
+    };
+
+    assert.equal((await crawlListing(pagedSite(pages), 'https://shop.example.com/page/1/', read(pages), { maxPages: 1 })).truncated, true);
+    assert.equal((await crawlListing(pagedSite(pages), 'https://shop.example.com/page/1/', read(pages), { maxPages: 2 })).truncated, false);
+  });
+});
@@ -0,0 +1,98 @@
+// test/run-report.test.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { buildRunReport, assessHealth, loadRunHistory, appendRunReport, formatHealthAlert } = require('../run-report');
+
+function entry(source, classes, status = classes > 0 ? 'ok' : 'empty', error = null) {
+  return { source, adapter: 'msi', status, durationMs: 1000, classes, selector: classes > 0 ? '.class-item' : null, error };
+}
+
+function run(day, sources) {
+  return buildRunReport({
+    startedAt: new Date(`2026-10-${day}T14:00:00Z`),
+    finishedAt: new Date(`2026-10-${day}T14:02:00Z`),
+    sources
+  });
+}
+
+describe('buildRunReport', () => {
+  it('totals the sources', () => {
+    const report = buildRunReport({
+      startedAt: new Date('2026-10-19T14:00:00Z'),
+      finishedAt: new Date('2026-10-19T14:03:30Z'),
+      sources: [entry('RideRite', 38), entry('Fullerton MSI', 0), entry('Harley Davidson', 0, 'timeout', 'did not finish')],
+      valid: 36,
+      quarantined: 2
+    });
+
+    assert.equal(report.durationMs, 210000);
+    assert.deepEqual(report.totals, { sources: 3, ok: 1, empty: 1, failed: 0, timedOut: 1, scraped: 38, valid: 36, quarantined: 2 });
+  });
+});
+
+describe('assessHealth', () => {
+  const history = [
+    run(14, [entry('RideRite', 40), entry('Fullerton MSI', 6)]),
+    run(15, [entry('RideRite', 38), entry('Fullerton MSI', 7)]),
+    run(16, [entry('RideRite', 41), entry('Fullerton MSI', 0)]),
+    run(17, [entry('RideRite', 36), entry('Fullerton MSI', 0)])
+  ];
+
+  it('flags a sharp drop against the median of recent runs', () => {
+    const report = assessHealth(run(18, [entry('RideRite', 12), entry('Fullerton MSI', 5)]), history);
+
+    assert.deepEqual(report.sources.map(({ source, baseline, health }) => [source, baseline, health]), [
+      ['RideRite', 39, 'suspect'],
+      ['Fullerton MSI', null, 'new']
+    ]);
+    assert.deepEqual(report.warnings, ['RideRite found 12 classes (usually 39): probable breakage']);
+  });
+
+  it('leaves a normal run alone and counts bad runs in a row', () => {
+    const report = assessHealth(run(18, [entry('RideRite', 35), entry('Fullerton MSI', 0)]), history);
+
+    assert.equal(report.sources[0].health, 'ok');
+    assert.equal(report.sources[1].consecutiveFailures, 3);
+    assert.deepEqual(report.warnings, []);
+  });
+
+  it('always flags failures', () => {
+    const report = assessHealth(run(18, [entry('RideRite', 0, 'failed', 'net::ERR_NAME_NOT_RESOLVED')]), history);
+    assert.equal(report.sources[0].health, 'failing');
+    assert.deepEqual(report.warnings, ['RideRite failed (usually 39): net::ERR_NAME_NOT_RESOLVED']);
+
+    const alert = formatHealthAlert(report);
+    assert.equal(alert.subject, 'Motorcycle classes: 1 source needs attention');
+    assert.deepEqual(alert.changes, {});
+    assert.deepEqual(alert.health.map(flagged => flagged.source), ['RideRite']);
+  });
+});
+
+describe('run history', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-history-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('appends reports and keeps only the newest', async () => {
+    const historyPath = path.join(dir, 'run-history.json');
+    assert.deepEqual(await loadRunHistory(historyPath), []);
+
+    for (const day of [14, 15, 16]) {
+      await appendRunReport(run(day, [entry('RideRite', 40)]), historyPath, { keep: 2 });
+    }
+
+    const runs = await loadRunHistory(historyPath);
+    assert.deepEqual(runs.map(report => report.startedAt), ['2026-10-15T14:00:00.000Z', '2026-10-16T14:00:00.000Z']);
+  });
+});
@@ -0,0 +1,47 @@
+// test/source-registry.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadSources, normalizeSource, getEnabledSources } = require('../source-registry');
+
+describe('source registry', () => {
+  it('loads the bundled sources.json', () => {
+    const sources = loadSources(path.join(__dirname, '..', 'sources.json'));
+    assert.ok(sources.length > 0);
+    assert.ok(sources.every(source => source.url && source.provider && source.region));
+  });
+
+  it('fills in adapter defaults', () => {
+    assert.deepEqual(normalizeSource({ adapter: 'riderite' }, 0), {
+      adapter: 'riderite',
+      name: 'RideRite',
+      url: 'https://shopriderite.net/product-category/basic/',
+      provider: 'RideRite',
+      region: 'Southern California',
+      enabled: true
+    });
+  });
+
+  it('rejects unknown adapters and missing URLs', () => {
+    assert.throws(() => normalizeSource({ adapter: 'carrier-pigeon' }, 0), /Unknown adapter type/);
+    assert.throws(() => normalizeSource({ adapter: 'msi', provider: 'Somewhere' }, 0), /needs a "url"/);
+    assert.throws(() => normalizeSource({ adapter: 'riderite', timeoutMs: '90s' }, 0), /invalid "timeoutMs"/);
+    assert.throws(() => normalizeSource({ adapter: 'riderite', categories: 'basic' }, 0), /"categories" must be a list/);
+    assert.throws(() => normalizeSource({ adapter: 'riderite', maxPages: 0 }, 0), /"maxPages" must be a whole number/);
+  });
+
+  it('rejects course overrides that name an unknown course', () => {
+    const entry = { adapter: 'riderite', courseOverrides: [{ match: 'Weekday', course: 'WEEKDAY' }] };
+    assert.throws(() => normalizeSource(entry, 0), /unknown course "WEEKDAY"/);
+  });
+
+  it('filters out disabled sources', () => {
+    const sources = [
+      normalizeSource({ adapter: 'riderite' }, 0),
+      normalizeSource({ adapter: 'harley', enabled: false }, 1)
+    ];
+    assert.deepEqual(getEnabledSources(sources).map(source => source.name), ['RideRite']);
+  });
+});
@@ -0,0 +1,186 @@
+// test/storage.test.js
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { FileStorage } = require('../storage');
+const { MotorcycleClassesAPI } = require('../airtable-setup');
+
+const brc = {
+  id: 'fbde2eb8873e82e7',
+  title: 'Basic RiderCourse (BRC) – Costa Mesa',
+  provider: 'RideRite',
+  date: '2026-11-07',
+  endDate: '2026-11-08',
+  location: 'OC Fair & Event Center, Costa Mesa, CA 92626',
+  price: 375,
+  type: 'Basic Rider Course',
+  region: 'Southern California',
+  status: 'Active',
+  lastUpdated: '2026-10-19T14:00:00.000Z'
+};
+
+const arc = {
+  id: 'd00113d96c816917',
+  title: 'Advanced RiderCourse',
+  provider: 'Fullerton MSI',
+  date: '2026-11-14',
+  endDate: '2026-11-14',
+  location: 'Irvine Spectrum Range',
+  price: 250,
+  type: 'Advanced Course',
+  region: 'Southern California',
+  status: 'Active',
+  lastUpdated: '2026-10-19T14:00:00.000Z'
+};
+
+describe('FileStorage', () => {
+  let dir;
+  let storePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    storePath = path.join(dir, 'classes-db.json');
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts empty when the file does not exist yet', async () => {
+    const storage = new FileStorage({ path: storePath });
+    assert.deepEqual(await storage.listClasses(), []);
+    assert.equal(await storage.getClass(brc.id), null);
+  });
+
+  it('creates, updates and retires classes across syncs', async () => {
+    const first = new FileStorage({ path: storePath, now: new Date('2026-10-19T14:00:00Z') });
+    assert.deepEqual(await first.syncClasses([brc, arc], '2026-10-19'),
+      { created: 2, updated: 0, unchanged: 0, retired: 0, failed: 0 });
+
+    // A fresh instance reads what the first one wrote
+    const second = new FileStorage({ path: storePath, now: new Date('2026-10-20T14:00:00Z') });
+    const stats = await second.syncClasses([
+      { ...brc, price: 395, lastUpdated: '2026-10-20T14:00:00.000Z' }
+    ], '2026-10-20');
+    assert.deepEqual(stats, { created: 0, updated: 1, unchanged: 0, retired: 1, failed: 0 });
+
+    const classes = await second.listClasses();
+    assert.equal(classes.find(cls => cls.id === brc.id).price, 395);
+    assert.equal(classes.find(cls => cls.id === arc.id).status, 'Cancelled');
+
+    // Nothing new: only lastUpdated moved, and retired classes stay retired
+    const third = await second.syncClasses([{ ...brc, price: 395, lastUpdated: '2026-10-21T14:00:00.000Z' }], '2026-10-21');
+    assert.deepEqual(third, { created: 0, updated: 0, unchanged: 1, retired: 0, failed: 0 });
+  });
+
+  it('marks classes whose date has gone by as Past', async () => {
+    const storage = new FileStorage({ path: storePath });
+    await storage.syncClasses([brc], '2026-10-19');
+    await storage.syncClasses([], '2026-11-09');
+    assert.equal((await storage.getClass(brc.id)).status, 'Past');
+  });
+
+  it('leaves classes outside the sync\'s scope alone', async () => {
+    const storage = new FileStorage({ path: storePath, now: new Date('2026-10-19T14:00:00Z') });
+    await storage.syncClasses([brc, arc], '2026-10-19');
+
+    // Fullerton MSI's source failed, so its class is only missing from this run
+    storage.now = new Date('2026-10-20T14:00:00Z');
+    const stats = await storage.syncClasses([], '2026-10-20', { providers: ['RideRite'], keep: [brc.id] });
+
+    assert.equal(stats.retired, 0);
+    assert.deepEqual((await storage.listClasses()).map(cls => cls.status), ['Active', 'Active']);
+    assert.equal((await storage.getHistory(arc.id)).status.length, 1);
+  });
+
+  it('records price and status history', async () => {
+    const storage = new FileStorage({ path: storePath, now: new Date('2026-10-19T14:00:00Z') });
+    await storage.syncClasses([brc], '2026-10-19');
+    storage.now = new Date('2026-10-20T14:00:00Z');
+    await storage.syncClasses([{ ...brc, price: 395, status: 'Full' }], '2026-10-20');
+    storage.now = new Date('2026-10-21T14:00:00Z');
+    await storage.syncClasses([{ ...brc, price: 395, status: 'Full', seatsRemaining: 0 }], '2026-10-21');
+
+    assert.deepEqual(await storage.getHistory(brc.id), {
+      price: [
+        { classId: brc.id, price: 375, previousPrice: null, changedAt: '2026-10-19T14:00:00.000Z' },
+        { classId: brc.id, price: 395, previousPrice: 375, changedAt: '2026-10-20T14:00:00.000Z' }
+      ],
+      status: [
+        { classId: brc.id, status: 'Active', previousStatus: null, changedAt: '2026-10-19T14:00:00.000Z' },
+        { classId: brc.id, status: 'Full', previousStatus: 'Active', changedAt: '2026-10-20T14:00:00.000Z' }
+      ]
+    });
+  });
+
+  it('keeps the first sighting of a class', async () => {
+    const storage = new FileStorage({ path: storePath });
+    await storage.syncClasses([{ ...brc, firstSeen: '2026-10-01T14:00:00.000Z' }], '2026-10-19');
+    await storage.syncClasses([{ ...brc, price: 395, firstSeen: '2026-10-19T14:00:00.000Z' }], '2026-10-19');
+    assert.equal((await storage.getClass(brc.id)).firstSeen, '2026-10-01T14:00:00.000Z');
+  });
+});
+
+describe('MotorcycleClassesAPI over FileStorage', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-api-'));
+    mock.method(console, 'log', () => {});
+    storage = new FileStorage({ path: path.join(dir, 'classes-db.json'), now: new Date('2026-10-19T14:00:00Z') });
+    await storage.syncClasses([
+      brc,
+      arc,
+      { ...brc, id: 'old', date: '2026-10-03', endDate: '2026-10-04' },
+      { ...arc, id: 'cancelled', status: 'Cancelled' }
+    ], '2026-10-19');
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('answers queries without Airtable', async () => {
+    const api = new MotorcycleClassesAPI(storage, { now: new Date('2026-10-19T14:00:00Z') });
+
+    assert.deepEqual((await api.getUpcomingClasses()).map(cls => cls.id), [brc.id, arc.id]);
+    assert.deepEqual((await api.getClassesByProvider('Fullerton MSI')).map(cls => cls.id), [arc.id, 'cancelled']);
+    assert.deepEqual((await api.searchClasses('costa mesa')).map(cls => cls.id), [brc.id, 'old']);
+
+    const feed = await api.generateJSONFeed();
+    assert.deepEqual(feed.classes[0], {
+      id: brc.id,
+      title: brc.title,
+      provider: 'RideRite',
+      date: '2026-11-07',
+      time: undefined,
+      location: brc.location,
+      price: 375,
+      type: 'Basic Rider Course',
+      registrationLink: undefined
+    });
+
+    assert.equal((await api.getClassHistory(brc.id)).price.length, 1);
+  });
+
+  it('reads the storage once per query and TTL', async () => {
+    const listClasses = mock.method(storage, 'listClasses');
+    const api = new MotorcycleClassesAPI(storage, { now: new Date('2026-10-19T14:00:00Z') });
+
+    await api.getUpcomingClasses();
+    await api.getUpcomingClasses(10);
+    await api.searchClasses('brc');
+    assert.deepEqual(listClasses.mock.calls.map(call => call.arguments[0]), [
+      { from: '2026-10-19', active: true },
+      { search: 'brc' }
+    ]);
+  });
+});